@@ -6,14 +6,30 @@ Usage:
   1. pip install fastapi uvicorn anthropic
   2. export ANTHROPIC_API_KEY=your-key-here
   3. uvicorn backend:app --reload --port 8000
+
+/analyze returns the report as one JSON document. /analyze/stream runs the
+same analysis and streams NDJSON events while it works (see that section).
+
+Jira ticket creation (optional) is proxied through /jira/issue:
+  JIRA_BASE_URL   e.g. https://yourorg.atlassian.net, or a local mock server
+  JIRA_EMAIL + JIRA_API_TOKEN   (Jira Cloud, basic auth)
+  or JIRA_PAT     (Jira Server / Data Center personal access token)
+
+Slack sharing posts through /slack/post to incoming webhooks on
+SLACK_WEBHOOK_HOSTS (comma-separated, default hooks.slack.com).
 """
 
 import os
 import json
+import time
+import base64
+import httpx
+from urllib.parse import urlparse
 from fastapi import FastAPI, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
-from pydantic import BaseModel
-from anthropic import Anthropic
+from fastapi.responses import StreamingResponse
+from pydantic import BaseModel, ValidationError
+from anthropic import Anthropic, AsyncAnthropic, APIStatusError, APIConnectionError
 
 app = FastAPI(title="Kernel Crash Analyzer API")
 
@@ -26,14 +42,26 @@ app.add_middleware(
 )
 
 client = Anthropic()  # reads ANTHROPIC_API_KEY from env
+async_client = AsyncAnthropic()
+
+MODEL = "claude-sonnet-4-20250514"
+MAX_TOKENS = 4096
 
 # ─── Request / Response models ───
 
+class LogMetadata(BaseModel):
+    format: str = ""
+    hosts: list[str] = []
+    first_seen: str = ""
+    last_seen: str = ""
+
 class AnalyzeRequest(BaseModel):
     log_text: str
     kernel_version: str = ""
     distro: str = ""
     additional_context: str = ""
+    log_metadata: LogMetadata | None = None
+    crash_event: dict | None = None
 
 class RelatedIssue(BaseModel):
     id: str
@@ -94,6 +122,7 @@ Rules:
 - If you recognize a known CVE or kernel bug, reference it in related_issues
 - If the log is incomplete or ambiguous, lower your confidence score and note uncertainties in detailed_analysis
 - severity should be: critical (system unusable/data loss), high (crash but recoverable), medium (warning/degraded), low (informational)
+- When <parsed_facts> contains registerFindings or faultingInstruction, ground root_cause in them and cite the registers they name; say so explicitly if the log contradicts them
 """
 
 def build_user_prompt(req: AnalyzeRequest) -> str:
@@ -105,10 +134,41 @@ def build_user_prompt(req: AnalyzeRequest) -> str:
         parts.append(f"Distribution: {req.distro}")
     if req.additional_context:
         parts.append(f"Additional context from the engineer: {req.additional_context}")
+
+    # The frontend strips syslog/journal prefixes; what they carried comes here.
+    meta = req.log_metadata
+    if meta:
+        if meta.hosts:
+            parts.append(f"Host(s): {', '.join(meta.hosts)}")
+        if meta.first_seen:
+            span = meta.first_seen if meta.first_seen == meta.last_seen else f"{meta.first_seen} → {meta.last_seen}"
+            parts.append(f"Wall-clock time: {span}")
+        if meta.format:
+            parts.append(f"Original log format: {meta.format}")
     
+    # Deterministically parsed by the frontend; ground the analysis in these.
+    if req.crash_event:
+        facts = {k: v for k, v in req.crash_event.items() if v not in (None, [], {}, "")}
+        parts.append(f"<parsed_facts>\n{json.dumps(facts, indent=1)}\n</parsed_facts>")
+
     parts.append("\nAnalyze this crash and respond with the JSON report.")
     return "\n\n".join(parts)
 
+def report_json(raw: str):
+    raw = raw.strip()
+
+    # Clean up in case the model wraps in ```json
+    if raw.startswith("```"):
+        raw = raw.split("\n", 1)[1]
+    if raw.endswith("```"):
+        raw = raw.rsplit("```", 1)[0]
+    raw = raw.strip()
+
+    return json.loads(raw)
+
+def parse_report(raw: str) -> AnalysisReport:
+    return AnalysisReport(**report_json(raw))
+
 # ─── Endpoint ───
 
 @app.post("/analyze", response_model=AnalysisReport)
@@ -118,25 +178,14 @@ async def analyze_crash(req: AnalyzeRequest):
 
     try:
         message = client.messages.create(
-            model="claude-sonnet-4-20250514",
-            max_tokens=4096,
+            model=MODEL,
+            max_tokens=MAX_TOKENS,
             system=SYSTEM_PROMPT,
             messages=[
                 {"role": "user", "content": build_user_prompt(req)}
             ],
         )
-
-        raw = message.content[0].text.strip()
-        
-        # Clean up in case the model wraps in ```json
-        if raw.startswith("```"):
-            raw = raw.split("\n", 1)[1]
-        if raw.endswith("```"):
-            raw = raw.rsplit("```", 1)[0]
-        raw = raw.strip()
-
-        report = json.loads(raw)
-        return AnalysisReport(**report)
+        return parse_report(message.content[0].text)
 
     except json.JSONDecodeError as e:
         raise HTTPException(status_code=500, detail=f"LLM returned invalid JSON: {str(e)}")
@@ -144,6 +193,271 @@ async def analyze_crash(req: AnalyzeRequest):
         raise HTTPException(status_code=500, detail=f"Analysis failed: {str(e)}")
 
 
+# ─── Streaming endpoint ───
+#
+# One JSON object per line (application/x-ndjson):
+#   {"type": "stage", "stage": "parsed", "log_lines": 42, "parsed_facts": true}
+#   {"type": "stage", "stage": "prompt_built", "prompt_chars": 5120}
+#   {"type": "stage", "stage": "model_started", "model": "..."}
+#   {"type": "stage", "stage": "tokens", "output_chars": 812, "field": "root_cause"}
+#   {"type": "field", "key": "crash_type", "value": "Oops"}
+#   {"type": "stage", "stage": "validated", "schema_errors": 0}
+#   {"type": "report", "report": {...}}
+# or, once the stream has started and the status can no longer change,
+#   {"type": "error", "kind": "llm_output", "detail": "...", "raw": "..."}
+#   {"type": "error", "kind": "upstream", "status": 429, "detail": "..."}
+# "llm_output" means the model answered but not with a valid report; any
+# other kind carries the HTTP status it would have had, so clients can
+# retry rate limits and overloads the same way as a failed request.
+#
+# A report that parses as JSON but doesn't match AnalysisReport is still
+# sent, unvalidated, with its "schema_errors" count: the client repairs it
+# and shows the user what it changed (src/lib/reportSchema.js). Output that
+# isn't JSON at all is an llm_output error carrying the start of the raw
+# text.
+#
+# "field" events carry each top-level report field as soon as the model has
+# finished writing it; "tokens" events are throttled and name the field
+# being written.
+
+TOKENS_EVENT_INTERVAL = 0.25  # seconds
+RAW_ERROR_CHARS = 20000
+
+_decoder = json.JSONDecoder()
+
+def _skip_ws(text: str, i: int) -> int:
+    while i < len(text) and text[i] in " \t\r\n":
+        i += 1
+    return i
+
+def completed_fields(text: str) -> tuple[dict, str | None]:
+    """
+    The top-level fields of a JSON object that are complete in `text`, a
+    prefix of the model's answer, and the key of the field still being
+    written (None before the first key or once the object is closed).
+    """
+    start = text.find("{")
+    if start < 0:
+        return {}, None
+    fields = {}
+    i = start + 1
+    while True:
+        i = _skip_ws(text, i)
+        if i >= len(text) or text[i] == "}":
+            return fields, None
+        try:
+            key, i = _decoder.raw_decode(text, i)
+        except json.JSONDecodeError:
+            return fields, None
+        i = _skip_ws(text, i)
+        if i >= len(text) or text[i] != ":":
+            return fields, key
+        try:
+            value, i = _decoder.raw_decode(text, _skip_ws(text, i + 1))
+        except json.JSONDecodeError:
+            return fields, key
+        # A number at the very end may still be growing ("8" of "85").
+        if _skip_ws(text, i) >= len(text) and not isinstance(value, (str, list, dict)):
+            return fields, key
+        fields[key] = value
+        i = _skip_ws(text, i)
+        if i < len(text) and text[i] == ",":
+            i += 1
+
+def ndjson(event: dict) -> str:
+    return json.dumps(event) + "\n"
+
+async def analysis_events(req: AnalyzeRequest):
+    yield ndjson({
+        "type": "stage",
+        "stage": "parsed",
+        "log_lines": req.log_text.count("\n") + 1,
+        "parsed_facts": bool(req.crash_event),
+    })
+    prompt = build_user_prompt(req)
+    yield ndjson({"type": "stage", "stage": "prompt_built", "prompt_chars": len(prompt)})
+
+    raw = ""
+    sent = set()
+    last_tokens_event = 0.0
+    try:
+        async with async_client.messages.stream(
+            model=MODEL,
+            max_tokens=MAX_TOKENS,
+            system=SYSTEM_PROMPT,
+            messages=[{"role": "user", "content": prompt}],
+        ) as stream:
+            yield ndjson({"type": "stage", "stage": "model_started", "model": MODEL})
+            async for chunk in stream.text_stream:
+                raw += chunk
+                fields, pending = completed_fields(raw)
+                for key, value in fields.items():
+                    if key not in sent:
+                        sent.add(key)
+                        yield ndjson({"type": "field", "key": key, "value": value})
+                now = time.monotonic()
+                if now - last_tokens_event >= TOKENS_EVENT_INTERVAL:
+                    last_tokens_event = now
+                    yield ndjson({"type": "stage", "stage": "tokens", "output_chars": len(raw), "field": pending})
+
+        data = report_json(raw)
+        try:
+            report, schema_errors = AnalysisReport.model_validate(data).model_dump(), 0
+        except ValidationError as e:
+            report, schema_errors = data, e.error_count()
+    except json.JSONDecodeError as e:
+        yield ndjson({
+            "type": "error",
+            "kind": "llm_output",
+            "detail": f"LLM returned invalid JSON: {str(e)}",
+            "raw": raw[:RAW_ERROR_CHARS],
+        })
+        return
+    except APIStatusError as e:
+        yield ndjson({"type": "error", "kind": "upstream", "status": e.status_code, "detail": f"Model API error: {e.message}"})
+        return
+    except APIConnectionError as e:
+        yield ndjson({"type": "error", "kind": "upstream", "status": 502, "detail": f"Couldn't reach the model API: {str(e)}"})
+        return
+    except Exception as e:
+        yield ndjson({"type": "error", "kind": "server", "status": 500, "detail": f"Analysis failed: {str(e)}"})
+        return
+
+    yield ndjson({"type": "stage", "stage": "validated", "schema_errors": schema_errors})
+    yield ndjson({"type": "report", "report": report})
+
+@app.post("/analyze/stream")
+async def analyze_crash_stream(req: AnalyzeRequest):
+    if not req.log_text.strip():
+        raise HTTPException(status_code=400, detail="log_text cannot be empty")
+    return StreamingResponse(
+        analysis_events(req),
+        media_type="application/x-ndjson",
+        # Keep proxies (nginx, Render) from buffering the stream.
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
 @app.get("/health")
 async def health():
     return {"status": "ok"}
+
+
+# ─── Jira ───
+#
+# The browser can't call Jira itself (CORS, and the token must not ship in
+# the frontend), so issue creation goes through here. The frontend builds
+# the fields; this only forwards them and attaches the log.
+
+JIRA_TIMEOUT = 20.0
+
+class JiraAttachment(BaseModel):
+    filename: str
+    content: str  # plain text
+
+class JiraIssueRequest(BaseModel):
+    fields: dict
+    api_version: int = 2
+    attachment: JiraAttachment | None = None
+
+def jira_base_url() -> str:
+    return os.environ.get("JIRA_BASE_URL", "").rstrip("/")
+
+def jira_auth_headers() -> dict:
+    email = os.environ.get("JIRA_EMAIL", "")
+    token = os.environ.get("JIRA_API_TOKEN", "")
+    if email and token:
+        basic = base64.b64encode(f"{email}:{token}".encode()).decode()
+        return {"Authorization": f"Basic {basic}"}
+    pat = os.environ.get("JIRA_PAT", "")
+    return {"Authorization": f"Bearer {pat}"} if pat else {}
+
+def jira_error(resp: httpx.Response) -> str:
+    try:
+        body = resp.json()
+    except ValueError:
+        return f"Jira returned {resp.status_code}: {resp.text[:300]}"
+    messages = list(body.get("errorMessages", []))
+    messages += [f"{field}: {msg}" for field, msg in body.get("errors", {}).items()]
+    return f"Jira returned {resp.status_code}: {'; '.join(messages) or resp.text[:300]}"
+
+
+@app.get("/jira/config")
+async def jira_config():
+    base = jira_base_url()
+    return {"configured": bool(base), "base_url": base}
+
+
+@app.post("/jira/issue")
+async def create_jira_issue(req: JiraIssueRequest):
+    base = jira_base_url()
+    if not base:
+        raise HTTPException(status_code=503, detail="Jira is not configured (set JIRA_BASE_URL)")
+    if req.api_version not in (2, 3):
+        raise HTTPException(status_code=400, detail="api_version must be 2 or 3")
+
+    headers = {**jira_auth_headers(), "Accept": "application/json"}
+    api = f"{base}/rest/api/{req.api_version}"
+    try:
+        async with httpx.AsyncClient(timeout=JIRA_TIMEOUT) as http:
+            resp = await http.post(f"{api}/issue", json={"fields": req.fields}, headers=headers)
+            if resp.status_code >= 300:
+                raise HTTPException(status_code=502, detail=jira_error(resp))
+            issue = resp.json()
+
+            # The issue exists at this point; a failed upload is reported, not raised.
+            attachment_error = None
+            if req.attachment:
+                files = {"file": (req.attachment.filename, req.attachment.content.encode(), "text/plain")}
+                up = await http.post(
+                    f"{api}/issue/{issue['key']}/attachments",
+                    files=files,
+                    headers={**headers, "X-Atlassian-Token": "no-check"},
+                )
+                if up.status_code >= 300:
+                    attachment_error = jira_error(up)
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=502, detail=f"Could not reach Jira at {base}: {e}")
+
+    return {
+        "key": issue["key"],
+        "id": issue.get("id"),
+        "url": f"{base}/browse/{issue['key']}",
+        "attachment_error": attachment_error,
+    }
+
+
+# ─── Slack ───
+#
+# Incoming webhooks don't answer CORS, so the browser can't see whether a
+# post worked. The webhook URL comes from the frontend's settings; only
+# allowed hosts are forwarded to, so this is not an open relay.
+
+SLACK_TIMEOUT = 10.0
+
+class SlackPostRequest(BaseModel):
+    webhook_url: str
+    payload: dict
+
+def slack_webhook_hosts() -> set[str]:
+    hosts = os.environ.get("SLACK_WEBHOOK_HOSTS", "hooks.slack.com")
+    return {h.strip().lower() for h in hosts.split(",") if h.strip()}
+
+
+@app.post("/slack/post")
+async def post_to_slack(req: SlackPostRequest):
+    url = urlparse(req.webhook_url)
+    if url.scheme not in ("http", "https") or (url.hostname or "") not in slack_webhook_hosts():
+        raise HTTPException(
+            status_code=400,
+            detail=f"Webhook host {url.hostname or '?'} is not allowed (SLACK_WEBHOOK_HOSTS)",
+        )
+    try:
+        async with httpx.AsyncClient(timeout=SLACK_TIMEOUT) as http:
+            resp = await http.post(req.webhook_url, json=req.payload)
+    except httpx.HTTPError as e:
+        raise HTTPException(status_code=502, detail=f"Could not reach Slack: {e}")
+    # Slack answers 200 "ok", or 4xx with a short reason ("invalid_blocks").
+    if resp.status_code >= 300:
+        raise HTTPException(status_code=502, detail=f"Slack returned {resp.status_code}: {resp.text[:300]}")
+    return {"ok": True}
@@ -1,4 +1,43 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo, useDeferredValue } from "react";
+import Badge from "./components/Badge.jsx";
+import EventList from "./components/EventList.jsx";
+import LogViewer from "./components/LogViewer.jsx";
+import { segmentEvents, EVENT_KINDS } from "./lib/segment.js";
+import { normalizeLog, summarizeLines, stripPrefixes } from "./lib/prefix.js";
+import { readLogFile, formatBytes } from "./lib/decompress.js";
+import { importJournal } from "./lib/journal.js";
+import { parseCrashEvent, crashEventForPrompt, validateCrashEvent } from "./lib/crashEvent.js";
+import { detectKernel, describeKernel } from "./lib/kernelVersion.js";
+import { analyzeOffline } from "./lib/ruleEngine.js";
+import { loadHistory, saveAnalysis, deleteAnalysis, validateEntryMeta } from "./lib/historyStore.js";
+import {
+  filterHistory,
+  historyFacets,
+  findDuplicates,
+  EMPTY_HISTORY_FILTERS,
+} from "./lib/historyQuery.js";
+import { fingerprintCrash } from "./lib/fingerprint.js";
+import HistoryFilters from "./components/HistoryFilters.jsx";
+import ClusterDashboard from "./components/ClusterDashboard.jsx";
+import JiraDialog from "./components/JiraDialog.jsx";
+import SlackDialog from "./components/SlackDialog.jsx";
+import UpstreamReportDialog from "./components/UpstreamReportDialog.jsx";
+import ReportView from "./components/ReportView.jsx";
+import EvidenceDialog from "./components/EvidenceDialog.jsx";
+import ErrorBoundary from "./components/ErrorBoundary.jsx";
+import { printReport } from "./lib/reportPrint.js";
+import {
+  reportMarkdown,
+  reportJson,
+  importReportJson,
+  downloadFile,
+  reportFileStem,
+} from "./lib/reportExport.js";
+import { reportPermalink, compactPermalink, decodeReport } from "./lib/permalink.js";
+import { BUTTON_URL_MAX } from "./lib/slack.js";
+import { useRoute, navigate } from "./lib/router.js";
+import { analyzeWithRetry } from "./lib/analysisStream.js";
+import { validateReport, normalizeReportField } from "./lib/reportSchema.js";
 
 const SAMPLE_LOG = `[  123.456789] BUG: unable to handle page fault for address: ffff8881a3c04000
 [  123.456790] #PF: supervisor read access in kernel mode
@@ -27,6 +66,9 @@ const SAMPLE_LOG = `[  123.456789] BUG: unable to handle page fault for address:
 [  123.456813] Kernel panic - not syncing: Fatal exception`;
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:8000";
+// Whole analysis, retries included; adjustable next to the engine switch.
+const DEFAULT_TIMEOUT_S = Number(import.meta.env.VITE_ANALYZE_TIMEOUT_S) || 180;
+const TIMEOUT_OPTIONS_S = [...new Set([60, 180, 300, 600, DEFAULT_TIMEOUT_S])].sort((a, b) => a - b);
 
 const SEVERITY_CONFIG = {
   critical: { color: "#ff3b30", bg: "rgba(255,59,48,0.12)", label: "CRITICAL" },
@@ -35,6 +77,14 @@ const SEVERITY_CONFIG = {
   low: { color: "#30d158", bg: "rgba(48,209,88,0.12)", label: "LOW" },
 };
 
+function describeJournalImport(journal, source) {
+  const hosts = [...new Set(journal.boots.flatMap((b) => b.hosts))];
+  const what = journal.kernelEntries
+    ? `${journal.kernelEntries} kernel messages`
+    : `${journal.totalEntries} messages (no kernel transport entries)`;
+  return `Imported journalctl -o ${journal.format} from ${source}: ${what} across ${journal.boots.length} boot${journal.boots.length === 1 ? "" : "s"}${hosts.length ? ` on ${hosts.join(", ")}` : ""}`;
+}
+
 const DISTROS = [
   "Auto-detect",
   "Ubuntu",
@@ -47,6 +97,60 @@ const DISTROS = [
   "Other",
 ];
 
+// ─── Entries loaded from IndexedDB ───
+// Imports from older versions went into the history unchecked, so stored
+// reports, events and metadata go through the same validation as new ones.
+function checkStoredEntry(e) {
+  const report = validateReport(e.report);
+  const crashEvent = validateCrashEvent(e.crashEvent);
+  const meta = validateEntryMeta({
+    ...e,
+    // Entries saved before signatures existed get one on load.
+    signature: e.signature === undefined ? fingerprintCrash(crashEvent) : e.signature,
+  });
+  return {
+    ...e,
+    ...meta,
+    engine: meta.engine || "llm",
+    crash_type: report.crash_type,
+    severity: report.severity,
+    subsystem: report.affected_subsystem,
+    report,
+    crashEvent,
+  };
+}
+
+// ─── Earlier occurrences of the same crash signature ───
+// "Seen 14 times since Oct 2, last on NCLIM014"
+function describeDuplicates({ count, first, last }) {
+  const day = (t) => new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const host = last.hosts?.[0];
+  return count === 1
+    ? `Seen once before, ${day(last.createdAt)}${host ? ` on ${host}` : ""}`
+    : `Seen ${count} times since ${day(first.createdAt)}, last ${host ? `on ${host}` : day(last.createdAt)}`;
+}
+
+// ─── "Auto-detected" marker for the optional context fields ───
+function AutoTag({ source, flavour }) {
+  const from = source === "cpu" ? "the oops CPU line" : "the Linux version banner";
+  return (
+    <span
+      title={`Detected from ${from}${flavour ? ` (${flavour})` : ""} — edit to override`}
+      style={{
+        marginLeft: 8,
+        padding: "1px 6px",
+        borderRadius: 4,
+        background: "rgba(90,200,250,0.1)",
+        color: "#5ac8fa",
+        fontSize: 9,
+        letterSpacing: 0.8,
+      }}
+    >
+      auto-detected
+    </span>
+  );
+}
+
 // ─── Scanline / CRT background effect ───
 function Scanlines() {
   return (
@@ -64,162 +168,38 @@ function Scanlines() {
   );
 }
 
-// ─── Typed text effect ───
-function TypeWriter({ text, speed = 12, onDone }) {
-  const [displayed, setDisplayed] = useState("");
-  const idx = useRef(0);
-  useEffect(() => {
-    idx.current = 0;
-    setDisplayed("");
-    const iv = setInterval(() => {
-      idx.current++;
-      setDisplayed(text.slice(0, idx.current));
-      if (idx.current >= text.length) {
-        clearInterval(iv);
-        onDone && onDone();
-      }
-    }, speed);
-    return () => clearInterval(iv);
-  }, [text]);
-  return <span>{displayed}</span>;
-}
-
-// ─── Animated progress bar ───
-function ConfidenceBar({ value }) {
-  const [width, setWidth] = useState(0);
-  useEffect(() => {
-    setTimeout(() => setWidth(value), 100);
-  }, [value]);
-  const color =
-    value >= 85 ? "#30d158" : value >= 65 ? "#ffd60a" : "#ff9500";
-  return (
-    <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
-      <div
-        style={{
-          flex: 1,
-          height: 6,
-          background: "rgba(255,255,255,0.06)",
-          borderRadius: 3,
-          overflow: "hidden",
-        }}
-      >
-        <div
-          style={{
-            width: `${width}%`,
-            height: "100%",
-            background: color,
-            borderRadius: 3,
-            transition: "width 1.2s cubic-bezier(0.22,1,0.36,1)",
-          }}
-        />
-      </div>
-      <span
-        style={{
-          fontFamily: "'JetBrains Mono', monospace",
-          fontSize: 14,
-          color,
-          fontWeight: 700,
-          minWidth: 42,
-        }}
-      >
-        {value}%
-      </span>
-    </div>
-  );
-}
+// ─── Loading / analyzing animation ───
 
-// ─── Expandable section ───
-function Expandable({ title, children, defaultOpen = false, icon }) {
-  const [open, setOpen] = useState(defaultOpen);
-  return (
-    <div
-      style={{
-        borderTop: "1px solid rgba(255,255,255,0.06)",
-        marginTop: 2,
-      }}
-    >
-      <button
-        onClick={() => setOpen(!open)}
-        style={{
-          display: "flex",
-          alignItems: "center",
-          gap: 10,
-          width: "100%",
-          background: "none",
-          border: "none",
-          color: "#c8ccd0",
-          padding: "14px 0",
-          cursor: "pointer",
-          fontFamily: "'JetBrains Mono', monospace",
-          fontSize: 13,
-          fontWeight: 600,
-          letterSpacing: 0.5,
-          textTransform: "uppercase",
-        }}
-      >
-        <span
-          style={{
-            transform: open ? "rotate(90deg)" : "rotate(0deg)",
-            transition: "transform 0.2s",
-            fontSize: 11,
-            color: "#5ac8fa",
-          }}
-        >
-          ▶
-        </span>
-        {icon && <span style={{ fontSize: 15 }}>{icon}</span>}
-        {title}
-      </button>
-      <div
-        style={{
-          maxHeight: open ? 2000 : 0,
-          overflow: "hidden",
-          transition: "max-height 0.4s cubic-bezier(0.22,1,0.36,1)",
-        }}
-      >
-        <div style={{ paddingBottom: 16 }}>{children}</div>
-      </div>
-    </div>
-  );
-}
+const kB = (chars) => `${(chars / 1024).toFixed(1)} kB`;
 
-// ─── Badge component ───
-function Badge({ label, color, bg }) {
-  return (
-    <span
-      style={{
-        display: "inline-block",
-        padding: "4px 12px",
-        borderRadius: 4,
-        fontSize: 11,
-        fontWeight: 800,
-        fontFamily: "'JetBrains Mono', monospace",
-        letterSpacing: 1.2,
-        color,
-        background: bg,
-        border: `1px solid ${color}33`,
-        textTransform: "uppercase",
-      }}
-    >
-      {label}
-    </span>
-  );
+// One overlay line per stage event from /analyze/stream.
+function describeStage(event) {
+  switch (event.stage) {
+    case "parsed":
+      return `Backend received ${event.log_lines} log lines${event.parsed_facts ? " and the parsed facts" : ""}`;
+    case "prompt_built":
+      return `Prompt built (${kB(event.prompt_chars)})`;
+    case "model_started":
+      return `${event.model} started`;
+    case "tokens":
+      return `Receiving report — ${kB(event.output_chars)}${event.field ? `, writing ${event.field}` : ""}`;
+    case "validated":
+      return event.schema_errors
+        ? `Report has ${event.schema_errors} schema problem${event.schema_errors === 1 ? "" : "s"} — repairing`
+        : "Report validated against the schema";
+    case "retry":
+      return `${event.error.message} — attempt ${event.attempt} of ${event.attempts} in ${Math.ceil(event.delayMs / 1000)} s`;
+    default:
+      return event.stage;
+  }
 }
 
-// ─── Loading / analyzing animation ───
-function AnalyzingOverlay() {
+function AnalyzingOverlay({ segmentation, stages, onCancel }) {
   const [dots, setDots] = useState("");
-  const [lines, setLines] = useState([]);
-  const allLines = [
-    "Parsing crash log...",
-    "Segmenting kernel panic event...",
-    "Extracting call trace frames...",
-    "Detecting kernel version...",
-    "Querying RAG knowledge base...",
-    "Matching against CVE database...",
-    "Running LLM root-cause analysis...",
-    "Cross-checking with rule engine...",
-    "Generating report...",
+  // The last line is the one in progress.
+  const lines = [
+    segmentation,
+    ...(stages.length ? stages.map(describeStage) : ["Sending to the backend"]),
   ];
 
   useEffect(() => {
@@ -227,17 +207,7 @@ function AnalyzingOverlay() {
       () => setDots((d) => (d.length >= 3 ? "" : d + ".")),
       400
     );
-    let i = 0;
-    const lineIv = setInterval(() => {
-      if (i < allLines.length) {
-        setLines((prev) => [...prev, allLines[i]]);
-        i++;
-      }
-    }, 350);
-    return () => {
-      clearInterval(dotIv);
-      clearInterval(lineIv);
-    };
+    return () => clearInterval(dotIv);
   }, []);
 
   return (
@@ -252,14 +222,37 @@ function AnalyzingOverlay() {
     >
       <div
         style={{
-          fontFamily: "'JetBrains Mono', monospace",
-          fontSize: 14,
-          color: "#5ac8fa",
-          fontWeight: 700,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
           marginBottom: 20,
         }}
       >
-        ⟐ ANALYZING{dots}
+        <span
+          style={{
+            fontFamily: "'JetBrains Mono', monospace",
+            fontSize: 14,
+            color: "#5ac8fa",
+            fontWeight: 700,
+          }}
+        >
+          ⟐ ANALYZING{dots}
+        </span>
+        <button
+          onClick={onCancel}
+          style={{
+            background: "rgba(255,255,255,0.03)",
+            border: "1px solid rgba(255,255,255,0.08)",
+            borderRadius: 6,
+            padding: "6px 14px",
+            color: "#8b95a5",
+            fontFamily: "'JetBrains Mono', monospace",
+            fontSize: 11,
+            cursor: "pointer",
+          }}
+        >
+          ✕ Cancel
+        </button>
       </div>
       <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
         {lines.map((line, i) => (
@@ -306,86 +299,600 @@ function AnalyzingOverlay() {
   );
 }
 
+// ─── Analysis failure, by kind (see AnalysisError) ───
+// In "auto" mode a backend that can't be reached doesn't get here: the rule
+// engine stands in and the report's banner names the failure. Retrying the
+// backend from there (or from this card) doesn't fall back again.
+const ANALYSIS_ERRORS = {
+  unreachable: {
+    title: "Backend unreachable",
+    hint: "No response, or the connection dropped before the report arrived. Check that the backend is running and reachable from this browser, then retry — or analyze offline.",
+  },
+  validation: {
+    title: "Request rejected",
+    hint: "The backend refused the input. Check that the selected event or log has content, then try again.",
+  },
+  llm_output: {
+    title: "The model returned an unusable report",
+    hint: "Its answer wasn't valid JSON. This is usually a one-off: retry, or analyze offline.",
+  },
+  rate_limited: {
+    title: "Rate limited",
+    hint: "The model API is throttling requests. Wait a minute before retrying.",
+  },
+  server: {
+    title: "Backend error",
+    hint: "The backend failed while analyzing; its log has the details.",
+  },
+  timeout: {
+    title: "Timed out",
+    hint: "Raise the timeout next to the engine switch, analyze a single event instead of the entire log, or analyze offline.",
+  },
+};
+
+function AnalysisErrorCard({ error, onRetry, onOffline }) {
+  const ui = ANALYSIS_ERRORS[error.kind] || { title: "Analysis failed", hint: null };
+  const buttonStyle = {
+    background: "rgba(255,59,48,0.08)",
+    border: "1px solid rgba(255,59,48,0.25)",
+    borderRadius: 6,
+    padding: "6px 14px",
+    color: "#ff6961",
+    fontFamily: "inherit",
+    fontSize: 11,
+    cursor: "pointer",
+  };
+  return (
+    <div
+      style={{
+        marginTop: 24,
+        padding: 20,
+        background: "rgba(255,59,48,0.08)",
+        border: "1px solid rgba(255,59,48,0.2)",
+        borderRadius: 8,
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: 13,
+        color: "#ff6961",
+        animation: "fadeSlideIn 0.3s ease-out",
+      }}
+    >
+      <strong>
+        {ui.title}
+        {error.status ? ` (${error.status})` : ""}:
+      </strong>{" "}
+      {error.message}
+      {error.attempts > 1 && <span style={{ color: "#8b5555" }}> — after {error.attempts} attempts</span>}
+      {ui.hint && <div style={{ marginTop: 8, fontSize: 11, color: "#8b5555" }}>{ui.hint}</div>}
+      {error.raw && (
+        <details style={{ marginTop: 8, fontSize: 11 }}>
+          <summary style={{ cursor: "pointer", color: "#8b5555" }}>Raw response</summary>
+          <pre
+            style={{
+              margin: "6px 0 0",
+              padding: 10,
+              maxHeight: 320,
+              overflow: "auto",
+              background: "rgba(0,0,0,0.3)",
+              borderRadius: 6,
+              color: "#a0a0b0",
+              whiteSpace: "pre-wrap",
+              wordBreak: "break-word",
+            }}
+          >
+            {error.raw}
+          </pre>
+        </details>
+      )}
+      <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+        <button onClick={onRetry} style={buttonStyle}>
+          ⟳ Retry
+        </button>
+        <button onClick={onOffline} style={buttonStyle}>
+          ⟐ Analyze offline
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ─── #/report/:id that can't be shown ───
+function ReportOpenError({ message }) {
+  return (
+    <div
+      style={{
+        marginTop: 24,
+        padding: 20,
+        background: "rgba(255,59,48,0.08)",
+        border: "1px solid rgba(255,59,48,0.2)",
+        borderRadius: 8,
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: 13,
+        color: "#ff6961",
+      }}
+    >
+      <strong>Can&apos;t open this report:</strong> {message}
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════
 //  MAIN APP
 // ═══════════════════════════════════════════════════
 export default function KernelCrashAnalyzer() {
   const [logText, setLogText] = useState("");
-  const [kernelVersion, setKernelVersion] = useState("");
-  const [distro, setDistro] = useState("Auto-detect");
+  // null until the user edits the field: the value detected from the log is used.
+  const [kernelVersion, setKernelVersion] = useState(null);
+  const [distro, setDistro] = useState(null);
   const [context, setContext] = useState("");
   const [showOptional, setShowOptional] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
   const [report, setReport] = useState(null);
+  // While analyzing: /analyze/stream stage events, and the report fields
+  // received so far.
+  const [stages, setStages] = useState([]);
+  const [partialReport, setPartialReport] = useState(null);
+  // AnalysisError of the last run; cancelling leaves it null.
   const [error, setError] = useState(null);
+  const [timeoutS, setTimeoutS] = useState(DEFAULT_TIMEOUT_S);
+  const abortRef = useRef(null);
   const [feedback, setFeedback] = useState(null);
   const [dragOver, setDragOver] = useState(false);
   const [history, setHistory] = useState([]);
-  const [activeTab, setActiveTab] = useState("analyzer");
+  const [historyFilters, setHistoryFilters] = useState(EMPTY_HISTORY_FILTERS);
+  const [historyView, setHistoryView] = useState("list");
+  const [historyStorageError, setHistoryStorageError] = useState(null);
+  const [copiedSignature, setCopiedSignature] = useState(null);
+  // Which clipboard action ("markdown" | "link") just succeeded.
+  const [copiedAction, setCopiedAction] = useState(null);
+  const [importError, setImportError] = useState(null);
+  // The entry the last analysis created; it is not a "previous" sighting.
+  const [lastEntryId, setLastEntryId] = useState(null);
+  // History entry behind the report on screen: its log, hosts and kernel
+  // feed the exports.
+  const [reportEntry, setReportEntry] = useState(null);
+  // "jira" | "slack" | "upstream" while a share dialog is open.
+  const [shareDialog, setShareDialog] = useState(null);
+  // { url, complete } from compactPermalink, null when there is none.
+  const [slackLink, setSlackLink] = useState(null);
+  // History entry shown side by side with its log.
+  const [evidenceEntry, setEvidenceEntry] = useState(null);
+  const route = useRoute();
+  // The report decoded from a shared link: { data, entry } or { data, error }.
+  const [sharedReport, setSharedReport] = useState(null);
+  const [historyLoaded, setHistoryLoaded] = useState(false);
+  // "all", "range" (lineRange, picked in the log viewer) or an event id.
+  const [selectedEventId, setSelectedEventId] = useState(null);
+  const [lineRange, setLineRange] = useState(null);
+  // "text" edits the log; "viewer" browses it (virtualised, read-only).
+  const [inputMode, setInputMode] = useState("text");
+  const [fileStatus, setFileStatus] = useState(null);
+  const [crashEvent, setCrashEvent] = useState(null);
+  // "auto": the backend, falling back to the rule engine when it fails;
+  // "rules": never leave the machine.
+  const [engine, setEngine] = useState("auto");
   const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
   const reportRef = useRef(null);
 
-  const handleAnalyze = async () => {
+  // Stored analyses; anything analyzed before the load finishes is kept.
+  useEffect(() => {
+    loadHistory()
+      .then((stored) =>
+        setHistory((prev) => [
+          ...prev,
+          ...stored
+            .filter((e) => !prev.some((p) => p.id === e.id))
+            .map(checkStoredEntry),
+        ])
+      )
+      .catch((err) => setHistoryStorageError(err.message || "IndexedDB unavailable"))
+      .finally(() => setHistoryLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    if (!route.data) return;
+    let cancelled = false;
+    decodeReport(route.data)
+      .then((entry) => !cancelled && setSharedReport({ data: route.data, entry }))
+      .catch((err) => !cancelled && setSharedReport({ data: route.data, error: err.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [route.data]);
+  const visibleHistory = useMemo(
+    () => filterHistory(history, historyFilters),
+    [history, historyFilters]
+  );
+  const historyOptions = useMemo(() => historyFacets(history), [history]);
+
+  // Segmentation runs on the deferred text so typing / pasting a multi-MB
+  // syslog doesn't block the textarea.
+  const deferredLog = useDeferredValue(logText);
+  const parsedLines = useMemo(() => normalizeLog(deferredLog), [deferredLog]);
+  const logSummary = useMemo(() => summarizeLines(parsedLines), [parsedLines]);
+  const events = useMemo(() => segmentEvents(parsedLines), [parsedLines]);
+  const logBytes = useMemo(() => new TextEncoder().encode(deferredLog).length, [deferredLog]);
+  // A range left over from a longer log no longer applies.
+  const pickedRange = lineRange && lineRange.end < parsedLines.length ? lineRange : null;
+  const range = selectedEventId === "range" ? pickedRange : null;
+  const selectedEvent =
+    selectedEventId === "all" || range
+      ? null
+      : events.find((ev) => ev.id === selectedEventId) || events[0] || null;
+
+  // With "Entire log" selected the facts still come from the first event;
+  // a line range is taken as it is.
+  const factsEvent = range ? null : selectedEvent || events[0];
+  const liveEvent = useMemo(
+    () =>
+      parseCrashEvent(
+        range
+          ? parsedLines.slice(range.start, range.end + 1)
+          : factsEvent
+            ? parsedLines.slice(factsEvent.startLine, factsEvent.endLine + 1)
+            : parsedLines
+      ),
+    [parsedLines, factsEvent, range]
+  );
+  const hasFacts = Boolean(liveEvent.headline || liveEvent.rip || liveEvent.frames.length);
+  const signature = useMemo(() => (hasFacts ? fingerprintCrash(liveEvent) : null), [hasFacts, liveEvent]);
+  const duplicates = findDuplicates(
+    history.filter((e) => e.id !== lastEntryId),
+    signature
+  );
+
+  const describeSegmentation = () => {
+    if (range) {
+      return `Sending lines ${range.start + 1}–${range.end + 1} (${range.end - range.start + 1} lines)`;
+    }
+    if (!selectedEvent) {
+      return events.length
+        ? `Segmented ${events.length} kernel events — sending entire log`
+        : "No discrete kernel event found — sending entire log";
+    }
+    return `Segmented ${events.length} kernel event${events.length === 1 ? "" : "s"} — analyzing #${selectedEvent.index} (${EVENT_KINDS[selectedEvent.kind].label})`;
+  };
+
+  // The selected event's CPU line identifies the kernel that crashed; fall
+  // back to the rest of the log (boot banner) when it didn't print one.
+  const detectedKernel = useMemo(
+    () =>
+      (selectedEvent &&
+        detectKernel(parsedLines.slice(selectedEvent.startLine, selectedEvent.endLine + 1))) ||
+      detectKernel(parsedLines),
+    [parsedLines, selectedEvent]
+  );
+  const kernelAuto = kernelVersion === null && Boolean(detectedKernel);
+  const distroAuto = distro === null && Boolean(detectedKernel?.distro);
+  const effectiveKernel = kernelVersion ?? detectedKernel?.release ?? "";
+  const effectiveDistro = distro ?? detectedKernel?.distro ?? "Auto-detect";
+
+  // runEngine: "auto" or "rules" as in the engine switch, or "llm" for the
+  // backend without the rule-engine fallback.
+  const handleAnalyze = async (runEngine = engine) => {
     if (!logText.trim()) return;
+    const scope = range
+      ? parsedLines.slice(range.start, range.end + 1)
+      : selectedEvent
+        ? parsedLines.slice(selectedEvent.contextStart, selectedEvent.contextEnd + 1)
+        : parsedLines;
+    const scopeSummary = summarizeLines(scope);
+    setCrashEvent(hasFacts ? liveEvent : null);
     setAnalyzing(true);
+    setStages([]);
+    setPartialReport(null);
     setReport(null);
     setError(null);
     setFeedback(null);
+    const distroName = effectiveDistro === "Auto-detect" ? "" : effectiveDistro;
+    const controller = new AbortController();
+    abortRef.current = controller;
 
-    try {
-      const response = await fetch(`${API_URL}/analyze`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          log_text: logText,
-          kernel_version: kernelVersion,
-          distro: distro === "Auto-detect" ? "" : distro,
+    // Stage events drive the overlay; fields fill in the report as the
+    // model finishes writing each one. A retry starts the report over. The
+    // finished report is normalised before anything renders or stores it.
+    const requestAnalysis = () =>
+      analyzeWithRetry(
+        API_URL,
+        {
+          log_text: stripPrefixes(scope),
+          log_metadata: {
+            format: scopeSummary.formatLabel,
+            hosts: scopeSummary.hosts,
+            first_seen: scopeSummary.firstTime || "",
+            last_seen: scopeSummary.lastTime || "",
+          },
+          crash_event: hasFacts ? crashEventForPrompt(liveEvent) : null,
+          kernel_version: effectiveKernel,
+          distro: distroName,
           additional_context: context,
-        }),
-      });
+        },
+        {
+          signal: controller.signal,
+          timeoutMs: timeoutS * 1000,
+          onEvent: (event) => {
+            if (event.type === "field") {
+              const { value } = normalizeReportField(event.key, event.value);
+              setPartialReport((prev) => ({ ...prev, [event.key]: value }));
+            } else if (event.type === "stage") {
+              // Token counts update their line instead of adding one each time.
+              setStages((prev) =>
+                event.stage === "tokens" && prev.at(-1)?.stage === "tokens"
+                  ? [...prev.slice(0, -1), event]
+                  : [...prev, event]
+              );
+            }
+          },
+          onRetry: (info) => {
+            setPartialReport(null);
+            setStages((prev) => [...prev, { stage: "retry", ...info }]);
+          },
+        }
+      ).then(validateReport);
 
-      if (!response.ok) {
-        const errData = await response.json().catch(() => ({}));
-        throw new Error(errData.detail || `Server returned ${response.status}`);
-      }
+    // The rule engine needs nothing but the parsed log, so it also stands in
+    // when the backend can't be reached. Any other failure is reported as
+    // what it is, with the rule engine one click away.
+    const analyzeWithRules = (fallbackReason) => ({
+      ...analyzeOffline({
+        event: liveEvent,
+        lines: scope,
+        segmentKind: factsEvent?.kind,
+        kernel: effectiveKernel,
+        distro: distroName,
+      }),
+      fallback_reason: fallbackReason,
+    });
 
-      const data = await response.json();
+    try {
+      const data =
+        runEngine === "rules"
+          ? analyzeWithRules(null)
+          : await requestAnalysis().catch((err) => {
+              if (err.kind !== "unreachable" || runEngine !== "auto") throw err;
+              setPartialReport(null);
+              return analyzeWithRules(err.message);
+            });
       setReport(data);
-      setHistory((prev) => [
-        {
-          id: Date.now(),
-          date: new Date().toLocaleString(),
-          crash_type: data.crash_type,
-          severity: data.severity,
-          kernel: kernelVersion || "auto-detected",
-          subsystem: data.affected_subsystem,
+      const now = Date.now();
+      const entry = {
+        id: now,
+        createdAt: now,
+        crash_type: data.crash_type,
+        severity: data.severity,
+        kernel: effectiveKernel || "unknown",
+        distro: distroName,
+        flavour: kernelAuto ? detectedKernel.flavour : null,
+        subsystem: data.affected_subsystem,
+        engine: data.engine || "llm",
+        hosts: scopeSummary.hosts,
+        headline: liveEvent.headline,
+        signature,
+        report: data,
+        log: scope.map((l) => l.raw).join("\n"),
+        input: {
+          kernelVersion,
+          distro,
+          context,
+          scope: range
+            ? `Lines ${range.start + 1}–${range.end + 1}`
+            : selectedEvent
+              ? selectedEvent.title
+              : "Entire log",
         },
-        ...prev,
-      ]);
+        crashEvent: hasFacts ? liveEvent : null,
+      };
+      setHistory((prev) => [entry, ...prev]);
+      setLastEntryId(entry.id);
+      setReportEntry(entry);
+      saveAnalysis(entry).catch((err) =>
+        setHistoryStorageError(err.message || "IndexedDB unavailable")
+      );
       setTimeout(() => {
         reportRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
       }, 100);
     } catch (err) {
-      setError(err.message);
+      setPartialReport(null);
+      if (err.kind !== "cancelled") setError(err);
     } finally {
+      abortRef.current = null;
       setAnalyzing(false);
     }
   };
 
-  const handleFileDrop = (e) => {
+  const handleCancelAnalysis = () => abortRef.current?.abort();
+
+  const handleFileDrop = async (e) => {
     e.preventDefault();
     setDragOver(false);
     const file = e.dataTransfer?.files?.[0] || e.target?.files?.[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (ev) => setLogText(ev.target.result);
-      reader.readAsText(file);
+    if (!file) return;
+    if (e.target?.value) e.target.value = "";
+    setFileStatus({ message: `Reading ${file.name}...` });
+    try {
+      const loaded = await readLogFile(file);
+      const journal = importJournal(loaded.text, loaded.bytes);
+      if (journal) {
+        setLogText(journal.text);
+        setFileStatus({ message: describeJournalImport(journal, loaded.name) });
+        return;
+      }
+      setLogText(loaded.text);
+      setFileStatus({
+        message:
+          loaded.format === "text"
+            ? `Loaded ${loaded.name} (${formatBytes(loaded.size)})`
+            : `Loaded ${loaded.name} — ${loaded.formatLabel}, ${formatBytes(loaded.compressedSize)} → ${formatBytes(loaded.size)}`,
+      });
+    } catch (err) {
+      setFileStatus({ error: true, message: `${file.name}: ${err.message}` });
     }
   };
 
+  // JSON / export journal dumps are converted on paste; plain logs paste as-is.
+  const handleLogPaste = (e) => {
+    const journal = importJournal(e.clipboardData.getData("text"));
+    if (!journal) return;
+    e.preventDefault();
+    setLogText(journal.text);
+    setFileStatus({ message: describeJournalImport(journal, "clipboard") });
+  };
+
   const handleLoadSample = () => setLogText(SAMPLE_LOG);
 
-  const sev = report ? SEVERITY_CONFIG[report.severity] : null;
+  // A range picked in the log viewer replaces the event as what is analyzed.
+  const handleSelectRange = (selection) => {
+    setLineRange(selection);
+    setSelectedEventId("range");
+  };
+
+  // Put a stored analysis back on screen exactly as it was produced: its
+  // log segment in the editor, the form inputs, the facts and the report.
+  const showStoredReport = (entry) => {
+    setCrashEvent(entry.crashEvent);
+    setReport(entry.report);
+    setReportEntry(entry);
+    setError(null);
+    setFeedback(null);
+    setTimeout(() => {
+      reportRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+    }, 100);
+  };
+
+  const handleOpenHistory = (entry) => {
+    setLogText(entry.log);
+    setKernelVersion(entry.input.kernelVersion);
+    setDistro(entry.input.distro);
+    setContext(entry.input.context);
+    setShowOptional(Boolean(entry.input.context || entry.input.kernelVersion || entry.input.distro));
+    setSelectedEventId(null);
+    setFileStatus({
+      message: `Reopened analysis from ${new Date(entry.createdAt).toLocaleString()} (${entry.input.scope})`,
+    });
+    navigate({ name: "analyzer" });
+    showStoredReport(entry);
+  };
+
+  const handleCopySignature = (entry) => {
+    navigator.clipboard
+      ?.writeText(`${entry.signature.id} ${entry.signature.text}`)
+      .then(() => {
+        setCopiedSignature(entry.id);
+        setTimeout(() => setCopiedSignature(null), 1500);
+      })
+      .catch(() => {});
+  };
+
+  // Clipboard actions show "✓ Copied" on their button for a moment. `text`
+  // may be a promise (permalinks are compressed asynchronously).
+  const copyToClipboard = (action, text) =>
+    Promise.resolve(text)
+      .then((t) => navigator.clipboard.writeText(t))
+      .then(() => {
+        setCopiedAction(action);
+        setTimeout(() => setCopiedAction(null), 1500);
+      })
+      .catch(() => {});
+
+  // The Slack message links back to the report, trimmed to fit a button.
+  const handleShareSlack = () =>
+    compactPermalink(reportEntry, BUTTON_URL_MAX)
+      .catch(() => null)
+      .then((link) => {
+        setSlackLink(link);
+        setShareDialog("slack");
+      });
+
+  // Export and share actions for a report and the history entry behind it.
+  // A shared report is read-only: nothing that writes back to the entry.
+  const reportActions = (entry, { readOnly = false } = {}) => {
+    const args = { report: entry.report, crashEvent: entry.crashEvent, meta: entry };
+    return [
+      // Shared links carry no log to show.
+      ...(entry.log && entry.crashEvent
+        ? [{ label: "⇆ Evidence", onClick: () => setEvidenceEntry(entry) }]
+        : []),
+      { label: "📄 Export PDF", onClick: () => printReport(args) },
+      {
+        label: copiedAction === "markdown" ? "✓ Copied" : "📋 Copy as Markdown",
+        onClick: () => copyToClipboard("markdown", reportMarkdown(args)),
+      },
+      {
+        label: "⤓ Download JSON",
+        onClick: () =>
+          downloadFile(
+            `${reportFileStem(entry)}.json`,
+            JSON.stringify(reportJson(entry), null, 2),
+            "application/json"
+          ),
+      },
+      {
+        label: copiedAction === "link" ? "✓ Link copied" : "🔗 Copy Link",
+        onClick: () => copyToClipboard("link", reportPermalink(entry)),
+      },
+      ...(readOnly
+        ? []
+        : [
+            {
+              label: entry.jira ? `🎫 ${entry.jira.key}` : "🎫 Create Jira Ticket",
+              onClick: () => setShareDialog("jira"),
+            },
+            { label: "💬 Share to Slack", onClick: handleShareSlack },
+            { label: "📨 Upstream Report", onClick: () => setShareDialog("upstream") },
+          ]),
+    ];
+  };
+
+  // An exported report goes into the history (replacing the same analysis
+  // if it is already there) and opens like any stored one.
+  const handleImportReport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = "";
+    setImportError(null);
+    try {
+      const entry = importReportJson(await file.text());
+      setHistory((prev) => [entry, ...prev.filter((p) => p.id !== entry.id)]);
+      saveAnalysis(entry).catch((err) =>
+        setHistoryStorageError(err.message || "IndexedDB unavailable")
+      );
+      handleOpenHistory(entry);
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  // The issue key goes back into the history entry so the ticket is found
+  // again from the report and the history list.
+  const handleJiraCreated = (issue) => {
+    const updated = { ...reportEntry, jira: { key: issue.key, url: issue.url } };
+    setReportEntry(updated);
+    setHistory((prev) => prev.map((e) => (e.id === updated.id ? updated : e)));
+    saveAnalysis(updated).catch((err) =>
+      setHistoryStorageError(err.message || "IndexedDB unavailable")
+    );
+  };
+
+  const handleDeleteHistory = (id) => {
+    setHistory((prev) => prev.filter((e) => e.id !== id));
+    deleteAnalysis(id).catch((err) => setHistoryStorageError(err.message || "IndexedDB unavailable"));
+  };
+
+  // #/report/:id shows a shared link's report, else the entry from this
+  // browser's history. Either way it is read-only: nothing is re-analyzed.
+  const viewedReport = () => {
+    if (route.name !== "report") return null;
+    if (route.data) return sharedReport?.data === route.data ? sharedReport : { loading: true };
+    const entry = history.find((e) => String(e.id) === route.id);
+    if (entry) return { entry };
+    return historyLoaded
+      ? {
+          error:
+            "This analysis isn't in this browser's history. Ask for a link made with Copy Link — it carries the report itself.",
+        }
+      : { loading: true };
+  };
+  const viewed = viewedReport();
 
   return (
     <>
@@ -448,6 +955,8 @@ export default function KernelCrashAnalyzer() {
         .fix-item:hover { background: rgba(90,200,250,0.04); }
 
         .history-row:hover { background: rgba(255,255,255,0.03) !important; }
+
+        .event-row:hover { background: rgba(255,255,255,0.03) !important; }
       `}</style>
 
       <Scanlines />
@@ -548,14 +1057,14 @@ export default function KernelCrashAnalyzer() {
                 <button
                   key={tab.key}
                   className="nav-btn"
-                  onClick={() => setActiveTab(tab.key)}
+                  onClick={() => navigate({ name: tab.key })}
                   style={{
                     background:
-                      activeTab === tab.key
+                      route.name === tab.key
                         ? "rgba(90,200,250,0.1)"
                         : "transparent",
                     border: "none",
-                    color: activeTab === tab.key ? "#5ac8fa" : "#6b7280",
+                    color: route.name === tab.key ? "#5ac8fa" : "#6b7280",
                     padding: "6px 16px",
                     borderRadius: 6,
                     fontFamily: "'JetBrains Mono', monospace",
@@ -597,7 +1106,7 @@ export default function KernelCrashAnalyzer() {
           }}
         >
           {/* ═══ ANALYZER TAB ═══ */}
-          {activeTab === "analyzer" && (
+          {route.name === "analyzer" && (
             <div style={{ animation: "fadeSlideIn 0.3s ease-out" }}>
               {/* Hero */}
               <div style={{ marginBottom: 32 }}>
@@ -645,50 +1154,62 @@ export default function KernelCrashAnalyzer() {
                 onDragLeave={() => setDragOver(false)}
                 onDrop={handleFileDrop}
               >
-                {/* Textarea */}
-                <div style={{ position: "relative" }}>
-                  <textarea
-                    value={logText}
-                    onChange={(e) => setLogText(e.target.value)}
-                    placeholder="Paste your dmesg / journalctl / kdump output here..."
-                    rows={14}
-                    style={{
-                      width: "100%",
-                      background: "#080a0e",
-                      border: "1px solid rgba(255,255,255,0.06)",
-                      borderRadius: 8,
-                      padding: "16px 18px",
-                      fontFamily: "'JetBrains Mono', monospace",
-                      fontSize: 12,
-                      lineHeight: 1.7,
-                      color: "#c8ccd0",
-                      resize: "vertical",
-                    }}
+                {/* Log input: editable text, or the viewer for browsing big logs */}
+                {inputMode === "viewer" && logText ? (
+                  <LogViewer
+                    lines={parsedLines}
+                    events={events}
+                    selectedId={range ? "range" : selectedEvent ? selectedEvent.id : "all"}
+                    range={range}
+                    onSelectEvent={setSelectedEventId}
+                    onSelectRange={handleSelectRange}
                   />
-                  {!logText && (
-                    <div
+                ) : (
+                  <div style={{ position: "relative" }}>
+                    <textarea
+                      value={logText}
+                      onChange={(e) => setLogText(e.target.value)}
+                      onPaste={handleLogPaste}
+                      placeholder="Paste your dmesg / journalctl (incl. -o json / export) / kdump output here..."
+                      rows={14}
                       style={{
-                        position: "absolute",
-                        bottom: 16,
-                        left: 0,
-                        right: 0,
-                        textAlign: "center",
-                        pointerEvents: "none",
+                        width: "100%",
+                        background: "#080a0e",
+                        border: "1px solid rgba(255,255,255,0.06)",
+                        borderRadius: 8,
+                        padding: "16px 18px",
+                        fontFamily: "'JetBrains Mono', monospace",
+                        fontSize: 12,
+                        lineHeight: 1.7,
+                        color: "#c8ccd0",
+                        resize: "vertical",
                       }}
-                    >
-                      <span
+                    />
+                    {!logText && (
+                      <div
                         style={{
-                          fontFamily: "'JetBrains Mono', monospace",
-                          fontSize: 11,
-                          color: "#3a4250",
-                          letterSpacing: 1,
+                          position: "absolute",
+                          bottom: 16,
+                          left: 0,
+                          right: 0,
+                          textAlign: "center",
+                          pointerEvents: "none",
                         }}
                       >
-                        — or drag & drop a .log / .txt / .gz file —
-                      </span>
-                    </div>
-                  )}
-                </div>
+                        <span
+                          style={{
+                            fontFamily: "'JetBrains Mono', monospace",
+                            fontSize: 11,
+                            color: "#3a4250",
+                            letterSpacing: 1,
+                          }}
+                        >
+                          — or drag & drop a .log / .txt / .gz / .xz / .zst file —
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                )}
 
                 {/* File input + sample */}
                 <div
@@ -702,7 +1223,7 @@ export default function KernelCrashAnalyzer() {
                   <input
                     type="file"
                     ref={fileInputRef}
-                    accept=".log,.txt,.gz"
+                    accept=".log,.txt,.gz,.xz,.zst,.zstd"
                     onChange={handleFileDrop}
                     style={{ display: "none" }}
                   />
@@ -737,6 +1258,31 @@ export default function KernelCrashAnalyzer() {
                   >
                     Load sample log
                   </button>
+                  {logText && (
+                    <div style={{ display: "flex", gap: 4 }}>
+                      {[
+                        ["text", "✎ Text"],
+                        ["viewer", "☰ Viewer"],
+                      ].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          onClick={() => setInputMode(mode)}
+                          style={{
+                            background: inputMode === mode ? "rgba(90,200,250,0.1)" : "none",
+                            border: "1px solid rgba(255,255,255,0.08)",
+                            borderRadius: 6,
+                            padding: "6px 10px",
+                            color: inputMode === mode ? "#5ac8fa" : "#6b7280",
+                            fontFamily: "'JetBrains Mono', monospace",
+                            fontSize: 11,
+                            cursor: "pointer",
+                          }}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                   {logText && (
                     <span
                       style={{
@@ -746,11 +1292,45 @@ export default function KernelCrashAnalyzer() {
                         color: "#4a5568",
                       }}
                     >
-                      {logText.split("\n").length} lines
+                      {logSummary.format !== "none" && (
+                        <span style={{ color: "#6b7280" }}>
+                          {logSummary.formatLabel}
+                          {logSummary.hosts.length > 0 &&
+                            ` · ${logSummary.hosts.join(", ")}`}
+                          {" · "}
+                        </span>
+                      )}
+                      {formatBytes(logBytes)} · {parsedLines.length.toLocaleString()} lines ·{" "}
+                      {logSummary.kernelLines.toLocaleString()} kernel · {events.length}{" "}
+                      {events.length === 1 ? "event" : "events"} detected
                     </span>
                   )}
                 </div>
 
+                {fileStatus && (
+                  <div
+                    style={{
+                      marginTop: 8,
+                      fontFamily: "'JetBrains Mono', monospace",
+                      fontSize: 11,
+                      color: fileStatus.error ? "#ff6961" : "#4a5568",
+                    }}
+                  >
+                    {fileStatus.message}
+                  </div>
+                )}
+
+                {/* Detected events */}
+                {(events.length > 0 || pickedRange) && (
+                  <EventList
+                    events={events}
+                    range={pickedRange}
+                    selectedId={range ? "range" : selectedEvent ? selectedEvent.id : "all"}
+                    onSelect={setSelectedEventId}
+                    totalLines={deferredLog.split("\n").length}
+                  />
+                )}
+
                 {/* Optional fields toggle */}
                 <button
                   onClick={() => setShowOptional(!showOptional)}
@@ -777,6 +1357,11 @@ export default function KernelCrashAnalyzer() {
                     ▶
                   </span>
                   Optional context
+                  {detectedKernel && (
+                    <span style={{ color: "#4a5568" }}>
+                      · detected {describeKernel(detectedKernel)}
+                    </span>
+                  )}
                 </button>
 
                 {/* Optional fields */}
@@ -808,9 +1393,10 @@ export default function KernelCrashAnalyzer() {
                         }}
                       >
                         Kernel Version
+                        {kernelAuto && <AutoTag source={detectedKernel.source} />}
                       </label>
                       <input
-                        value={kernelVersion}
+                        value={effectiveKernel}
                         onChange={(e) => setKernelVersion(e.target.value)}
                         placeholder="e.g. 6.8.0-45-generic"
                         style={{
@@ -838,10 +1424,18 @@ export default function KernelCrashAnalyzer() {
                         }}
                       >
                         Distribution
+                        {distroAuto && (
+                          <AutoTag
+                            source={detectedKernel.source}
+                            flavour={detectedKernel.flavour}
+                          />
+                        )}
                       </label>
                       <select
-                        value={distro}
-                        onChange={(e) => setDistro(e.target.value)}
+                        value={effectiveDistro}
+                        onChange={(e) =>
+                          setDistro(e.target.value === "Auto-detect" ? null : e.target.value)
+                        }
                         style={{
                           width: "100%",
                           background: "#080a0e",
@@ -894,16 +1488,137 @@ export default function KernelCrashAnalyzer() {
                   </div>
                 </div>
 
-                {/* Analyze button */}
-                <button
-                  className="analyze-btn"
-                  disabled={!logText.trim() || analyzing}
-                  onClick={handleAnalyze}
-                  style={{
-                    width: "100%",
-                    marginTop: 20,
-                    padding: "14px",
-                    background: "rgba(90,200,250,0.12)",
+                {/* Seen before */}
+                {duplicates && (
+                  <div
+                    style={{
+                      marginTop: 20,
+                      padding: "10px 14px",
+                      background: "rgba(191,90,242,0.06)",
+                      border: "1px solid rgba(191,90,242,0.2)",
+                      borderRadius: 8,
+                      fontFamily: "'JetBrains Mono', monospace",
+                      fontSize: 12,
+                      color: "#d0a8f0",
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 8,
+                      flexWrap: "wrap",
+                    }}
+                  >
+                    <span>⟲ {describeDuplicates(duplicates)} —</span>
+                    <button
+                      onClick={() => showStoredReport(duplicates.last)}
+                      style={{
+                        background: "none",
+                        border: "none",
+                        padding: 0,
+                        color: "#bf5af2",
+                        fontFamily: "inherit",
+                        fontSize: 12,
+                        textDecoration: "underline",
+                        cursor: "pointer",
+                      }}
+                    >
+                      previous report
+                    </button>
+                    <span style={{ color: "#6b5a80", fontSize: 11 }} title={signature.text}>
+                      sig {signature.id}
+                    </span>
+                  </div>
+                )}
+
+                {/* Engine */}
+                <div
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 10,
+                    marginTop: 20,
+                    fontFamily: "'JetBrains Mono', monospace",
+                    fontSize: 11,
+                  }}
+                >
+                  <span style={{ color: "#4a5568", letterSpacing: 1, textTransform: "uppercase" }}>
+                    Engine
+                  </span>
+                  <div
+                    style={{
+                      display: "flex",
+                      gap: 2,
+                      background: "rgba(255,255,255,0.03)",
+                      borderRadius: 6,
+                      padding: 2,
+                    }}
+                  >
+                    {[
+                      { key: "auto", label: "LLM · rules fallback" },
+                      { key: "rules", label: "Rules only (offline)" },
+                    ].map((opt) => (
+                      <button
+                        key={opt.key}
+                        className="nav-btn"
+                        onClick={() => setEngine(opt.key)}
+                        style={{
+                          padding: "5px 12px",
+                          borderRadius: 5,
+                          border: "none",
+                          background: engine === opt.key ? "rgba(90,200,250,0.12)" : "transparent",
+                          color: engine === opt.key ? "#5ac8fa" : "#6b7280",
+                          fontFamily: "inherit",
+                          fontSize: 11,
+                          cursor: "pointer",
+                        }}
+                      >
+                        {opt.label}
+                      </button>
+                    ))}
+                  </div>
+                  {engine === "auto" && (
+                    <label
+                      style={{
+                        marginLeft: "auto",
+                        display: "flex",
+                        alignItems: "center",
+                        gap: 6,
+                        color: "#4a5568",
+                      }}
+                      title="Give up on the backend after this long, retries included"
+                    >
+                      <span style={{ letterSpacing: 1, textTransform: "uppercase" }}>Timeout</span>
+                      <select
+                        value={timeoutS}
+                        onChange={(e) => setTimeoutS(Number(e.target.value))}
+                        style={{
+                          background: "#080a0e",
+                          border: "1px solid rgba(255,255,255,0.06)",
+                          borderRadius: 5,
+                          padding: "4px 6px",
+                          color: "#8b95a5",
+                          fontFamily: "inherit",
+                          fontSize: 11,
+                        }}
+                      >
+                        {TIMEOUT_OPTIONS_S.map((sec) => (
+                          <option key={sec} value={sec}>
+                            {sec < 60 || sec % 60 ? `${sec} s` : `${sec / 60} min`}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                </div>
+
+                {/* Analyze button */}
+                <button
+                  className="analyze-btn"
+                  disabled={!logText.trim() || analyzing}
+                  onClick={() => handleAnalyze()}
+                  style={{
+                    width: "100%",
+                    marginTop: 12,
+                    padding: "14px",
+                    background: "rgba(90,200,250,0.12)",
                     border: "1px solid rgba(90,200,250,0.3)",
                     borderRadius: 8,
                     color: "#5ac8fa",
@@ -915,485 +1630,361 @@ export default function KernelCrashAnalyzer() {
                     transition: "all 0.2s",
                   }}
                 >
-                  {analyzing ? "⟳ ANALYZING..." : "⟐ ANALYZE CRASH"}
+                  {analyzing
+                    ? "⟳ ANALYZING..."
+                    : engine === "rules"
+                      ? "⟐ ANALYZE OFFLINE"
+                      : "⟐ ANALYZE CRASH"}
                 </button>
               </div>
 
               {/* ─── ANALYZING ANIMATION ─── */}
-              {analyzing && <AnalyzingOverlay />}
+              {analyzing && (
+                <AnalyzingOverlay
+                  segmentation={describeSegmentation()}
+                  stages={stages}
+                  onCancel={handleCancelAnalysis}
+                />
+              )}
 
               {/* ─── ERROR ─── */}
               {error && !analyzing && (
-                <div
-                  style={{
-                    marginTop: 24,
-                    padding: 20,
-                    background: "rgba(255,59,48,0.08)",
-                    border: "1px solid rgba(255,59,48,0.2)",
-                    borderRadius: 8,
-                    fontFamily: "'JetBrains Mono', monospace",
-                    fontSize: 13,
-                    color: "#ff6961",
-                    animation: "fadeSlideIn 0.3s ease-out",
-                  }}
-                >
-                  <strong>Analysis failed:</strong> {error}
-                  <div style={{ marginTop: 8, fontSize: 11, color: "#8b5555" }}>
-                    Make sure the backend is running: <code>uvicorn backend:app --reload --port 8000</code>
-                  </div>
-                </div>
+                <AnalysisErrorCard
+                  error={error}
+                  onRetry={() => handleAnalyze("llm")}
+                  onOffline={() => handleAnalyze("rules")}
+                />
               )}
 
               {/* ─── REPORT ─── */}
-              {report && !analyzing && (
-                <div
+              {/* One instance from the first streamed field to the final
+                  report, so nothing re-animates when it completes. */}
+              {(analyzing ? partialReport : report) && (
+                <ReportView
                   ref={reportRef}
+                  report={analyzing ? partialReport : report}
+                  pending={analyzing}
+                  crashEvent={crashEvent}
+                  severityConfig={SEVERITY_CONFIG}
+                  actions={!analyzing && reportEntry ? reportActions(reportEntry) : []}
+                  feedback={feedback}
+                  onFeedback={analyzing ? undefined : setFeedback}
+                  onRetryBackend={analyzing ? undefined : () => handleAnalyze("llm")}
+                />
+              )}
+            </div>
+          )}
+
+          {/* ═══ HISTORY TAB ═══ */}
+          {route.name === "history" && (
+            <div style={{ animation: "fadeSlideIn 0.3s ease-out" }}>
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  marginBottom: 6,
+                }}
+              >
+                <h2
                   style={{
-                    marginTop: 28,
-                    animation: "reportReveal 0.6s ease-out",
+                    fontFamily: "'IBM Plex Mono', monospace",
+                    fontSize: 22,
+                    fontWeight: 700,
+                    color: "#fff",
                   }}
                 >
-                  <div
+                  Analysis History
+                </h2>
+                <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleImportReport}
+                    style={{ display: "none" }}
+                  />
+                  <button
+                    className="nav-btn"
+                    onClick={() => importInputRef.current?.click()}
+                    title="Import a report exported with Download JSON"
                     style={{
-                      background: "rgba(255,255,255,0.02)",
-                      border: "1px solid rgba(255,255,255,0.06)",
-                      borderRadius: 12,
-                      overflow: "hidden",
+                      padding: "5px 12px",
+                      borderRadius: 5,
+                      border: "1px solid rgba(255,255,255,0.08)",
+                      background: "transparent",
+                      color: "#8b95a5",
+                      fontFamily: "'JetBrains Mono', monospace",
+                      fontSize: 11,
+                      cursor: "pointer",
                     }}
                   >
-                    {/* Report header */}
+                    ⤒ Import report
+                  </button>
+                  {history.length > 0 && (
                     <div
                       style={{
-                        padding: "20px 24px",
-                        borderBottom: "1px solid rgba(255,255,255,0.06)",
                         display: "flex",
-                        alignItems: "center",
-                        justifyContent: "space-between",
-                        flexWrap: "wrap",
-                        gap: 12,
+                        gap: 2,
+                        background: "rgba(255,255,255,0.03)",
+                        borderRadius: 6,
+                        padding: 2,
                       }}
                     >
-                      <div
-                        style={{
-                          display: "flex",
-                          alignItems: "center",
-                          gap: 10,
-                        }}
-                      >
-                        <span
+                      {[
+                        { key: "list", label: "List" },
+                        { key: "clusters", label: "Clusters" },
+                      ].map((opt) => (
+                        <button
+                          key={opt.key}
+                          className="nav-btn"
+                          onClick={() => setHistoryView(opt.key)}
                           style={{
+                            padding: "5px 14px",
+                            borderRadius: 5,
+                            border: "none",
+                            background:
+                              historyView === opt.key ? "rgba(90,200,250,0.12)" : "transparent",
+                            color: historyView === opt.key ? "#5ac8fa" : "#6b7280",
                             fontFamily: "'JetBrains Mono', monospace",
                             fontSize: 11,
-                            color: "#4a5568",
-                            letterSpacing: 1,
-                            textTransform: "uppercase",
-                            fontWeight: 600,
+                            cursor: "pointer",
                           }}
                         >
-                          Analysis Report
-                        </span>
-                      </div>
-                      <div
-                        style={{
-                          display: "flex",
-                          alignItems: "center",
-                          gap: 8,
-                        }}
-                      >
-                        <Badge
-                          label={report.crash_type}
-                          color="#5ac8fa"
-                          bg="rgba(90,200,250,0.1)"
-                        />
-                        {sev && (
-                          <Badge
-                            label={sev.label}
-                            color={sev.color}
-                            bg={sev.bg}
-                          />
-                        )}
-                      </div>
+                          {opt.label}
+                        </button>
+                      ))}
                     </div>
+                  )}
+                </div>
+              </div>
+              <p
+                style={{
+                  fontSize: 14,
+                  color: "#6b7280",
+                  marginBottom: 24,
+                }}
+              >
+                Past crash analyses, stored in this browser. Click a row to reopen its report.
+                {historyStorageError && (
+                  <span style={{ display: "block", marginTop: 6, fontSize: 12, color: "#ffd60a" }}>
+                    History can't be saved ({historyStorageError}) — it will be lost on reload.
+                  </span>
+                )}
+                {importError && (
+                  <span style={{ display: "block", marginTop: 6, fontSize: 12, color: "#ff6961" }}>
+                    Import failed — {importError}
+                  </span>
+                )}
+              </p>
 
-                    <div style={{ padding: 24 }}>
-                      {/* Confidence */}
-                      <div style={{ marginBottom: 24 }}>
-                        <div
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 10,
-                            color: "#6b7280",
-                            letterSpacing: 1,
-                            textTransform: "uppercase",
-                            fontWeight: 600,
-                            marginBottom: 8,
-                          }}
-                        >
-                          Confidence
-                        </div>
-                        <ConfidenceBar value={report.confidence} />
-                      </div>
-
-                      {/* Root cause */}
-                      <div style={{ marginBottom: 8 }}>
-                        <div
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 10,
-                            color: "#6b7280",
-                            letterSpacing: 1,
-                            textTransform: "uppercase",
-                            fontWeight: 600,
-                            marginBottom: 10,
-                          }}
-                        >
-                          Root Cause
-                        </div>
-                        <p
-                          style={{
-                            fontSize: 15,
-                            lineHeight: 1.7,
-                            color: "#e0e4e8",
-                          }}
-                        >
-                          <TypeWriter text={report.root_cause} speed={8} />
-                        </p>
-                      </div>
-
-                      {/* Subsystem + trigger */}
+              {history.length === 0 ? (
+                <div
+                  style={{
+                    textAlign: "center",
+                    padding: 60,
+                    color: "#3a4250",
+                    fontFamily: "'JetBrains Mono', monospace",
+                    fontSize: 13,
+                  }}
+                >
+                  No analyses yet. Go analyze a crash!
+                </div>
+              ) : (
+                <>
+                  <HistoryFilters
+                    filters={historyFilters}
+                    facets={historyOptions}
+                    onChange={setHistoryFilters}
+                    shown={visibleHistory.length}
+                    total={history.length}
+                  />
+                  {historyView === "clusters" ? (
+                    <ClusterDashboard
+                      entries={visibleHistory}
+                      onOpen={handleOpenHistory}
+                      severityConfig={SEVERITY_CONFIG}
+                    />
+                  ) : (
+                    <div
+                      style={{
+                        border: "1px solid rgba(255,255,255,0.06)",
+                        borderRadius: 10,
+                        overflow: "hidden",
+                      }}
+                    >
+                      {/* Table header */}
                       <div
                         style={{
                           display: "grid",
-                          gridTemplateColumns: "1fr 1fr",
-                          gap: 16,
-                          margin: "20px 0 4px",
+                          gridTemplateColumns: "1.8fr 1.2fr 0.8fr 1.2fr 1.2fr 24px",
+                          padding: "10px 20px",
+                          background: "rgba(255,255,255,0.02)",
+                          borderBottom: "1px solid rgba(255,255,255,0.06)",
                         }}
                       >
+                        {["Date", "Crash Type", "Severity", "Kernel", "Subsystem", ""].map(
+                          (h) => (
+                            <span
+                              key={h}
+                              style={{
+                                fontFamily: "'JetBrains Mono', monospace",
+                                fontSize: 10,
+                                color: "#6b7280",
+                                letterSpacing: 1,
+                                textTransform: "uppercase",
+                                fontWeight: 600,
+                              }}
+                            >
+                              {h}
+                            </span>
+                          )
+                        )}
+                      </div>
+                      {visibleHistory.length === 0 && (
                         <div
                           style={{
-                            background: "rgba(255,255,255,0.02)",
-                            borderRadius: 8,
-                            padding: 16,
-                            border: "1px solid rgba(255,255,255,0.04)",
+                            textAlign: "center",
+                            padding: 40,
+                            color: "#3a4250",
+                            fontFamily: "'JetBrains Mono', monospace",
+                            fontSize: 13,
                           }}
                         >
-                          <div
-                            style={{
-                              fontFamily: "'JetBrains Mono', monospace",
-                              fontSize: 10,
-                              color: "#6b7280",
-                              letterSpacing: 1,
-                              textTransform: "uppercase",
-                              fontWeight: 600,
-                              marginBottom: 8,
-                            }}
-                          >
-                            Affected Subsystem
-                          </div>
-                          <span
-                            style={{
-                              fontFamily: "'IBM Plex Mono', monospace",
-                              fontSize: 14,
-                              color: "#fff",
-                              fontWeight: 600,
-                            }}
-                          >
-                            {report.affected_subsystem}
-                          </span>
+                          No analyses match these filters.
                         </div>
-                        <div
-                          style={{
-                            background: "rgba(255,255,255,0.02)",
-                            borderRadius: 8,
-                            padding: 16,
-                            border: "1px solid rgba(255,255,255,0.04)",
-                          }}
-                        >
+                      )}
+                      {visibleHistory.map((item) => {
+                        const s = SEVERITY_CONFIG[item.severity] || SEVERITY_CONFIG.medium;
+                        return (
                           <div
+                            key={item.id}
+                            className="history-row"
+                            onClick={() => handleOpenHistory(item)}
                             style={{
-                              fontFamily: "'JetBrains Mono', monospace",
-                              fontSize: 10,
-                              color: "#6b7280",
-                              letterSpacing: 1,
-                              textTransform: "uppercase",
-                              fontWeight: 600,
-                              marginBottom: 8,
-                            }}
-                          >
-                            Probable Trigger
-                          </div>
-                          <span
-                            style={{
-                              fontSize: 13,
-                              color: "#c8ccd0",
-                              lineHeight: 1.6,
+                              display: "grid",
+                              gridTemplateColumns: "1.8fr 1.2fr 0.8fr 1.2fr 1.2fr 24px",
+                              padding: "12px 20px",
+                              borderBottom: "1px solid rgba(255,255,255,0.03)",
+                              cursor: "pointer",
+                              transition: "background 0.15s",
+                              alignItems: "center",
                             }}
                           >
-                            {report.probable_trigger}
-                          </span>
-                        </div>
-                      </div>
-
-                      {/* Suggested Fixes */}
-                      <Expandable title="Suggested Fixes" icon="🔧" defaultOpen={true}>
-                        <div
-                          style={{
-                            display: "flex",
-                            flexDirection: "column",
-                            gap: 8,
-                          }}
-                        >
-                          {report.suggested_fixes.map((fix, i) => (
-                            <div
-                              key={i}
-                              className="fix-item"
+                            <span
                               style={{
-                                display: "flex",
-                                gap: 12,
-                                padding: "10px 14px",
-                                borderRadius: 6,
-                                border: "1px solid rgba(255,255,255,0.04)",
-                                transition: "background 0.15s",
+                                fontFamily: "'JetBrains Mono', monospace",
+                                fontSize: 12,
+                                color: "#8b95a5",
                               }}
                             >
-                              <span
-                                style={{
-                                  fontFamily: "'JetBrains Mono', monospace",
-                                  fontSize: 12,
-                                  color: "#5ac8fa",
-                                  fontWeight: 700,
-                                  flexShrink: 0,
-                                  marginTop: 1,
-                                }}
-                              >
-                                {i + 1}.
-                              </span>
-                              <span
-                                style={{
-                                  fontSize: 13,
-                                  color: "#c8ccd0",
-                                  lineHeight: 1.6,
-                                  fontFamily: "'JetBrains Mono', monospace",
-                                }}
-                              >
-                                {fix}
-                              </span>
-                            </div>
-                          ))}
-                        </div>
-                      </Expandable>
-
-                      {/* Detailed Analysis */}
-                      <Expandable title="Detailed Analysis" icon="🔬">
-                        <pre
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 12,
-                            lineHeight: 1.8,
-                            color: "#a0aab4",
-                            whiteSpace: "pre-wrap",
-                            background: "rgba(0,0,0,0.3)",
-                            padding: 16,
-                            borderRadius: 8,
-                          }}
-                        >
-                          {report.detailed_analysis}
-                        </pre>
-                      </Expandable>
-
-                      {/* Annotated Call Trace */}
-                      {report.annotated_trace && report.annotated_trace.length > 0 && (
-                        <Expandable title="Annotated Call Trace" icon="📜">
-                          <div
-                            style={{
-                              background: "rgba(0,0,0,0.3)",
-                              borderRadius: 8,
-                              padding: 16,
-                              display: "flex",
-                              flexDirection: "column",
-                              gap: 2,
-                            }}
-                          >
-                            {report.annotated_trace.map((frame, i) => (
-                              <div key={i}>
-                                <div
-                                  style={{
-                                    fontFamily: "'JetBrains Mono', monospace",
-                                    fontSize: 12,
-                                    color: i === 0 ? "#ff453a" : "#c8ccd0",
-                                    fontWeight: i === 0 ? 700 : 400,
-                                  }}
-                                >
-                                  {"  "}
-                                  {frame.func}
+                              {new Date(item.createdAt).toLocaleString()}
+                              {item.hosts?.length > 0 && (
+                                <div style={{ fontSize: 10.5, color: "#4a5568" }}>
+                                  {item.hosts.join(", ")}
                                 </div>
-                                <div
-                                  style={{
-                                    fontFamily: "'JetBrains Mono', monospace",
-                                    fontSize: 11,
-                                    color: i === 0 ? "#ff6961" : "#5ac8fa",
-                                    marginLeft: 28,
-                                    marginBottom: 6,
-                                    opacity: 0.8,
-                                    fontStyle: "italic",
+                              )}
+                            </span>
+                            <span
+                              style={{
+                                fontFamily: "'JetBrains Mono', monospace",
+                                fontSize: 12,
+                                color: "#e0e4e8",
+                              }}
+                            >
+                              {item.crash_type}
+                              {item.engine === "rules" && (
+                                <div style={{ fontSize: 10.5, color: "#bf5af2" }}>rule-based</div>
+                              )}
+                              {item.signature && (
+                                <button
+                                  title={`${item.signature.text}\n\nClick to copy`}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleCopySignature(item);
                                   }}
-                                >
-                                  {frame.note}
-                                </div>
-                              </div>
-                            ))}
-                          </div>
-                        </Expandable>
-                      )}
-
-                      {/* Related Issues */}
-                      {report.related_issues && report.related_issues.length > 0 && (
-                        <Expandable title="Related Known Issues" icon="🔗">
-                          <div
-                            style={{
-                              display: "flex",
-                              flexDirection: "column",
-                              gap: 8,
-                            }}
-                          >
-                            {report.related_issues.map((issue, i) => (
-                              <div
-                                key={i}
-                                style={{
-                                  display: "flex",
-                                  alignItems: "center",
-                                  gap: 10,
-                                  padding: "8px 12px",
-                                  borderRadius: 6,
-                                  border: "1px solid rgba(255,255,255,0.04)",
-                                }}
-                              >
-                                <span
                                   style={{
-                                    fontFamily: "'JetBrains Mono', monospace",
-                                    fontSize: 11,
-                                    color: "#5ac8fa",
-                                    fontWeight: 600,
-                                    flexShrink: 0,
+                                    display: "block",
+                                    marginTop: 2,
+                                    padding: 0,
+                                    background: "none",
+                                    border: "none",
+                                    fontFamily: "inherit",
+                                    fontSize: 10.5,
+                                    color: copiedSignature === item.id ? "#30d158" : "#4a5568",
+                                    cursor: "copy",
                                   }}
                                 >
-                                  {issue.id}
-                                </span>
-                                <span
-                                  style={{
-                                    fontSize: 13,
-                                    color: "#a0aab4",
-                                  }}
+                                  {copiedSignature === item.id ? "copied ✓" : `⧉ ${item.signature.id}`}
+                                </button>
+                              )}
+                            </span>
+                            <Badge label={s.label} color={s.color} bg={s.bg} />
+                            <span
+                              style={{
+                                fontFamily: "'JetBrains Mono', monospace",
+                                fontSize: 12,
+                                color: "#8b95a5",
+                              }}
+                            >
+                              {item.kernel}
+                              {item.distro && (
+                                <div style={{ fontSize: 10.5, color: "#4a5568" }}>
+                                  {item.distro}
+                                  {item.flavour && ` · ${item.flavour}`}
+                                </div>
+                              )}
+                            </span>
+                            <span
+                              style={{
+                                fontFamily: "'JetBrains Mono', monospace",
+                                fontSize: 12,
+                                color: "#8b95a5",
+                              }}
+                            >
+                              {item.subsystem}
+                              {item.jira && (
+                                <a
+                                  href={item.jira.url}
+                                  target="_blank"
+                                  rel="noreferrer"
+                                  onClick={(e) => e.stopPropagation()}
+                                  style={{ display: "block", fontSize: 10.5, color: "#5ac8fa" }}
                                 >
-                                  {issue.title}
-                                </span>
-                              </div>
-                            ))}
-                          </div>
-                        </Expandable>
-                      )}
-
-                      {/* Feedback */}
-                      <div
-                        style={{
-                          borderTop: "1px solid rgba(255,255,255,0.06)",
-                          marginTop: 16,
-                          paddingTop: 20,
-                          display: "flex",
-                          alignItems: "center",
-                          justifyContent: "space-between",
-                        }}
-                      >
-                        <span
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 12,
-                            color: "#6b7280",
-                          }}
-                        >
-                          {feedback
-                            ? feedback === "up"
-                              ? "✅ Thanks for confirming!"
-                              : "📝 Feedback recorded — we'll improve."
-                            : "Was this analysis helpful?"}
-                        </span>
-                        {!feedback && (
-                          <div style={{ display: "flex", gap: 8 }}>
-                            {["👍", "👎"].map((emoji) => (
-                              <button
-                                key={emoji}
-                                className="feedback-btn"
-                                onClick={() =>
-                                  setFeedback(emoji === "👍" ? "up" : "down")
-                                }
-                                style={{
-                                  width: 40,
-                                  height: 40,
-                                  borderRadius: 8,
-                                  background: "rgba(255,255,255,0.04)",
-                                  border: "1px solid rgba(255,255,255,0.08)",
-                                  fontSize: 18,
-                                  cursor: "pointer",
-                                  display: "flex",
-                                  alignItems: "center",
-                                  justifyContent: "center",
-                                }}
-                              >
-                                {emoji}
-                              </button>
-                            ))}
+                                  🎫 {item.jira.key}
+                                </a>
+                              )}
+                            </span>
+                            <button
+                              className="feedback-btn"
+                              title="Delete from history"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleDeleteHistory(item.id);
+                              }}
+                              style={{
+                                background: "none",
+                                border: "none",
+                                color: "#4a5568",
+                                fontSize: 14,
+                                cursor: "pointer",
+                                padding: 0,
+                              }}
+                            >
+                              ×
+                            </button>
                           </div>
-                        )}
-                      </div>
+                        );
+                      })}
                     </div>
-                  </div>
-
-                  {/* Action buttons */}
-                  <div
-                    style={{
-                      display: "flex",
-                      gap: 10,
-                      marginTop: 16,
-                      justifyContent: "flex-end",
-                    }}
-                  >
-                    {["📄 Export PDF", "🎫 Create Jira Ticket", "💬 Share to Slack"].map(
-                      (label) => (
-                        <button
-                          key={label}
-                          style={{
-                            background: "rgba(255,255,255,0.03)",
-                            border: "1px solid rgba(255,255,255,0.08)",
-                            borderRadius: 6,
-                            padding: "8px 16px",
-                            color: "#8b95a5",
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 11,
-                            cursor: "pointer",
-                            fontWeight: 500,
-                            transition: "all 0.15s",
-                          }}
-                          onMouseEnter={(e) => {
-                            e.target.style.background = "rgba(255,255,255,0.06)";
-                            e.target.style.color = "#c8ccd0";
-                          }}
-                          onMouseLeave={(e) => {
-                            e.target.style.background = "rgba(255,255,255,0.03)";
-                            e.target.style.color = "#8b95a5";
-                          }}
-                        >
-                          {label}
-                        </button>
-                      )
-                    )}
-                  </div>
-                </div>
+                  )}
+                </>
               )}
             </div>
           )}
 
-          {/* ═══ HISTORY TAB ═══ */}
-          {activeTab === "history" && (
+          {/* ═══ REPORT (read-only) ═══ */}
+          {viewed && (
             <div style={{ animation: "fadeSlideIn 0.3s ease-out" }}>
               <h2
                 style={{
@@ -1404,128 +1995,102 @@ export default function KernelCrashAnalyzer() {
                   marginBottom: 6,
                 }}
               >
-                Analysis History
+                {route.data ? "Shared Report" : "Stored Report"}
               </h2>
-              <p
-                style={{
-                  fontSize: 14,
-                  color: "#6b7280",
-                  marginBottom: 24,
-                }}
-              >
-                Past crash analyses from this session.
-              </p>
-
-              {history.length === 0 ? (
-                <div
+              {viewed.loading && (
+                <p
                   style={{
-                    textAlign: "center",
-                    padding: 60,
-                    color: "#3a4250",
+                    marginTop: 24,
                     fontFamily: "'JetBrains Mono', monospace",
                     fontSize: 13,
+                    color: "#6b7280",
                   }}
                 >
-                  No analyses yet. Go analyze a crash!
-                </div>
-              ) : (
-                <div
-                  style={{
-                    border: "1px solid rgba(255,255,255,0.06)",
-                    borderRadius: 10,
-                    overflow: "hidden",
-                  }}
+                  Loading report…
+                </p>
+              )}
+              {viewed.error && <ReportOpenError message={viewed.error} />}
+              {viewed.entry && (
+                // A report that validation let through can still break a
+                // view; a bad shared link shouldn't blank the whole app.
+                <ErrorBoundary
+                  key={route.data || route.id}
+                  fallback={(err) => (
+                    <ReportOpenError message={`it couldn't be displayed (${err.message})`} />
+                  )}
                 >
-                  {/* Table header */}
-                  <div
-                    style={{
-                      display: "grid",
-                      gridTemplateColumns: "1.8fr 1.2fr 0.8fr 1.2fr 1.2fr",
-                      padding: "10px 20px",
-                      background: "rgba(255,255,255,0.02)",
-                      borderBottom: "1px solid rgba(255,255,255,0.06)",
-                    }}
-                  >
-                    {["Date", "Crash Type", "Severity", "Kernel", "Subsystem"].map(
-                      (h) => (
-                        <span
-                          key={h}
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 10,
-                            color: "#6b7280",
-                            letterSpacing: 1,
-                            textTransform: "uppercase",
-                            fontWeight: 600,
-                          }}
+                  <p style={{ fontSize: 14, color: "#6b7280", lineHeight: 1.6 }}>
+                    Analyzed {new Date(viewed.entry.createdAt).toLocaleString()}
+                    {viewed.entry.hosts.length > 0 && ` on ${viewed.entry.hosts.join(", ")}`}
+                    {" · "}
+                    {[viewed.entry.kernel, viewed.entry.distro].filter(Boolean).join(" · ")}
+                    {viewed.entry.jira && (
+                      <>
+                        {" · "}
+                        <a
+                          href={viewed.entry.jira.url}
+                          target="_blank"
+                          rel="noreferrer"
+                          style={{ color: "#5ac8fa" }}
                         >
-                          {h}
-                        </span>
-                      )
+                          {viewed.entry.jira.key}
+                        </a>
+                      </>
                     )}
-                  </div>
-                  {history.map((item) => {
-                    const s = SEVERITY_CONFIG[item.severity] || SEVERITY_CONFIG.medium;
-                    return (
-                      <div
-                        key={item.id}
-                        className="history-row"
-                        style={{
-                          display: "grid",
-                          gridTemplateColumns: "1.8fr 1.2fr 0.8fr 1.2fr 1.2fr",
-                          padding: "12px 20px",
-                          borderBottom: "1px solid rgba(255,255,255,0.03)",
-                          cursor: "pointer",
-                          transition: "background 0.15s",
-                          alignItems: "center",
-                        }}
-                      >
-                        <span
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 12,
-                            color: "#8b95a5",
-                          }}
-                        >
-                          {item.date}
-                        </span>
-                        <span
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 12,
-                            color: "#e0e4e8",
-                          }}
-                        >
-                          {item.crash_type}
-                        </span>
-                        <Badge label={s.label} color={s.color} bg={s.bg} />
-                        <span
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 12,
-                            color: "#8b95a5",
-                          }}
-                        >
-                          {item.kernel}
-                        </span>
-                        <span
-                          style={{
-                            fontFamily: "'JetBrains Mono', monospace",
-                            fontSize: 12,
-                            color: "#8b95a5",
-                          }}
-                        >
-                          {item.subsystem}
-                        </span>
-                      </div>
-                    );
-                  })}
-                </div>
+                    <span style={{ display: "block", fontSize: 12, color: "#4a5568" }}>
+                      Read-only{route.data ? ", decoded from the link" : ""}.{" "}
+                      <a href="#/analyzer" style={{ color: "#5ac8fa" }}>
+                        Analyze a new log
+                      </a>
+                    </span>
+                  </p>
+                  <ReportView
+                    report={viewed.entry.report}
+                    crashEvent={viewed.entry.crashEvent}
+                    severityConfig={SEVERITY_CONFIG}
+                    actions={reportActions(viewed.entry, { readOnly: true })}
+                  />
+                </ErrorBoundary>
               )}
             </div>
           )}
         </main>
       </div>
+      {shareDialog === "jira" && report && (
+        <JiraDialog
+          apiUrl={API_URL}
+          report={report}
+          crashEvent={crashEvent}
+          entry={reportEntry}
+          onCreated={handleJiraCreated}
+          onClose={() => setShareDialog(null)}
+        />
+      )}
+      {shareDialog === "slack" && report && (
+        <SlackDialog
+          apiUrl={API_URL}
+          report={report}
+          entry={reportEntry}
+          reportUrl={slackLink?.url}
+          reportUrlTrimmed={slackLink?.complete === false}
+          onClose={() => setShareDialog(null)}
+        />
+      )}
+      {shareDialog === "upstream" && report && (
+        <UpstreamReportDialog
+          report={report}
+          crashEvent={crashEvent}
+          entry={reportEntry}
+          onClose={() => setShareDialog(null)}
+        />
+      )}
+      {evidenceEntry && (
+        <EvidenceDialog
+          entry={evidenceEntry}
+          severityConfig={SEVERITY_CONFIG}
+          onClose={() => setEvidenceEntry(null)}
+        />
+      )}
     </>
   );
 }
@@ -0,0 +1,23 @@
+// ─── Badge component ───
+export default function Badge({ label, color, bg, title }) {
+  return (
+    <span
+      title={title}
+      style={{
+        display: "inline-block",
+        padding: "4px 12px",
+        borderRadius: 4,
+        fontSize: 11,
+        fontWeight: 800,
+        fontFamily: "'JetBrains Mono', monospace",
+        letterSpacing: 1.2,
+        color,
+        background: bg,
+        border: `1px solid ${color}33`,
+        textTransform: "uppercase",
+      }}
+    >
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,279 @@
+import { useMemo, useState } from "react";
+import Badge from "./Badge.jsx";
+import { clusterHistory, historyTrend } from "../lib/clustering.js";
+
+// ─── History dashboard: stack-similarity clusters and trend ───
+
+const mono = { fontFamily: "'JetBrains Mono', monospace" };
+
+const labelStyle = {
+  ...mono,
+  fontSize: 10,
+  color: "#6b7280",
+  letterSpacing: 1,
+  textTransform: "uppercase",
+  fontWeight: 600,
+};
+
+const CRASH_TYPE_COLORS = [
+  "#5ac8fa",
+  "#ff9f0a",
+  "#bf5af2",
+  "#30d158",
+  "#ff453a",
+  "#ffd60a",
+  "#64d2ff",
+  "#ff6961",
+];
+
+const day = (t) => new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+function bucketLabel(start, size) {
+  const d = new Date(start);
+  return size === "month"
+    ? d.toLocaleDateString(undefined, { month: "short", year: "2-digit" })
+    : day(start);
+}
+
+function TrendChart({ entries, by, onByChange, severityConfig }) {
+  const trend = useMemo(() => historyTrend(entries, by), [entries, by]);
+  const colorOf = (key, i) =>
+    by === "severity"
+      ? severityConfig[key]?.color || "#6b7280"
+      : CRASH_TYPE_COLORS[i % CRASH_TYPE_COLORS.length];
+  const max = Math.max(1, ...trend.buckets.map((b) => b.total));
+  // Label roughly eight buckets whatever the span.
+  const labelEvery = Math.max(1, Math.ceil(trend.buckets.length / 8));
+
+  return (
+    <div
+      style={{
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 10,
+        padding: "16px 20px",
+        marginBottom: 20,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          marginBottom: 14,
+        }}
+      >
+        <span style={labelStyle}>Analyses per {trend.size}</span>
+        <div style={{ display: "flex", gap: 2 }}>
+          {[
+            { key: "crash_type", label: "By crash type" },
+            { key: "severity", label: "By severity" },
+          ].map((opt) => (
+            <button
+              key={opt.key}
+              className="nav-btn"
+              onClick={() => onByChange(opt.key)}
+              style={{
+                ...mono,
+                padding: "4px 10px",
+                borderRadius: 5,
+                border: "none",
+                background: by === opt.key ? "rgba(90,200,250,0.12)" : "transparent",
+                color: by === opt.key ? "#5ac8fa" : "#6b7280",
+                fontSize: 10.5,
+                cursor: "pointer",
+              }}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div style={{ display: "flex", alignItems: "flex-end", gap: 3, height: 120 }}>
+        {trend.buckets.map((b) => (
+          <div
+            key={b.start}
+            title={`${bucketLabel(b.start, trend.size)}: ${b.total}${trend.keys
+              .filter((k) => b.counts[k])
+              .map((k) => `\n${k}: ${b.counts[k]}`)
+              .join("")}`}
+            style={{
+              flex: 1,
+              minWidth: 2,
+              height: `${(b.total / max) * 100}%`,
+              display: "flex",
+              flexDirection: "column-reverse",
+              borderRadius: "2px 2px 0 0",
+              overflow: "hidden",
+            }}
+          >
+            {trend.keys.map((k, i) =>
+              b.counts[k] ? (
+                <div key={k} style={{ flex: b.counts[k], background: colorOf(k, i), opacity: 0.8 }} />
+              ) : null
+            )}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 3, marginTop: 6 }}>
+        {trend.buckets.map((b, i) => (
+          <div
+            key={b.start}
+            style={{
+              ...mono,
+              flex: 1,
+              minWidth: 2,
+              fontSize: 9.5,
+              color: "#4a5568",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {i % labelEvery === 0 ? bucketLabel(b.start, trend.size) : ""}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 14, marginTop: 12 }}>
+        {trend.keys.map((k, i) => (
+          <span
+            key={k}
+            style={{ ...mono, fontSize: 11, color: "#8b95a5", display: "flex", alignItems: "center", gap: 6 }}
+          >
+            <span style={{ width: 8, height: 8, borderRadius: 2, background: colorOf(k, i) }} />
+            {by === "severity" ? severityConfig[k]?.label || k : k}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Meta({ label, values }) {
+  if (!values.length) return null;
+  const shown = values.slice(0, 4).join(", ");
+  return (
+    <span style={{ ...mono, fontSize: 11, color: "#8b95a5" }} title={values.join(", ")}>
+      <span style={{ color: "#4a5568" }}>{label} </span>
+      {shown}
+      {values.length > 4 && ` +${values.length - 4}`}
+    </span>
+  );
+}
+
+export default function ClusterDashboard({ entries, onOpen, severityConfig }) {
+  const [trendBy, setTrendBy] = useState("crash_type");
+  const [expanded, setExpanded] = useState(null);
+  const clusters = useMemo(() => clusterHistory(entries), [entries]);
+
+  return (
+    <div>
+      <TrendChart
+        entries={entries}
+        by={trendBy}
+        onByChange={setTrendBy}
+        severityConfig={severityConfig}
+      />
+
+      <div style={{ ...labelStyle, marginBottom: 10 }}>
+        {clusters.length} clusters · {entries.length} analyses
+      </div>
+      {clusters.map((c) => {
+        const sev = severityConfig[c.severity] || severityConfig.medium;
+        const open = expanded === c.id;
+        return (
+          <div
+            key={c.id}
+            style={{
+              border: "1px solid rgba(255,255,255,0.06)",
+              borderLeft: `3px solid ${sev.color}`,
+              borderRadius: 8,
+              marginBottom: 10,
+              overflow: "hidden",
+            }}
+          >
+            <div
+              className="history-row"
+              onClick={() => setExpanded(open ? null : c.id)}
+              style={{
+                display: "grid",
+                gridTemplateColumns: "56px minmax(0, 1fr) auto",
+                gap: 16,
+                padding: "14px 18px",
+                cursor: "pointer",
+                alignItems: "center",
+              }}
+            >
+              <div
+                style={{ ...mono, fontSize: 24, fontWeight: 700, color: "#fff", textAlign: "center" }}
+              >
+                {c.entries.length}
+                <div style={{ fontSize: 9.5, fontWeight: 400, color: "#4a5568" }}>
+                  {c.entries.length === 1 ? "crash" : "crashes"}
+                </div>
+              </div>
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontSize: 14, color: "#e0e4e8", fontWeight: 600, marginBottom: 4 }}>
+                  {c.label}
+                </div>
+                {c.frames.length > 0 && (
+                  <div
+                    style={{
+                      ...mono,
+                      fontSize: 11,
+                      color: "#5ac8fa",
+                      marginBottom: 6,
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                      whiteSpace: "nowrap",
+                    }}
+                    title={c.frames.join("\n")}
+                  >
+                    {c.frames.join(" ‹ ")}
+                  </div>
+                )}
+                <div style={{ display: "flex", flexWrap: "wrap", columnGap: 16, rowGap: 2 }}>
+                  <span style={{ ...mono, fontSize: 11, color: "#8b95a5" }}>
+                    <span style={{ color: "#4a5568" }}>seen </span>
+                    {c.entries.length === 1
+                      ? day(c.firstSeen)
+                      : `${day(c.firstSeen)} → ${day(c.lastSeen)}`}
+                  </span>
+                  <Meta label="kernels" values={c.kernels} />
+                  <Meta label="hosts" values={c.hosts} />
+                </div>
+              </div>
+              <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: 6 }}>
+                <Badge label={sev.label} color={sev.color} bg={sev.bg} />
+                <span style={{ ...mono, fontSize: 10.5, color: "#4a5568" }}>{c.crashTypes.join(", ")}</span>
+              </div>
+            </div>
+            {open && (
+              <div style={{ borderTop: "1px solid rgba(255,255,255,0.04)" }}>
+                {c.entries.map((e) => (
+                  <div
+                    key={e.id}
+                    className="history-row"
+                    onClick={() => onOpen(e)}
+                    style={{
+                      ...mono,
+                      display: "grid",
+                      gridTemplateColumns: "1.6fr 1fr 1fr 1.4fr",
+                      gap: 12,
+                      padding: "8px 18px 8px 90px",
+                      fontSize: 11.5,
+                      color: "#8b95a5",
+                      cursor: "pointer",
+                    }}
+                  >
+                    <span>{new Date(e.createdAt).toLocaleString()}</span>
+                    <span>{(e.hosts || []).join(", ") || "—"}</span>
+                    <span>{e.kernel}</span>
+                    <span style={{ color: "#4a5568" }}>{e.signature?.id || ""}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
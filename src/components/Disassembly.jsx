@@ -0,0 +1,82 @@
+import { codeLabeler, explainFault, formatInstruction } from "../lib/disasm.js";
+
+// ─── Code: disassembly around the faulting instruction ───
+export default function Disassembly({ event, disassembly }) {
+  const label = codeLabeler(event.rip, event.code.faultIndex);
+  const notes = explainFault(disassembly.fault, event.registers);
+  const mono = { fontFamily: "'JetBrains Mono', monospace" };
+
+  return (
+    <div
+      style={{
+        background: "rgba(0,0,0,0.3)",
+        borderRadius: 8,
+        padding: 16,
+        overflowX: "auto",
+      }}
+    >
+      {event.code.faultIndex >= 0 && !disassembly.synced && (
+        <div style={{ ...mono, fontSize: 11, color: "#ffd60a", marginBottom: 10 }}>
+          Bytes before the marker did not decode cleanly up to it — only the
+          instructions from the faulting byte on are reliable.
+        </div>
+      )}
+      <div
+        style={{
+          ...mono,
+          display: "grid",
+          gridTemplateColumns: "auto auto 1fr",
+          columnGap: 16,
+          fontSize: 12,
+          lineHeight: 1.8,
+        }}
+      >
+        {disassembly.instructions.map((insn) => {
+          const color = insn.fault ? "#ff453a" : insn.invalid ? "#4a5568" : "#a0aab4";
+          return (
+            <div
+              key={insn.offset}
+              style={{
+                display: "contents",
+                color,
+                fontWeight: insn.fault ? 700 : 400,
+              }}
+            >
+              <span style={{ color: insn.fault ? color : "#6b7280", whiteSpace: "nowrap" }}>
+                {insn.fault ? "→ " : "  "}
+                {label(insn.offset)}
+              </span>
+              <span style={{ color: "#4a5568", whiteSpace: "nowrap" }}>
+                {insn.bytes.map((b) => b.toString(16).padStart(2, "0")).join(" ")}
+              </span>
+              <span style={{ whiteSpace: "nowrap" }}>{formatInstruction(insn, label)}</span>
+            </div>
+          );
+        })}
+      </div>
+      {notes.length > 0 && (
+        <div
+          style={{
+            marginTop: 14,
+            paddingTop: 12,
+            borderTop: "1px solid rgba(255,255,255,0.06)",
+          }}
+        >
+          {notes.map((note, i) => (
+            <div
+              key={i}
+              style={{
+                ...mono,
+                fontSize: 12,
+                lineHeight: 1.7,
+                color: i === 0 ? "#ff6961" : "#8b95a5",
+              }}
+            >
+              {note}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import { Component } from "react";
+
+// ─── Keeps a render error in one part of the page ───
+//
+// Without a boundary React unmounts the whole app when a render throws.
+// Give it a `key` that changes with what it shows, so the next report
+// gets a fresh try instead of the old error.
+
+export default class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback(this.state.error) : this.props.children;
+  }
+}
@@ -0,0 +1,116 @@
+import { EVENT_KINDS } from "../lib/segment.js";
+
+// ─── Detected kernel events (segmentation result) ───
+// `range` is a line range picked in the log viewer, offered as one more scope.
+export default function EventList({ events, range, selectedId, onSelect, totalLines }) {
+  const rows = [
+    { id: "all", label: "Entire log", detail: `${totalLines} lines` },
+    ...(range
+      ? [
+          {
+            id: "range",
+            label: "Lines selected in the log viewer",
+            detail: `lines ${range.start + 1}–${range.end + 1}`,
+          },
+        ]
+      : []),
+    ...events.map((ev) => ({
+      id: ev.id,
+      event: ev,
+      label: ev.title,
+      detail: `lines ${ev.startLine + 1}–${ev.endLine + 1}`,
+    })),
+  ];
+
+  return (
+    <div
+      style={{
+        marginTop: 16,
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 8,
+        overflow: "hidden",
+      }}
+    >
+      <div
+        style={{
+          padding: "10px 14px",
+          background: "rgba(255,255,255,0.02)",
+          borderBottom: "1px solid rgba(255,255,255,0.06)",
+          fontFamily: "'JetBrains Mono', monospace",
+          fontSize: 10,
+          color: "#6b7280",
+          letterSpacing: 1,
+          textTransform: "uppercase",
+          fontWeight: 600,
+        }}
+      >
+        Detected kernel events ({events.length})
+      </div>
+      <div style={{ maxHeight: 240, overflowY: "auto" }}>
+        {rows.map((row) => {
+          const active = row.id === selectedId;
+          const kind = row.event ? EVENT_KINDS[row.event.kind] : null;
+          return (
+            <button
+              key={row.id}
+              className="event-row"
+              onClick={() => onSelect(row.id)}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 10,
+                width: "100%",
+                padding: "9px 14px",
+                background: active ? "rgba(90,200,250,0.08)" : "transparent",
+                border: "none",
+                borderLeft: `2px solid ${active ? "#5ac8fa" : "transparent"}`,
+                borderBottom: "1px solid rgba(255,255,255,0.03)",
+                cursor: "pointer",
+                textAlign: "left",
+                fontFamily: "'JetBrains Mono', monospace",
+              }}
+            >
+              <span style={{ fontSize: 11, color: "#4a5568", minWidth: 22 }}>
+                {row.event ? `#${row.event.index}` : "∗"}
+              </span>
+              {kind && (
+                <span
+                  style={{
+                    fontSize: 10,
+                    fontWeight: 700,
+                    color: kind.color,
+                    letterSpacing: 0.8,
+                    textTransform: "uppercase",
+                    minWidth: 92,
+                  }}
+                >
+                  {kind.label}
+                </span>
+              )}
+              <span
+                style={{
+                  flex: 1,
+                  fontSize: 12,
+                  color: active ? "#e0e4e8" : "#a0aab4",
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {row.label}
+              </span>
+              {row.event?.host && (
+                <span style={{ fontSize: 11, color: "#6b7280" }}>
+                  {row.event.host}
+                </span>
+              )}
+              <span style={{ fontSize: 11, color: "#4a5568", flexShrink: 0 }}>
+                {row.detail}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
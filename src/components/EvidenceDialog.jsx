@@ -0,0 +1,243 @@
+import { useMemo, useRef, useState } from "react";
+import { normalizeLog } from "../lib/prefix.js";
+import { linkEvidence } from "../lib/evidence.js";
+import Modal from "./Modal.jsx";
+
+// ─── Side-by-side evidence: the log on the left, the report on the right ───
+//
+// Clicking a report item scrolls to and highlights the log lines behind
+// it; hovering a log line lights up the report items that cite it. The
+// log pane is windowed like the log viewer: only the rows in view (plus a
+// margin) are rendered, however long the log.
+
+const ROW_HEIGHT = 20;
+const PAD = 8;
+const OVERSCAN = 12;
+
+const mono = { fontFamily: "'JetBrains Mono', monospace" };
+
+const paneStyle = {
+  height: "70vh",
+  overflow: "auto",
+  background: "#080a0e",
+  border: "1px solid rgba(255,255,255,0.06)",
+  borderRadius: 8,
+};
+
+const labelStyle = {
+  ...mono,
+  fontSize: 10,
+  color: "#6b7280",
+  letterSpacing: 0.8,
+  textTransform: "uppercase",
+  margin: "16px 0 6px",
+};
+
+const describeItem = (item) =>
+  item.kind === "headline"
+    ? "crash headline"
+    : item.kind === "frame"
+      ? `trace frame ${item.label}`
+      : `${item.label} in the root cause`;
+
+function ItemButton({ item, active, cited, onSelect, children }) {
+  const found = item.lines.length > 0;
+  return (
+    <button
+      onClick={() => onSelect(item)}
+      disabled={!found}
+      title={found ? `Line ${item.lines.map((n) => n + 1).join(", ")}` : "Not found in the log"}
+      style={{
+        ...mono,
+        display: "block",
+        width: "100%",
+        textAlign: "left",
+        background: active ? "rgba(90,200,250,0.12)" : cited ? "rgba(90,200,250,0.06)" : "transparent",
+        border: "none",
+        borderLeft: `2px solid ${active || cited ? "#5ac8fa" : "transparent"}`,
+        borderRadius: 4,
+        padding: "4px 8px",
+        color: found ? "#c8ccd0" : "#6b7280",
+        fontSize: 12,
+        cursor: found ? "pointer" : "default",
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+export default function EvidenceDialog({ entry, severityConfig, onClose }) {
+  const { report, crashEvent } = entry;
+  const lines = useMemo(() => normalizeLog(entry.log), [entry.log]);
+  const evidence = useMemo(() => linkEvidence(report, crashEvent, lines), [report, crashEvent, lines]);
+  const [activeId, setActiveId] = useState(null);
+  const [hoverLine, setHoverLine] = useState(null);
+  // The pane is 70vh tall; its real height is read back on every scroll.
+  const [view, setView] = useState(() => ({ top: 0, height: Math.round(window.innerHeight * 0.7) }));
+  const logRef = useRef(null);
+
+  const item = (id) => evidence.items.find((it) => it.id === id);
+  const activeLines = new Set(item(activeId)?.lines ?? []);
+  const cited = new Set((evidence.byLine.get(hoverLine) ?? []).map((it) => it.id));
+  const found = evidence.items.filter((it) => it.lines.length).length;
+  const sev = severityConfig[report.severity];
+
+  const select = (it) => {
+    setActiveId(it.id);
+    // Centred by index: the row may be outside the rendered window.
+    const pane = logRef.current;
+    pane?.scrollTo({
+      top: Math.max(0, PAD + it.lines[0] * ROW_HEIGHT - pane.clientHeight / 2 + ROW_HEIGHT / 2),
+      behavior: "smooth",
+    });
+  };
+  const itemProps = (id) => ({
+    item: item(id),
+    active: activeId === id,
+    cited: cited.has(id),
+    onSelect: select,
+  });
+
+  const first = Math.max(0, Math.floor((view.top - PAD) / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(lines.length, Math.ceil((view.top + view.height) / ROW_HEIGHT) + OVERSCAN);
+
+  // The root cause with each register name it mentions made clickable.
+  const rootCause = [];
+  let at = 0;
+  for (const m of evidence.mentions) {
+    const it = item(m.id);
+    rootCause.push(report.root_cause.slice(at, m.index));
+    rootCause.push(
+      <span
+        key={m.index}
+        role="button"
+        onClick={() => it.lines.length && select(it)}
+        title={it.lines.length ? `${it.label}: line ${it.lines.map((n) => n + 1).join(", ")}` : "Not in the register dump"}
+        style={{
+          ...mono,
+          color: it.lines.length ? "#5ac8fa" : "#ff6961",
+          background: activeId === m.id || cited.has(m.id) ? "rgba(90,200,250,0.15)" : "transparent",
+          borderBottom: "1px dotted currentColor",
+          cursor: it.lines.length ? "pointer" : "default",
+        }}
+      >
+        {m.text}
+      </span>
+    );
+    at = m.index + m.text.length;
+  }
+  rootCause.push(report.root_cause?.slice(at));
+
+  return (
+    <Modal title="⇆ Evidence" maxWidth={1400} onClose={onClose}>
+      <div style={{ ...mono, fontSize: 11, color: "#6b7280", marginBottom: 12 }}>
+        {found} of {evidence.items.length} report items found in the log. Click one to jump to its lines;
+        hover a highlighted line to see what cites it.
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "minmax(0, 1.3fr) minmax(0, 1fr)", gap: 16 }}>
+        <div
+          ref={logRef}
+          style={paneStyle}
+          onScroll={(e) => setView({ top: e.currentTarget.scrollTop, height: e.currentTarget.clientHeight })}
+          onMouseLeave={() => setHoverLine(null)}
+        >
+          <div style={{ height: lines.length * ROW_HEIGHT + 2 * PAD, position: "relative" }}>
+            <div
+              style={{
+                ...mono,
+                fontSize: 11.5,
+                position: "absolute",
+                top: PAD + first * ROW_HEIGHT,
+                left: 0,
+                minWidth: "100%",
+              }}
+            >
+              {lines.slice(first, last).map((line, i) => {
+                const n = first + i;
+                const refs = evidence.byLine.get(n);
+                const active = activeLines.has(n);
+                return (
+                  <div
+                    key={n}
+                    onMouseEnter={() => setHoverLine(refs ? n : null)}
+                    title={refs ? `Cited by the ${refs.map(describeItem).join(", ")}` : undefined}
+                    style={{
+                      display: "flex",
+                      height: ROW_HEIGHT,
+                      lineHeight: `${ROW_HEIGHT}px`,
+                      background: active
+                        ? "rgba(90,200,250,0.16)"
+                        : refs
+                          ? "rgba(90,200,250,0.04)"
+                          : "transparent",
+                      borderLeft: `2px solid ${active ? "#5ac8fa" : refs ? "rgba(90,200,250,0.35)" : "transparent"}`,
+                      transition: "background 0.3s",
+                    }}
+                  >
+                    <span
+                      style={{
+                        width: 48,
+                        flexShrink: 0,
+                        paddingRight: 12,
+                        textAlign: "right",
+                        color: "#4a5060",
+                        userSelect: "none",
+                      }}
+                    >
+                      {n + 1}
+                    </span>
+                    <span style={{ whiteSpace: "pre", color: active ? "#e0e4e8" : "#8b95a5", paddingRight: 12 }}>
+                      {line.raw}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ ...paneStyle, padding: "4px 16px 16px" }}>
+          <div style={labelStyle}>Report</div>
+          <div style={{ ...mono, fontSize: 14, fontWeight: 700, color: "#fff" }}>
+            {report.crash_type}: {report.affected_subsystem}
+            {sev && <span style={{ marginLeft: 10, fontSize: 11, color: sev.color }}>{sev.label}</span>}
+          </div>
+
+          {item("headline") && (
+            <>
+              <div style={labelStyle}>Crash headline</div>
+              <ItemButton {...itemProps("headline")}>{crashEvent.headline}</ItemButton>
+            </>
+          )}
+
+          <div style={labelStyle}>Root cause</div>
+          <div style={{ fontSize: 13, lineHeight: 1.7, color: "#c8ccd0" }}>{rootCause}</div>
+
+          {report.annotated_trace?.length > 0 && (
+            <>
+              <div style={labelStyle}>Annotated call trace</div>
+              {report.annotated_trace.map((frame, i) => {
+                const it = item(`frame:${i}`);
+                return (
+                  <ItemButton key={i} {...itemProps(it.id)}>
+                    {frame.func}
+                    {it.status === "invented" && (
+                      <span style={{ marginLeft: 8, fontSize: 10, color: "#ff453a" }}>✗ not in the log</span>
+                    )}
+                    {it.status === "offset" && (
+                      <span style={{ marginLeft: 8, fontSize: 10, color: "#ff9500" }}>≠ offset in the log</span>
+                    )}
+                    <div style={{ fontSize: 11, color: "#5ac8fa", opacity: 0.8, fontStyle: "italic", marginTop: 2 }}>
+                      {frame.note}
+                    </div>
+                  </ItemButton>
+                );
+              })}
+            </>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,109 @@
+import { HISTORY_SORTS, EMPTY_HISTORY_FILTERS } from "../lib/historyQuery.js";
+
+// ─── History search / filter bar ───
+
+const fieldStyle = {
+  background: "#080a0e",
+  border: "1px solid rgba(255,255,255,0.06)",
+  borderRadius: 6,
+  padding: "7px 10px",
+  fontFamily: "'JetBrains Mono', monospace",
+  fontSize: 11,
+  color: "#c8ccd0",
+  minWidth: 0,
+};
+
+const SELECTS = [
+  { key: "crash_type", label: "Any crash type" },
+  { key: "severity", label: "Any severity" },
+  { key: "subsystem", label: "Any subsystem" },
+  { key: "kernel", label: "Any kernel" },
+  { key: "host", label: "Any host" },
+];
+
+export default function HistoryFilters({ filters, facets, onChange, shown, total }) {
+  const set = (key) => (e) => onChange({ ...filters, [key]: e.target.value });
+  const active = Object.entries(filters).some(
+    ([key, value]) => key !== "sort" && value !== EMPTY_HISTORY_FILTERS[key]
+  );
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+        <input
+          value={filters.text}
+          onChange={set("text")}
+          placeholder="Search root cause, headline, symbols, hosts..."
+          style={{ ...fieldStyle, flex: 1, padding: "9px 12px", fontSize: 12 }}
+        />
+        <select value={filters.sort} onChange={set("sort")} style={fieldStyle}>
+          {Object.entries(HISTORY_SORTS).map(([key, s]) => (
+            <option key={key} value={key}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(5, minmax(0, 1fr)) auto auto",
+          gap: 8,
+          alignItems: "center",
+        }}
+      >
+        {SELECTS.map(({ key, label }) => (
+          <select key={key} value={filters[key]} onChange={set(key)} style={fieldStyle}>
+            <option value="">{label}</option>
+            {facets[key].map((v) => (
+              <option key={v} value={v}>
+                {v}
+              </option>
+            ))}
+          </select>
+        ))}
+        <input
+          type="date"
+          value={filters.from}
+          onChange={set("from")}
+          title="From date"
+          style={fieldStyle}
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={set("to")}
+          title="To date (inclusive)"
+          style={fieldStyle}
+        />
+      </div>
+      <div
+        style={{
+          marginTop: 8,
+          fontFamily: "'JetBrains Mono', monospace",
+          fontSize: 11,
+          color: "#4a5568",
+        }}
+      >
+        {shown === total ? `${total} analyses` : `${shown} of ${total} analyses`}
+        {active && (
+          <button
+            onClick={() => onChange({ ...EMPTY_HISTORY_FILTERS, sort: filters.sort })}
+            style={{
+              marginLeft: 10,
+              background: "none",
+              border: "none",
+              color: "#5ac8fa",
+              fontFamily: "inherit",
+              fontSize: 11,
+              cursor: "pointer",
+              padding: 0,
+            }}
+          >
+            clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,376 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  loadJiraConfig,
+  saveJiraConfig,
+  jiraDraft,
+  jiraIssueRequest,
+  fetchJiraStatus,
+  createJiraIssue,
+} from "../lib/jira.js";
+import Modal from "./Modal.jsx";
+
+// ─── Jira ticket: settings, preview / edit, submit ───
+
+const mono = { fontFamily: "'JetBrains Mono', monospace" };
+
+const labelStyle = {
+  ...mono,
+  fontSize: 10,
+  color: "#6b7280",
+  letterSpacing: 0.8,
+  textTransform: "uppercase",
+  display: "block",
+  marginBottom: 6,
+};
+
+const fieldStyle = {
+  ...mono,
+  width: "100%",
+  background: "#080a0e",
+  border: "1px solid rgba(255,255,255,0.06)",
+  borderRadius: 6,
+  padding: "8px 10px",
+  fontSize: 12,
+  color: "#c8ccd0",
+};
+
+const buttonStyle = {
+  ...mono,
+  background: "rgba(255,255,255,0.03)",
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 6,
+  padding: "8px 16px",
+  color: "#8b95a5",
+  fontSize: 11,
+  cursor: "pointer",
+};
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+function Field({ label, children, style }) {
+  return (
+    <div style={style}>
+      <label style={labelStyle}>{label}</label>
+      {children}
+    </div>
+  );
+}
+
+function Settings({ config, onSave, onCancel }) {
+  const [draft, setDraft] = useState(config);
+  const set = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  return (
+    <div
+      style={{
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 8,
+        padding: 16,
+        marginBottom: 18,
+        display: "grid",
+        gridTemplateColumns: "1fr 1fr 1fr",
+        gap: 12,
+      }}
+    >
+      <Field label="Project key">
+        <input
+          value={draft.projectKey}
+          onChange={set("projectKey")}
+          placeholder="e.g. KERN"
+          style={fieldStyle}
+        />
+      </Field>
+      <Field label="Default issue type">
+        <input value={draft.issueType} onChange={set("issueType")} style={fieldStyle} />
+      </Field>
+      <Field label="Description format">
+        <select
+          value={draft.apiVersion}
+          onChange={(e) => setDraft({ ...draft, apiVersion: Number(e.target.value) })}
+          style={fieldStyle}
+        >
+          <option value={2}>Wiki markup (API v2, Server / DC)</option>
+          <option value={3}>ADF (API v3, Cloud)</option>
+        </select>
+      </Field>
+      <Field label="Priority per severity" style={{ gridColumn: "1 / -1" }}>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 8 }}>
+          {SEVERITIES.map((s) => (
+            <div key={s} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span style={{ ...mono, fontSize: 11, color: "#6b7280", width: 56 }}>{s}</span>
+              <input
+                value={draft.priorities[s]}
+                onChange={(e) =>
+                  setDraft({ ...draft, priorities: { ...draft.priorities, [s]: e.target.value } })
+                }
+                placeholder="unset"
+                style={fieldStyle}
+              />
+            </div>
+          ))}
+        </div>
+      </Field>
+      <Field
+        label="Components from affected subsystem (terms => component)"
+        style={{ gridColumn: "1 / -1" }}
+      >
+        <textarea
+          value={draft.componentRules}
+          onChange={set("componentRules")}
+          rows={6}
+          style={{ ...fieldStyle, resize: "vertical", lineHeight: 1.5 }}
+        />
+      </Field>
+      <Field label="Default labels (space-separated)" style={{ gridColumn: "1 / -1" }}>
+        <input value={draft.labels} onChange={set("labels")} style={fieldStyle} />
+      </Field>
+      <div style={{ gridColumn: "1 / -1", display: "flex", justifyContent: "flex-end", gap: 8 }}>
+        {onCancel && (
+          <button onClick={onCancel} style={buttonStyle}>
+            Cancel
+          </button>
+        )}
+        <button onClick={() => onSave(draft)} style={{ ...buttonStyle, color: "#5ac8fa" }}>
+          Save settings
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function JiraDialog({ apiUrl, report, crashEvent, entry, onCreated, onClose }) {
+  const [config, setConfig] = useState(loadJiraConfig);
+  const [editingSettings, setEditingSettings] = useState(() => !config.projectKey);
+  const [draft, setDraft] = useState(() => jiraDraft({ report, crashEvent, config }));
+  const [backend, setBackend] = useState(undefined);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [created, setCreated] = useState(null);
+
+  useEffect(() => {
+    fetchJiraStatus(apiUrl).then(setBackend);
+  }, [apiUrl]);
+
+  const request = useMemo(
+    () => jiraIssueRequest({ draft, config, report, entry }),
+    [draft, config, report, entry]
+  );
+  const preview =
+    typeof request.fields.description === "string"
+      ? request.fields.description
+      : JSON.stringify(request.fields.description, null, 2);
+
+  const set = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  // New settings re-derive the mapped fields; the summary and notes the
+  // user may have written are kept.
+  const handleSaveSettings = (next) => {
+    saveJiraConfig(next);
+    setConfig(next);
+    setDraft({
+      ...jiraDraft({ report, crashEvent, config: next }),
+      summary: draft.summary,
+      notes: draft.notes,
+    });
+    setEditingSettings(false);
+  };
+
+  const handleSubmit = async () => {
+    setSending(true);
+    setError(null);
+    try {
+      const result = await createJiraIssue(apiUrl, request);
+      setCreated(result);
+      onCreated(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const missing = !config.projectKey.trim()
+    ? "Set a project key in the settings."
+    : !draft.summary.trim()
+      ? "The summary is empty."
+      : !draft.issueType.trim()
+        ? "The issue type is empty."
+        : null;
+
+  return (
+    <Modal
+      title="🎫 Create Jira Ticket"
+      maxWidth={860}
+      onClose={onClose}
+      actions={
+        !editingSettings && (
+          <button onClick={() => setEditingSettings(true)} style={buttonStyle}>
+            ⚙ Settings
+          </button>
+        )
+      }
+    >
+      <div style={{ ...mono, fontSize: 11, color: "#4a5568", margin: "-12px 0 18px" }}>
+        {backend === undefined
+          ? "Checking backend…"
+          : backend === null
+            ? "Backend unreachable — the ticket can't be submitted."
+            : backend.configured
+              ? `Submitting to ${backend.base_url}${config.projectKey ? ` · project ${config.projectKey}` : ""}`
+              : "The backend has no JIRA_BASE_URL set."}
+      </div>
+
+      {editingSettings && (
+        <Settings
+          config={config}
+          onSave={handleSaveSettings}
+          onCancel={config.projectKey ? () => setEditingSettings(false) : null}
+        />
+      )}
+
+      {entry?.jira && !created && (
+        <div
+          style={{
+            ...mono,
+            fontSize: 12,
+            color: "#ffd60a",
+            background: "rgba(255,214,10,0.06)",
+            border: "1px solid rgba(255,214,10,0.2)",
+            borderRadius: 6,
+            padding: "8px 12px",
+            marginBottom: 14,
+          }}
+        >
+          This analysis was already filed as{" "}
+          <a href={entry.jira.url} target="_blank" rel="noreferrer" style={{ color: "#ffd60a" }}>
+            {entry.jira.key}
+          </a>
+          .
+        </div>
+      )}
+
+      {created ? (
+        <div style={{ ...mono, fontSize: 13, color: "#30d158", padding: "12px 0" }}>
+          Created{" "}
+          <a
+            href={created.url}
+            target="_blank"
+            rel="noreferrer"
+            style={{ color: "#30d158", fontWeight: 700 }}
+          >
+            {created.key}
+          </a>
+          {created.attachment_error && (
+            <div style={{ marginTop: 8, fontSize: 11, color: "#ff9f0a" }}>
+              The log could not be attached: {created.attachment_error}
+            </div>
+          )}
+        </div>
+      ) : (
+        <>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr 1fr",
+              gap: 12,
+              marginBottom: 12,
+            }}
+          >
+            <Field label="Summary" style={{ gridColumn: "1 / -1" }}>
+              <input
+                value={draft.summary}
+                onChange={set("summary")}
+                maxLength={255}
+                style={fieldStyle}
+              />
+            </Field>
+            <Field label="Issue type">
+              <input value={draft.issueType} onChange={set("issueType")} style={fieldStyle} />
+            </Field>
+            <Field label={`Priority (${report.severity})`}>
+              <input
+                value={draft.priority}
+                onChange={set("priority")}
+                placeholder="unset"
+                style={fieldStyle}
+              />
+            </Field>
+            <Field label="Components">
+              <input
+                value={draft.components}
+                onChange={set("components")}
+                placeholder="none matched"
+                style={fieldStyle}
+              />
+            </Field>
+            <Field label="Labels" style={{ gridColumn: "1 / -1" }}>
+              <input value={draft.labels} onChange={set("labels")} style={fieldStyle} />
+            </Field>
+            <Field label="Notes (added above the report)" style={{ gridColumn: "1 / -1" }}>
+              <textarea
+                value={draft.notes}
+                onChange={set("notes")}
+                rows={3}
+                placeholder="e.g. Seen on 3 hosts in the db-prod pool since the 6.8 rollout"
+                style={{ ...fieldStyle, resize: "vertical" }}
+              />
+            </Field>
+          </div>
+
+          <label style={labelStyle}>
+            Description preview · {config.apiVersion === 3 ? "ADF" : "wiki markup"}
+            {request.attachment && ` · attaches ${request.attachment.filename}`}
+          </label>
+          <pre
+            style={{
+              ...mono,
+              fontSize: 11,
+              lineHeight: 1.5,
+              color: "#8b95a5",
+              background: "#080a0e",
+              border: "1px solid rgba(255,255,255,0.06)",
+              borderRadius: 6,
+              padding: 12,
+              maxHeight: 280,
+              overflow: "auto",
+              whiteSpace: "pre-wrap",
+              wordBreak: "break-word",
+            }}
+          >
+            {preview}
+          </pre>
+
+          {error && (
+            <div style={{ ...mono, fontSize: 12, color: "#ff6961", marginTop: 12 }}>{error}</div>
+          )}
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "flex-end",
+              gap: 12,
+              marginTop: 16,
+            }}
+          >
+            {missing && <span style={{ ...mono, fontSize: 11, color: "#6b7280" }}>{missing}</span>}
+            <button
+              onClick={handleSubmit}
+              disabled={Boolean(missing) || sending || !backend?.configured}
+              style={{
+                ...buttonStyle,
+                background: "rgba(90,200,250,0.12)",
+                border: "1px solid rgba(90,200,250,0.3)",
+                color: "#5ac8fa",
+                fontWeight: 700,
+                opacity: missing || sending || !backend?.configured ? 0.5 : 1,
+                cursor: missing || sending || !backend?.configured ? "not-allowed" : "pointer",
+              }}
+            >
+              {sending ? "Creating…" : "Create ticket"}
+            </button>
+          </div>
+        </>
+      )}
+    </Modal>
+  );
+}
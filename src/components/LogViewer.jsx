@@ -0,0 +1,419 @@
+import { useDeferredValue, useMemo, useRef, useState } from "react";
+import { EVENT_KINDS } from "../lib/segment.js";
+import {
+  facilityName,
+  filterLines,
+  highlightLine,
+  logFacets,
+  markRanges,
+  matchRanges,
+} from "../lib/logView.js";
+
+// ─── Virtualised log viewer: filters, regex search, event jumps, ranges ───
+//
+// Only the rows in view (plus a margin) are rendered, so a 25k-line syslog
+// scrolls like a short one. Line numbers are those of the full log
+// whatever the filters hide; click one and shift-click another to select
+// a range for analysis.
+
+const ROW_HEIGHT = 20;
+const VIEW_HEIGHT = 380;
+const OVERSCAN = 12;
+
+const mono = { fontFamily: "'JetBrains Mono', monospace" };
+
+const TOKEN_COLORS = {
+  prefix: "#4a5568",
+  headline: "#ff453a",
+  marker: "#bf5af2",
+  frame: "#5ac8fa",
+  register: "#ffd60a",
+  module: "#ff9500",
+  address: "#a0aab4",
+  other: "#4a5568",
+};
+
+const controlStyle = {
+  ...mono,
+  background: "#080a0e",
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 5,
+  padding: "4px 8px",
+  color: "#8b95a5",
+  fontSize: 11,
+};
+
+const buttonStyle = {
+  ...controlStyle,
+  background: "rgba(255,255,255,0.03)",
+  cursor: "pointer",
+};
+
+const NO_FILTERS = { host: "", process: "", facility: "", kernelOnly: false };
+
+// Next index in a cyclic list, starting from an end when none is current.
+const stepIndex = (current, step, length) =>
+  current < 0 ? (step > 0 ? 0 : length - 1) : (current + step + length) % length;
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.lines      normalizeLog() output
+ * @param {Object[]} props.events     segmentEvents() output
+ * @param {string|null} props.selectedId   "all", "range" or an event id
+ * @param {{start: number, end: number}|null} props.range  the range being analyzed
+ * @param {(id: string) => void} props.onSelectEvent
+ * @param {(range: {start: number, end: number}) => void} props.onSelectRange
+ */
+export default function LogViewer({
+  lines,
+  events,
+  selectedId,
+  range,
+  onSelectEvent,
+  onSelectRange,
+}) {
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [query, setQuery] = useState("");
+  // Position in the match list, for the query it was set for.
+  const [cursor, setCursor] = useState({ query: "", pos: -1 });
+  const [scrollTop, setScrollTop] = useState(0);
+  const [anchor, setAnchor] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const scrollRef = useRef(null);
+
+  const facets = useMemo(() => logFacets(lines), [lines]);
+  const visible = useMemo(() => filterLines(lines, filters), [lines, filters]);
+
+  const deferredQuery = useDeferredValue(query);
+  const search = useMemo(() => {
+    if (!deferredQuery) return {};
+    try {
+      return { re: new RegExp(deferredQuery, "gi"), test: new RegExp(deferredQuery, "i") };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [deferredQuery]);
+  const matches = useMemo(
+    () => (search.test ? visible.filter((n) => search.test.test(lines[n].raw)) : []),
+    [search, visible, lines]
+  );
+  const matchSet = useMemo(() => new Set(matches), [matches]);
+  const pos = cursor.query === deferredQuery ? Math.min(cursor.pos, matches.length - 1) : -1;
+  let matchLabel = "";
+  if (search.error) matchLabel = "bad regex";
+  else if (search.re && !matches.length) matchLabel = "no matches";
+  else if (search.re) matchLabel = pos >= 0 ? `${pos + 1}/${matches.length}` : `${matches.length} matches`;
+
+  const eventAt = useMemo(() => new Map(events.map((ev) => [ev.startLine, ev])), [events]);
+  const selectedEvent = events.find((ev) => ev.id === selectedId) || null;
+  const eventPos = selectedEvent ? events.indexOf(selectedEvent) : -1;
+  const analyzed =
+    selectedId === "range"
+      ? range
+      : selectedEvent && { start: selectedEvent.startLine, end: selectedEvent.endLine };
+
+  // Centre line `n`, or the nearest line after it the filters let through.
+  const scrollToLine = (n) => {
+    let lo = 0;
+    let hi = visible.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (visible[mid] < n) lo = mid + 1;
+      else hi = mid;
+    }
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = Math.max(0, lo * ROW_HEIGHT - VIEW_HEIGHT / 2 + ROW_HEIGHT / 2);
+    }
+  };
+
+  const goToMatch = (step) => {
+    if (!matches.length) return;
+    const next = stepIndex(pos, step, matches.length);
+    setCursor({ query: deferredQuery, pos: next });
+    scrollToLine(matches[next]);
+  };
+
+  const goToEvent = (step) => {
+    if (!events.length) return;
+    const next = stepIndex(eventPos, step, events.length);
+    onSelectEvent(events[next].id);
+    scrollToLine(events[next].startLine);
+  };
+
+  const handleLineClick = (n, e) => {
+    if (e.shiftKey && anchor != null) {
+      setSelection({ start: Math.min(anchor, n), end: Math.max(anchor, n) });
+    } else {
+      setAnchor(n);
+      setSelection({ start: n, end: n });
+    }
+  };
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+  const filtered = visible.length < lines.length;
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(
+    visible.length,
+    Math.ceil((scrollTop + VIEW_HEIGHT) / ROW_HEIGHT) + OVERSCAN
+  );
+
+  const renderRow = (n) => {
+    const line = lines[n];
+    const ev = eventAt.get(n);
+    const selected = selection && n >= selection.start && n <= selection.end;
+    const inScope = analyzed && n >= analyzed.start && n <= analyzed.end;
+    const current = pos >= 0 && matches[pos] === n;
+    let tokens = highlightLine(line);
+    if (search.re && matchSet.has(n)) tokens = markRanges(tokens, matchRanges(line.raw, search.re));
+    return (
+      <div
+        key={n}
+        style={{
+          display: "flex",
+          height: ROW_HEIGHT,
+          lineHeight: `${ROW_HEIGHT}px`,
+          background: selected
+            ? "rgba(90,200,250,0.14)"
+            : current
+              ? "rgba(255,214,10,0.12)"
+              : inScope
+                ? "rgba(90,200,250,0.04)"
+                : "transparent",
+          borderTop: ev ? `1px solid ${EVENT_KINDS[ev.kind].color}40` : "none",
+        }}
+      >
+        <span
+          onClick={(e) => handleLineClick(n, e)}
+          title={ev ? `#${ev.index} ${ev.title}` : "Click, then shift-click, to select a range"}
+          style={{
+            position: "sticky",
+            left: 0,
+            width: 64,
+            flexShrink: 0,
+            paddingRight: 10,
+            textAlign: "right",
+            background: "#080a0e",
+            borderRight: `2px solid ${ev ? EVENT_KINDS[ev.kind].color : inScope ? "rgba(90,200,250,0.4)" : "transparent"}`,
+            color: selected ? "#5ac8fa" : "#3a4250",
+            cursor: "pointer",
+            userSelect: "none",
+          }}
+        >
+          {n + 1}
+        </span>
+        <span style={{ whiteSpace: "pre", paddingLeft: 10, paddingRight: 16, color: "#c8ccd0" }}>
+          {tokens.map((t, i) => (
+            <span
+              key={i}
+              style={{
+                color: TOKEN_COLORS[t.kind],
+                fontWeight: t.kind === "headline" ? 700 : undefined,
+                background: t.match ? "rgba(255,214,10,0.35)" : undefined,
+                borderRadius: t.match ? 2 : undefined,
+              }}
+            >
+              {t.text}
+            </span>
+          ))}
+        </span>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      style={{ border: "1px solid rgba(255,255,255,0.06)", borderRadius: 8, overflow: "hidden" }}
+    >
+      {/* Toolbar: filters, search, event jumps */}
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 8,
+          padding: "8px 10px",
+          background: "rgba(255,255,255,0.02)",
+          borderBottom: "1px solid rgba(255,255,255,0.06)",
+        }}
+      >
+        {facets.hosts.length > 1 && (
+          <select
+            value={filters.host}
+            onChange={(e) => setFilter("host", e.target.value)}
+            style={controlStyle}
+          >
+            <option value="">All hosts</option>
+            {facets.hosts.map((h) => (
+              <option key={h}>{h}</option>
+            ))}
+          </select>
+        )}
+        {facets.processes.length > 1 && (
+          <select
+            value={filters.process}
+            onChange={(e) => setFilter("process", e.target.value)}
+            style={controlStyle}
+          >
+            <option value="">All processes</option>
+            {facets.processes.map((p) => (
+              <option key={p}>{p}</option>
+            ))}
+          </select>
+        )}
+        {facets.facilities.length > 1 && (
+          <select
+            value={filters.facility}
+            onChange={(e) => setFilter("facility", e.target.value)}
+            style={controlStyle}
+          >
+            <option value="">All facilities</option>
+            {facets.facilities.map((f) => (
+              <option key={f} value={String(f)}>
+                {facilityName(f)}
+              </option>
+            ))}
+          </select>
+        )}
+        <label
+          style={{
+            ...mono,
+            fontSize: 11,
+            color: "#8b95a5",
+            display: "flex",
+            alignItems: "center",
+            gap: 5,
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={filters.kernelOnly}
+            onChange={(e) => setFilter("kernelOnly", e.target.checked)}
+          />
+          Kernel only
+        </label>
+
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && goToMatch(e.shiftKey ? -1 : 1)}
+          placeholder="Search (regex)"
+          title={search.error || "Enter: next match · Shift+Enter: previous"}
+          style={{
+            ...controlStyle,
+            marginLeft: "auto",
+            width: 180,
+            border: `1px solid ${search.error ? "rgba(255,59,48,0.5)" : "rgba(255,255,255,0.08)"}`,
+          }}
+        />
+        <span
+          style={{
+            ...mono,
+            fontSize: 11,
+            color: search.error ? "#ff6961" : "#6b7280",
+            minWidth: 64,
+          }}
+        >
+          {matchLabel}
+        </span>
+        <button
+          onClick={() => goToMatch(-1)}
+          disabled={!matches.length}
+          style={buttonStyle}
+          title="Previous match"
+        >
+          ▲
+        </button>
+        <button
+          onClick={() => goToMatch(1)}
+          disabled={!matches.length}
+          style={buttonStyle}
+          title="Next match"
+        >
+          ▼
+        </button>
+
+        {events.length > 0 && (
+          <>
+            <button onClick={() => goToEvent(-1)} style={buttonStyle} title="Previous crash event">
+              ◀
+            </button>
+            <span style={{ ...mono, fontSize: 11, color: "#8b95a5" }}>
+              {eventPos >= 0
+                ? `Event ${eventPos + 1}/${events.length} · ${EVENT_KINDS[selectedEvent.kind].label}`
+                : `${events.length} event${events.length === 1 ? "" : "s"}`}
+            </span>
+            <button onClick={() => goToEvent(1)} style={buttonStyle} title="Next crash event">
+              ▶
+            </button>
+          </>
+        )}
+      </div>
+
+      {/* Rows */}
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        style={{
+          height: VIEW_HEIGHT,
+          overflow: "auto",
+          background: "#080a0e",
+          ...mono,
+          fontSize: 12,
+        }}
+      >
+        <div style={{ height: visible.length * ROW_HEIGHT, position: "relative" }}>
+          <div style={{ position: "absolute", top: first * ROW_HEIGHT, left: 0, minWidth: "100%" }}>
+            {visible.slice(first, last).map(renderRow)}
+          </div>
+        </div>
+      </div>
+
+      {/* Range selection */}
+      {(selection || filtered) && (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 10,
+            padding: "6px 10px",
+            borderTop: "1px solid rgba(255,255,255,0.06)",
+            ...mono,
+            fontSize: 11,
+            color: "#6b7280",
+          }}
+        >
+          {filtered && (
+            <span>
+              Showing {visible.length.toLocaleString()} of {lines.length.toLocaleString()} lines
+            </span>
+          )}
+          {selection && (
+            <>
+              <span style={{ marginLeft: "auto", color: "#5ac8fa" }}>
+                Lines {selection.start + 1}–{selection.end + 1} selected (
+                {selection.end - selection.start + 1})
+              </span>
+              <button
+                onClick={() => onSelectRange(selection)}
+                style={{ ...buttonStyle, color: "#5ac8fa" }}
+              >
+                Analyze these lines
+              </button>
+              <button
+                onClick={() => {
+                  setSelection(null);
+                  setAnchor(null);
+                }}
+                style={buttonStyle}
+                title="Clear the selection"
+              >
+                ✕
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
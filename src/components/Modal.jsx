@@ -0,0 +1,74 @@
+import { useEffect } from "react";
+
+// ─── Dialog shell: backdrop, title bar, Escape / click-outside to close ───
+
+const buttonStyle = {
+  fontFamily: "'JetBrains Mono', monospace",
+  background: "rgba(255,255,255,0.03)",
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 6,
+  padding: "8px 16px",
+  color: "#8b95a5",
+  fontSize: 11,
+  cursor: "pointer",
+};
+
+export default function Modal({ title, actions, maxWidth = 760, onClose, children }) {
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.6)",
+        zIndex: 50,
+        display: "flex",
+        alignItems: "flex-start",
+        justifyContent: "center",
+        padding: "48px 24px",
+        overflowY: "auto",
+      }}
+    >
+      <div
+        role="dialog"
+        aria-label={title}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "100%",
+          maxWidth,
+          background: "#0d1017",
+          border: "1px solid rgba(255,255,255,0.08)",
+          borderRadius: 12,
+          padding: 24,
+          animation: "fadeSlideIn 0.2s ease-out",
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            marginBottom: 18,
+          }}
+        >
+          <h3 style={{ fontFamily: "'IBM Plex Mono', monospace", fontSize: 17, color: "#fff" }}>
+            {title}
+          </h3>
+          <div style={{ display: "flex", gap: 8 }}>
+            {actions}
+            <button onClick={onClose} title="Close (Esc)" style={buttonStyle}>
+              ✕
+            </button>
+          </div>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import { formatSymbol } from "../lib/crashEvent.js";
+import { attributeTaint, describeTaintVerdict } from "../lib/taint.js";
+
+// ─── Parsed facts panel (deterministic CrashEvent) ───
+
+const labelStyle = {
+  fontFamily: "'JetBrains Mono', monospace",
+  fontSize: 10,
+  color: "#6b7280",
+  letterSpacing: 1,
+  textTransform: "uppercase",
+  fontWeight: 600,
+  marginBottom: 6,
+};
+
+const valueStyle = {
+  fontFamily: "'JetBrains Mono', monospace",
+  fontSize: 11,
+  color: "#c8ccd0",
+  lineHeight: 1.6,
+  wordBreak: "break-word",
+};
+
+function Fact({ label, children }) {
+  if (children == null || children === "" || children === false) return null;
+  return (
+    <div style={{ marginBottom: 14 }}>
+      <div style={labelStyle}>{label}</div>
+      <div style={valueStyle}>{children}</div>
+    </div>
+  );
+}
+
+function CodeBytes({ code }) {
+  if (!code.bytes.length) return <span style={{ color: "#6b7280" }}>{code.raw}</span>;
+  return code.bytes.map((b, i) => (
+    <span
+      key={i}
+      style={
+        i === code.faultIndex
+          ? { color: "#ff453a", fontWeight: 700, background: "rgba(255,69,58,0.12)" }
+          : { color: "#8b95a5" }
+      }
+    >
+      {b.toString(16).padStart(2, "0")}{" "}
+    </span>
+  ));
+}
+
+export default function ParsedFacts({ event }) {
+  const regs = Object.entries(event.registers);
+  const taint = attributeTaint(event);
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.02)",
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 12,
+        padding: "20px 18px",
+      }}
+    >
+      <div
+        style={{
+          ...labelStyle,
+          fontSize: 11,
+          color: "#4a5568",
+          marginBottom: 18,
+        }}
+      >
+        Parsed facts
+      </div>
+
+      <Fact label="Headline">
+        <span style={{ color: "#ff6961" }}>{event.headline}</span>
+      </Fact>
+      <Fact label="Task">
+        {event.comm &&
+          `CPU ${event.cpu ?? "?"} · PID ${event.pid ?? "?"} · ${event.comm}`}
+      </Fact>
+      <Fact label="Kernel">
+        {event.kernelRelease &&
+          `${event.kernelRelease}${event.kernelBuild ? ` ${event.kernelBuild}` : ""}`}
+      </Fact>
+      <Fact label="Taint">
+        {event.taint && (
+          <>
+            <div>{event.taint}</div>
+            {taint.flags.map((f) => (
+              <div key={f.letter} style={{ color: "#8b95a5" }}>
+                <span style={{ color: "#ff9500", fontWeight: 700 }}>{f.letter}</span>{" "}
+                {f.description}
+              </div>
+            ))}
+            <div style={{ marginTop: 4, color: taint.verdict === "rip" ? "#ff6961" : "#a0aab4" }}>
+              → {describeTaintVerdict(taint)}
+            </div>
+          </>
+        )}
+      </Fact>
+      <Fact label="Hardware">
+        {event.hardware &&
+          `${event.hardware.name}${event.hardware.bios ? ` · BIOS ${event.hardware.bios}` : ""}`}
+      </Fact>
+      <Fact label="Workqueue">
+        {event.workqueue &&
+          `${event.workqueue.name} → ${event.workqueue.func}${event.workqueue.module ? ` [${event.workqueue.module}]` : ""}`}
+      </Fact>
+      <Fact label="Page fault">
+        {event.pageFault &&
+          [
+            event.pageFault.address,
+            event.pageFault.access &&
+              `${event.pageFault.privilege} ${event.pageFault.access} in ${event.pageFault.mode} mode`,
+            event.pageFault.reason,
+          ]
+            .filter(Boolean)
+            .join(" · ")}
+      </Fact>
+      <Fact label="Panic">{event.panicReason}</Fact>
+      <Fact label="RIP">
+        {event.rip && (
+          <span style={{ color: "#5ac8fa" }}>{formatSymbol(event.rip) || event.rip.raw}</span>
+        )}
+      </Fact>
+      <Fact label="Code">{event.code && <CodeBytes code={event.code} />}</Fact>
+
+      {regs.length > 0 && (
+        <Fact label="Registers">
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "auto 1fr",
+              columnGap: 10,
+              fontSize: 10.5,
+            }}
+          >
+            {regs.map(([name, value]) => (
+              <div key={name} style={{ display: "contents" }}>
+                <span style={{ color: "#6b7280" }}>{name}</span>
+                <span style={{ color: /^0+$/.test(value) ? "#ff9500" : "#a0aab4" }}>
+                  {value}
+                </span>
+              </div>
+            ))}
+          </div>
+        </Fact>
+      )}
+
+      {event.frames.length > 0 && (
+        <Fact label={`Call trace (${event.frames.length})`}>
+          {event.frames.map((f, i) => {
+            const prev = event.frames[i - 1];
+            return (
+              <div key={i}>
+                {f.context && f.context !== prev?.context && (
+                  <div style={{ color: "#4a5568" }}>{`<${f.context}>`}</div>
+                )}
+                <div
+                  style={{
+                    color: f.unreliable ? "#4a5568" : "#c8ccd0",
+                    paddingLeft: f.context ? 10 : 0,
+                  }}
+                >
+                  {f.unreliable && "? "}
+                  {f.raw}
+                </div>
+              </div>
+            );
+          })}
+        </Fact>
+      )}
+
+      <Fact label={`Modules linked in (${event.modules.length})`}>
+        {event.modules.length > 0 &&
+          event.modules.map((m) => (
+            <span key={m.name} style={{ color: m.flags ? "#ff9500" : "#8b95a5" }}>
+              {m.name}
+              {m.flags && `(${m.flags})`}{" "}
+            </span>
+          ))}
+      </Fact>
+      <Fact label="End of trace">{event.endTrace}</Fact>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// ─── Register / fault-address heuristics as report evidence ───
+
+const SEVERITY_COLORS = {
+  high: "#ff453a",
+  medium: "#ff9500",
+  low: "#8b95a5",
+};
+
+export default function RegisterEvidence({ findings }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+      {findings.map((f, i) => (
+        <div
+          key={i}
+          style={{
+            display: "flex",
+            gap: 12,
+            padding: "12px 16px",
+            background: "rgba(255,255,255,0.02)",
+            borderRadius: 8,
+            borderLeft: `2px solid ${SEVERITY_COLORS[f.severity]}`,
+          }}
+        >
+          <div style={{ flex: 1 }}>
+            <div
+              style={{
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 12,
+                color: f.severity === "low" ? "#a0aab4" : "#e0e4e8",
+                fontWeight: 600,
+                marginBottom: 4,
+              }}
+            >
+              {f.title}
+            </div>
+            <div style={{ fontSize: 12.5, color: "#8b95a5", lineHeight: 1.6 }}>{f.detail}</div>
+          </div>
+          {f.registers.length > 0 && (
+            <div
+              style={{
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 10,
+                color: SEVERITY_COLORS[f.severity],
+                letterSpacing: 0.8,
+                whiteSpace: "nowrap",
+              }}
+            >
+              {f.registers.join(" · ")}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,863 @@
+import { useState, useEffect, useRef } from "react";
+import Badge from "./Badge.jsx";
+import ParsedFacts from "./ParsedFacts.jsx";
+import Disassembly from "./Disassembly.jsx";
+import RegisterEvidence from "./RegisterEvidence.jsx";
+import { attributeTaint, describeTaintVerdict } from "../lib/taint.js";
+import { disassembleCode } from "../lib/disasm.js";
+import { evaluateRegisters } from "../lib/registerRules.js";
+import { checkGrounding, describeGrounding } from "../lib/grounding.js";
+
+// ─── Analysis report: header badges, findings, parsed facts, actions ───
+//
+// Shared by the Analyzer tab and the read-only report route.
+
+// Header badge for "is this our out-of-tree driver?". No badge when the
+// event carried no taint information at all.
+const TAINT_VERDICT_CONFIG = {
+  rip: { color: "#ff3b30", bg: "rgba(255,59,48,0.12)", label: (m) => `OUT-OF-TREE: ${m}` },
+  trace: { color: "#ff9500", bg: "rgba(255,149,0,0.12)", label: (m) => `IN TRACE: ${m}` },
+  loaded: { color: "#8b95a5", bg: "rgba(255,255,255,0.05)", label: () => "TAINTED · NOT ON PATH" },
+  unknown: { color: "#ffd60a", bg: "rgba(255,214,10,0.12)", label: () => "TAINTED · MODULES UNKNOWN" },
+  clean: { color: "#30d158", bg: "rgba(48,209,88,0.12)", label: () => "IN-TREE" },
+};
+
+// ─── Typed text effect ───
+function TypeWriter({ text, speed = 12, onDone }) {
+  const [displayed, setDisplayed] = useState("");
+  const idx = useRef(0);
+  useEffect(() => {
+    idx.current = 0;
+    setDisplayed("");
+    const iv = setInterval(() => {
+      idx.current++;
+      setDisplayed(text.slice(0, idx.current));
+      if (idx.current >= text.length) {
+        clearInterval(iv);
+        onDone && onDone();
+      }
+    }, speed);
+    return () => clearInterval(iv);
+  }, [text]);
+  return <span>{displayed}</span>;
+}
+
+// ─── Animated progress bar ───
+function ConfidenceBar({ value }) {
+  const [width, setWidth] = useState(0);
+  useEffect(() => {
+    setTimeout(() => setWidth(value), 100);
+  }, [value]);
+  const color =
+    value >= 85 ? "#30d158" : value >= 65 ? "#ffd60a" : "#ff9500";
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+      <div
+        style={{
+          flex: 1,
+          height: 6,
+          background: "rgba(255,255,255,0.06)",
+          borderRadius: 3,
+          overflow: "hidden",
+        }}
+      >
+        <div
+          style={{
+            width: `${width}%`,
+            height: "100%",
+            background: color,
+            borderRadius: 3,
+            transition: "width 1.2s cubic-bezier(0.22,1,0.36,1)",
+          }}
+        />
+      </div>
+      <span
+        style={{
+          fontFamily: "'JetBrains Mono', monospace",
+          fontSize: 14,
+          color,
+          fontWeight: 700,
+          minWidth: 42,
+        }}
+      >
+        {value}%
+      </span>
+    </div>
+  );
+}
+
+// ─── Grounding marks ───
+const groundingColor = (score) => (score >= 85 ? "#30d158" : score >= 65 ? "#ffd60a" : "#ff453a");
+
+// Register values quoted in the text: dotted green where the dump agrees,
+// wavy red where it doesn't.
+function ClaimedText({ text, claims }) {
+  const parts = [];
+  let at = 0;
+  for (const c of claims) {
+    parts.push(text.slice(at, c.index));
+    parts.push(
+      <span
+        key={c.index}
+        title={c.ok ? "Matches the register dump" : `The dump has ${c.register}: ${c.actual ?? "not printed"}`}
+        style={{
+          textDecoration: `underline ${c.ok ? "dotted" : "wavy"} ${c.ok ? "#30d158" : "#ff453a"}`,
+          textUnderlineOffset: 3,
+        }}
+      >
+        {c.text}
+      </span>
+    );
+    at = c.index + c.text.length;
+  }
+  parts.push(text.slice(at));
+  return parts;
+}
+
+// ─── Expandable section ───
+function Expandable({ title, children, defaultOpen = false, icon }) {
+  const [open, setOpen] = useState(defaultOpen);
+  return (
+    <div
+      style={{
+        borderTop: "1px solid rgba(255,255,255,0.06)",
+        marginTop: 2,
+      }}
+    >
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          width: "100%",
+          background: "none",
+          border: "none",
+          color: "#c8ccd0",
+          padding: "14px 0",
+          cursor: "pointer",
+          fontFamily: "'JetBrains Mono', monospace",
+          fontSize: 13,
+          fontWeight: 600,
+          letterSpacing: 0.5,
+          textTransform: "uppercase",
+        }}
+      >
+        <span
+          style={{
+            transform: open ? "rotate(90deg)" : "rotate(0deg)",
+            transition: "transform 0.2s",
+            fontSize: 11,
+            color: "#5ac8fa",
+          }}
+        >
+          ▶
+        </span>
+        {icon && <span style={{ fontSize: 15 }}>{icon}</span>}
+        {title}
+      </button>
+      <div
+        style={{
+          maxHeight: open ? 2000 : 0,
+          overflow: "hidden",
+          transition: "max-height 0.4s cubic-bezier(0.22,1,0.36,1)",
+        }}
+      >
+        <div style={{ paddingBottom: 16 }}>{children}</div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.report            AnalysisReport, or the fields received so far
+ * @param {boolean} [props.pending]        still streaming: missing fields are expected
+ * @param {Object|null} props.crashEvent
+ * @param {Object} props.severityConfig    severity -> { color, bg, label }
+ * @param {{label: string, onClick: Function}[]} props.actions
+ * @param {string|null} [props.feedback]   "up" | "down" once given
+ * @param {Function} [props.onFeedback]    no feedback row without it (read-only)
+ * @param {Function} [props.onRetryBackend] offered on a rule-engine fallback report
+ */
+export default function ReportView({
+  ref,
+  report,
+  pending = false,
+  crashEvent,
+  severityConfig,
+  actions,
+  feedback,
+  onFeedback,
+  onRetryBackend,
+}) {
+  const sev = severityConfig[report.severity] || null;
+  const taint = crashEvent ? attributeTaint(crashEvent) : null;
+  const taintBadge = taint && TAINT_VERDICT_CONFIG[taint.verdict];
+  const disassembly = crashEvent?.code ? disassembleCode(crashEvent.code) : null;
+  const registerFindings = crashEvent ? evaluateRegisters(crashEvent) : [];
+  // Rule-engine reports are built from the parsed log, so only the
+  // model's claims need checking against it.
+  const grounding =
+    crashEvent && !pending && report.engine !== "rules" ? checkGrounding(report, crashEvent) : null;
+  const wrongRegisters = grounding?.registers.filter((r) => !r.ok) ?? [];
+
+  return (
+    <div
+      ref={ref}
+      style={{
+        marginTop: 28,
+        animation: "reportReveal 0.6s ease-out",
+        display: "grid",
+        gridTemplateColumns: crashEvent ? "minmax(0, 1fr) 280px" : "minmax(0, 1fr)",
+        gridTemplateAreas: crashEvent
+          ? '"report facts" "actions facts"'
+          : '"report" "actions"',
+        columnGap: 16,
+        alignItems: "start",
+      }}
+    >
+      <div
+        style={{
+          gridArea: "report",
+          background: "rgba(255,255,255,0.02)",
+          border: "1px solid rgba(255,255,255,0.06)",
+          borderRadius: 12,
+          overflow: "hidden",
+        }}
+      >
+        {/* Report header */}
+        <div
+          style={{
+            padding: "20px 24px",
+            borderBottom: "1px solid rgba(255,255,255,0.06)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            flexWrap: "wrap",
+            gap: 12,
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 10,
+            }}
+          >
+            <span
+              style={{
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 11,
+                color: "#4a5568",
+                letterSpacing: 1,
+                textTransform: "uppercase",
+                fontWeight: 600,
+              }}
+            >
+              {pending ? "Analysis Report · receiving…" : "Analysis Report"}
+            </span>
+          </div>
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 8,
+            }}
+          >
+            {report.engine === "rules" && (
+              <Badge
+                label="RULE-BASED"
+                color="#bf5af2"
+                bg="rgba(191,90,242,0.1)"
+                title="Produced by the offline rule engine, not the LLM"
+              />
+            )}
+            {report.crash_type && (
+              <Badge label={report.crash_type} color="#5ac8fa" bg="rgba(90,200,250,0.1)" />
+            )}
+            {sev && (
+              <Badge
+                label={sev.label}
+                color={sev.color}
+                bg={sev.bg}
+              />
+            )}
+            {taintBadge && (
+              <Badge
+                label={taintBadge.label(
+                  [...new Set(taint.hits.map((h) => h.module))].join(", ")
+                )}
+                color={taintBadge.color}
+                bg={taintBadge.bg}
+                title={describeTaintVerdict(taint)}
+              />
+            )}
+          </div>
+        </div>
+
+        <div style={{ padding: 24 }}>
+          {report.fallback_reason && (
+            <div
+              style={{
+                marginBottom: 20,
+                padding: "10px 14px",
+                background: "rgba(255,214,10,0.06)",
+                border: "1px solid rgba(255,214,10,0.2)",
+                borderRadius: 8,
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 12,
+                color: "#ffd60a",
+                lineHeight: 1.6,
+              }}
+            >
+              Backend unreachable — showing offline rule-based analysis.
+              <div style={{ fontSize: 11, color: "#8b7a3a" }}>
+                {report.fallback_reason}. Check that the backend is running (
+                <code>uvicorn backend:app --reload --port 8000</code>) and reachable, then retry for an LLM
+                analysis.
+              </div>
+              {onRetryBackend && (
+                <button
+                  onClick={onRetryBackend}
+                  style={{
+                    marginTop: 8,
+                    background: "rgba(255,214,10,0.08)",
+                    border: "1px solid rgba(255,214,10,0.25)",
+                    borderRadius: 6,
+                    padding: "5px 12px",
+                    color: "#ffd60a",
+                    fontFamily: "inherit",
+                    fontSize: 11,
+                    cursor: "pointer",
+                  }}
+                >
+                  ⟳ Retry with the backend
+                </button>
+              )}
+            </div>
+          )}
+
+          {report.repaired_fields?.length > 0 && (
+            <div
+              style={{
+                marginBottom: 20,
+                padding: "10px 14px",
+                background: "rgba(255,214,10,0.06)",
+                border: "1px solid rgba(255,214,10,0.2)",
+                borderRadius: 8,
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 12,
+                color: "#ffd60a",
+                lineHeight: 1.6,
+              }}
+            >
+              This report didn't fully match the report schema — {report.repaired_fields.length}{" "}
+              field{report.repaired_fields.length === 1 ? " was" : "s were"} repaired. Check them before
+              relying on this report.
+              <ul style={{ margin: "6px 0 0", paddingLeft: 18, fontSize: 11, color: "#8b7a3a" }}>
+                {report.repaired_fields.map(({ field, problem }) => (
+                  <li key={field}>
+                    <code>{field}</code>: {problem}
+                  </li>
+                ))}
+              </ul>
+              {report.raw_response && (
+                <details style={{ marginTop: 6, fontSize: 11 }}>
+                  <summary style={{ cursor: "pointer", color: "#8b7a3a" }}>Raw response</summary>
+                  <pre
+                    style={{
+                      margin: "6px 0 0",
+                      padding: 10,
+                      maxHeight: 320,
+                      overflow: "auto",
+                      background: "rgba(0,0,0,0.3)",
+                      borderRadius: 6,
+                      color: "#a0a0b0",
+                      whiteSpace: "pre-wrap",
+                      wordBreak: "break-word",
+                    }}
+                  >
+                    {report.raw_response}
+                  </pre>
+                </details>
+              )}
+            </div>
+          )}
+
+          {/* Confidence */}
+          {report.confidence != null && (
+            <div style={{ marginBottom: 24 }}>
+              <div
+                style={{
+                  fontFamily: "'JetBrains Mono', monospace",
+                  fontSize: 10,
+                  color: "#6b7280",
+                  letterSpacing: 1,
+                  textTransform: "uppercase",
+                  fontWeight: 600,
+                  marginBottom: 8,
+                }}
+              >
+                {report.engine === "rules" ? "Rule-engine confidence" : "Confidence"}
+              </div>
+              <ConfidenceBar value={report.confidence} />
+            </div>
+          )}
+
+          {/* Grounding — shown even when the report has no confidence */}
+          {grounding?.score != null && (
+            <div
+              style={{
+                marginBottom: 24,
+                fontFamily: "'JetBrains Mono', monospace",
+                fontSize: 11,
+                color: "#6b7280",
+                lineHeight: 1.6,
+              }}
+            >
+              <div
+                title={describeGrounding(grounding)}
+                style={{
+                  fontSize: 10,
+                  letterSpacing: 1,
+                  textTransform: "uppercase",
+                  fontWeight: 600,
+                  marginBottom: 8,
+                }}
+              >
+                Grounding <span style={{ color: groundingColor(grounding.score) }}>{grounding.score}%</span>
+              </div>
+              Checked against the log: {describeGrounding(grounding)}.
+              {wrongRegisters.map((r) => (
+                <div key={`${r.field}:${r.index}`} style={{ color: "#ff6961" }}>
+                  ✗ "{r.text}" in {r.field} — the dump has{" "}
+                  {r.actual ? `${r.register}: ${r.actual}` : `no ${r.register}`}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Root cause */}
+          {report.root_cause != null && (
+            <div style={{ marginBottom: 8 }}>
+              <div
+                style={{
+                  fontFamily: "'JetBrains Mono', monospace",
+                  fontSize: 10,
+                  color: "#6b7280",
+                  letterSpacing: 1,
+                  textTransform: "uppercase",
+                  fontWeight: 600,
+                  marginBottom: 10,
+                }}
+              >
+                Root Cause
+              </div>
+              <p
+                style={{
+                  fontSize: 15,
+                  lineHeight: 1.7,
+                  color: "#e0e4e8",
+                }}
+              >
+                <TypeWriter text={report.root_cause} speed={8} />
+              </p>
+            </div>
+          )}
+
+          {/* Subsystem + trigger */}
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr",
+              gap: 16,
+              margin: "20px 0 4px",
+            }}
+          >
+            <div
+              style={{
+                background: "rgba(255,255,255,0.02)",
+                borderRadius: 8,
+                padding: 16,
+                border: "1px solid rgba(255,255,255,0.04)",
+              }}
+            >
+              <div
+                style={{
+                  fontFamily: "'JetBrains Mono', monospace",
+                  fontSize: 10,
+                  color: "#6b7280",
+                  letterSpacing: 1,
+                  textTransform: "uppercase",
+                  fontWeight: 600,
+                  marginBottom: 8,
+                }}
+              >
+                Affected Subsystem
+              </div>
+              <span
+                style={{
+                  fontFamily: "'IBM Plex Mono', monospace",
+                  fontSize: 14,
+                  color: "#fff",
+                  fontWeight: 600,
+                }}
+              >
+                {report.affected_subsystem ?? "…"}
+              </span>
+            </div>
+            <div
+              style={{
+                background: "rgba(255,255,255,0.02)",
+                borderRadius: 8,
+                padding: 16,
+                border: "1px solid rgba(255,255,255,0.04)",
+              }}
+            >
+              <div
+                style={{
+                  fontFamily: "'JetBrains Mono', monospace",
+                  fontSize: 10,
+                  color: "#6b7280",
+                  letterSpacing: 1,
+                  textTransform: "uppercase",
+                  fontWeight: 600,
+                  marginBottom: 8,
+                }}
+              >
+                Probable Trigger
+              </div>
+              <span
+                style={{
+                  fontSize: 13,
+                  color: "#c8ccd0",
+                  lineHeight: 1.6,
+                }}
+              >
+                {report.probable_trigger ?? "…"}
+              </span>
+            </div>
+          </div>
+
+          {/* Register evidence */}
+          {registerFindings.length > 0 && (
+            <Expandable title="Register Evidence" icon="🧮" defaultOpen={true}>
+              <RegisterEvidence findings={registerFindings} />
+            </Expandable>
+          )}
+
+          {/* Suggested Fixes */}
+          {report.suggested_fixes && (
+            <Expandable title="Suggested Fixes" icon="🔧" defaultOpen={true}>
+              <div
+                style={{
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: 8,
+                }}
+              >
+                {report.suggested_fixes.map((fix, i) => (
+                  <div
+                    key={i}
+                    className="fix-item"
+                    style={{
+                      display: "flex",
+                      gap: 12,
+                      padding: "10px 14px",
+                      borderRadius: 6,
+                      border: "1px solid rgba(255,255,255,0.04)",
+                      transition: "background 0.15s",
+                    }}
+                  >
+                    <span
+                      style={{
+                        fontFamily: "'JetBrains Mono', monospace",
+                        fontSize: 12,
+                        color: "#5ac8fa",
+                        fontWeight: 700,
+                        flexShrink: 0,
+                        marginTop: 1,
+                      }}
+                    >
+                      {i + 1}.
+                    </span>
+                    <span
+                      style={{
+                        fontSize: 13,
+                        color: "#c8ccd0",
+                        lineHeight: 1.6,
+                        fontFamily: "'JetBrains Mono', monospace",
+                      }}
+                    >
+                      {fix}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </Expandable>
+          )}
+
+          {/* Detailed Analysis */}
+          {report.detailed_analysis != null && (
+            <Expandable title="Detailed Analysis" icon="🔬">
+              <pre
+                style={{
+                  fontFamily: "'JetBrains Mono', monospace",
+                  fontSize: 12,
+                  lineHeight: 1.8,
+                  color: "#a0aab4",
+                  whiteSpace: "pre-wrap",
+                  background: "rgba(0,0,0,0.3)",
+                  padding: 16,
+                  borderRadius: 8,
+                }}
+              >
+                {grounding ? (
+                  <ClaimedText
+                    text={report.detailed_analysis}
+                    claims={grounding.registers.filter((r) => r.field === "detailed_analysis")}
+                  />
+                ) : (
+                  report.detailed_analysis
+                )}
+              </pre>
+            </Expandable>
+          )}
+
+          {/* Annotated Call Trace */}
+          {report.annotated_trace && report.annotated_trace.length > 0 && (
+            <Expandable title="Annotated Call Trace" icon="📜">
+              <div
+                style={{
+                  background: "rgba(0,0,0,0.3)",
+                  borderRadius: 8,
+                  padding: 16,
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: 2,
+                }}
+              >
+                {report.annotated_trace.map((frame, i) => (
+                  <div key={i}>
+                    <div
+                      style={{
+                        fontFamily: "'JetBrains Mono', monospace",
+                        fontSize: 12,
+                        color: i === 0 ? "#ff453a" : "#c8ccd0",
+                        fontWeight: i === 0 ? 700 : 400,
+                      }}
+                    >
+                      {"  "}
+                      {frame.func}
+                      {grounding?.frames[i].status === "offset" && (
+                        <span style={{ marginLeft: 10, fontSize: 10, color: "#ff9500", fontWeight: 400 }}>
+                          ≠ log: {grounding.frames[i].logged}
+                        </span>
+                      )}
+                      {grounding?.frames[i].status === "invented" && (
+                        <span style={{ marginLeft: 10, fontSize: 10, color: "#ff453a", fontWeight: 400 }}>
+                          ✗ not in the log
+                        </span>
+                      )}
+                    </div>
+                    <div
+                      style={{
+                        fontFamily: "'JetBrains Mono', monospace",
+                        fontSize: 11,
+                        color: i === 0 ? "#ff6961" : "#5ac8fa",
+                        marginLeft: 28,
+                        marginBottom: 6,
+                        opacity: 0.8,
+                        fontStyle: "italic",
+                      }}
+                    >
+                      {frame.note}
+                    </div>
+                  </div>
+                ))}
+                {grounding?.missing.length > 0 && (
+                  <div
+                    style={{
+                      marginTop: 8,
+                      paddingTop: 8,
+                      borderTop: "1px solid rgba(255,255,255,0.06)",
+                      fontFamily: "'JetBrains Mono', monospace",
+                      fontSize: 11,
+                      color: "#ff9500",
+                    }}
+                  >
+                    In the log but not annotated:
+                    {grounding.missing.map((f) => (
+                      <div key={f.line} style={{ color: "#8b95a5" }}>
+                        {"  "}
+                        {f.raw}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </Expandable>
+          )}
+
+          {/* Faulting instruction */}
+          {disassembly?.instructions.length > 0 && (
+            <Expandable title="Faulting Instruction" icon="⚙️">
+              <Disassembly event={crashEvent} disassembly={disassembly} />
+            </Expandable>
+          )}
+
+          {/* Related Issues */}
+          {report.related_issues && report.related_issues.length > 0 && (
+            <Expandable title="Related Known Issues" icon="🔗">
+              <div
+                style={{
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: 8,
+                }}
+              >
+                {report.related_issues.map((issue, i) => (
+                  <div
+                    key={i}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 10,
+                      padding: "8px 12px",
+                      borderRadius: 6,
+                      border: "1px solid rgba(255,255,255,0.04)",
+                    }}
+                  >
+                    <span
+                      style={{
+                        fontFamily: "'JetBrains Mono', monospace",
+                        fontSize: 11,
+                        color: "#5ac8fa",
+                        fontWeight: 600,
+                        flexShrink: 0,
+                      }}
+                    >
+                      {issue.id}
+                    </span>
+                    <span
+                      style={{
+                        fontSize: 13,
+                        color: "#a0aab4",
+                      }}
+                    >
+                      {issue.title}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </Expandable>
+          )}
+
+          {/* Feedback */}
+          {onFeedback && (
+            <div
+              style={{
+                borderTop: "1px solid rgba(255,255,255,0.06)",
+                marginTop: 16,
+                paddingTop: 20,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+              }}
+            >
+              <span
+                style={{
+                  fontFamily: "'JetBrains Mono', monospace",
+                  fontSize: 12,
+                  color: "#6b7280",
+                }}
+              >
+                {feedback
+                  ? feedback === "up"
+                    ? "✅ Thanks for confirming!"
+                    : "📝 Feedback recorded — we'll improve."
+                  : "Was this analysis helpful?"}
+              </span>
+              {!feedback && (
+                <div style={{ display: "flex", gap: 8 }}>
+                  {["👍", "👎"].map((emoji) => (
+                    <button
+                      key={emoji}
+                      className="feedback-btn"
+                      onClick={() =>
+                        onFeedback(emoji === "👍" ? "up" : "down")
+                      }
+                      style={{
+                        width: 40,
+                        height: 40,
+                        borderRadius: 8,
+                        background: "rgba(255,255,255,0.04)",
+                        border: "1px solid rgba(255,255,255,0.08)",
+                        fontSize: 18,
+                        cursor: "pointer",
+                        display: "flex",
+                        alignItems: "center",
+                        justifyContent: "center",
+                      }}
+                    >
+                      {emoji}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Parsed facts */}
+      {crashEvent && (
+        <div style={{ gridArea: "facts" }}>
+          <ParsedFacts event={crashEvent} />
+        </div>
+      )}
+
+      {/* Action buttons */}
+      <div
+        style={{
+          gridArea: "actions",
+          display: "flex",
+          flexWrap: "wrap",
+          gap: 10,
+          marginTop: 16,
+          justifyContent: "flex-end",
+        }}
+      >
+        {actions.map(({ label, onClick }) => (
+          <button
+            key={label}
+            onClick={onClick}
+            style={{
+              background: "rgba(255,255,255,0.03)",
+              border: "1px solid rgba(255,255,255,0.08)",
+              borderRadius: 6,
+              padding: "8px 16px",
+              color: "#8b95a5",
+              fontFamily: "'JetBrains Mono', monospace",
+              fontSize: 11,
+              cursor: "pointer",
+              fontWeight: 500,
+              transition: "all 0.15s",
+            }}
+            onMouseEnter={(e) => {
+              e.target.style.background = "rgba(255,255,255,0.06)";
+              e.target.style.color = "#c8ccd0";
+            }}
+            onMouseLeave={(e) => {
+              e.target.style.background = "rgba(255,255,255,0.03)";
+              e.target.style.color = "#8b95a5";
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+import { useMemo, useState } from "react";
+import {
+  loadSlackConfig,
+  saveSlackConfig,
+  slackMessage,
+  postToSlack,
+  BUTTON_URL_MAX,
+} from "../lib/slack.js";
+import Modal from "./Modal.jsx";
+
+// ─── Slack share: team webhooks, payload preview, post / copy ───
+
+const mono = { fontFamily: "'JetBrains Mono', monospace" };
+
+const labelStyle = {
+  ...mono,
+  fontSize: 10,
+  color: "#6b7280",
+  letterSpacing: 0.8,
+  textTransform: "uppercase",
+  display: "block",
+  marginBottom: 6,
+};
+
+const fieldStyle = {
+  ...mono,
+  width: "100%",
+  background: "#080a0e",
+  border: "1px solid rgba(255,255,255,0.06)",
+  borderRadius: 6,
+  padding: "8px 10px",
+  fontSize: 12,
+  color: "#c8ccd0",
+};
+
+const buttonStyle = {
+  ...mono,
+  background: "rgba(255,255,255,0.03)",
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 6,
+  padding: "8px 16px",
+  color: "#8b95a5",
+  fontSize: 11,
+  cursor: "pointer",
+  whiteSpace: "nowrap",
+};
+
+// Webhook URLs are credentials; show just enough to tell them apart.
+const maskUrl = (url) => url.replace(/^(https?:\/\/[^/]+\/).*(.{6})$/, "$1…$2");
+
+function Webhooks({ config, onChange }) {
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const valid =
+    name.trim() &&
+    /^https?:\/\/\S+$/.test(url.trim()) &&
+    !config.webhooks.some((w) => w.name === name.trim());
+
+  const add = () => {
+    const hook = { name: name.trim(), url: url.trim() };
+    onChange({ webhooks: [...config.webhooks, hook], selected: config.selected || hook.name });
+    setName("");
+    setUrl("");
+  };
+  const remove = (hookName) => {
+    const webhooks = config.webhooks.filter((w) => w.name !== hookName);
+    onChange({
+      webhooks,
+      selected: config.selected === hookName ? webhooks[0]?.name || "" : config.selected,
+    });
+  };
+
+  return (
+    <div
+      style={{
+        border: "1px solid rgba(255,255,255,0.06)",
+        borderRadius: 8,
+        padding: 16,
+        marginBottom: 18,
+      }}
+    >
+      <label style={labelStyle}>Team webhooks</label>
+      {config.webhooks.map((w) => (
+        <div
+          key={w.name}
+          style={{
+            ...mono,
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            fontSize: 12,
+            padding: "4px 0",
+          }}
+        >
+          <span style={{ color: "#e0e4e8", minWidth: 140 }}>{w.name}</span>
+          <span style={{ color: "#4a5568", flex: 1 }}>{maskUrl(w.url)}</span>
+          <button
+            onClick={() => remove(w.name)}
+            title="Remove webhook"
+            style={{
+              background: "none",
+              border: "none",
+              color: "#4a5568",
+              fontSize: 14,
+              cursor: "pointer",
+            }}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 2.5fr auto", gap: 8, marginTop: 8 }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Team / channel"
+          style={fieldStyle}
+        />
+        <input
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://hooks.slack.com/services/..."
+          style={fieldStyle}
+        />
+        <button
+          onClick={add}
+          disabled={!valid}
+          style={{ ...buttonStyle, opacity: valid ? 1 : 0.5 }}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function SlackDialog({ apiUrl, report, entry, reportUrl, reportUrlTrimmed, onClose }) {
+  const [config, setConfig] = useState(loadSlackConfig);
+  const [managing, setManaging] = useState(() => config.webhooks.length === 0);
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const payload = useMemo(
+    () => slackMessage({ report, entry, reportUrl }),
+    [report, entry, reportUrl]
+  );
+  const json = JSON.stringify(payload, null, 2);
+  const webhook = config.webhooks.find((w) => w.name === config.selected);
+
+  const updateConfig = (next) => {
+    saveSlackConfig(next);
+    setConfig(next);
+  };
+
+  const handlePost = async () => {
+    setSending(true);
+    setStatus(null);
+    try {
+      await postToSlack(apiUrl, webhook.url, payload);
+      setStatus({ message: `Posted to ${webhook.name}.` });
+    } catch (err) {
+      setStatus({ error: true, message: err.message });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleCopy = () =>
+    navigator.clipboard
+      ?.writeText(json)
+      .then(() =>
+        setStatus({
+          message: "Payload copied — paste it into Block Kit Builder or a webhook call.",
+        })
+      )
+      .catch(() => setStatus({ error: true, message: "Clipboard unavailable." }));
+
+  return (
+    <Modal
+      title="💬 Share to Slack"
+      onClose={onClose}
+      actions={
+        !managing && (
+          <button onClick={() => setManaging(true)} style={buttonStyle}>
+            ⚙ Webhooks
+          </button>
+        )
+      }
+    >
+      {managing && <Webhooks config={config} onChange={updateConfig} />}
+
+      <label style={labelStyle}>Block Kit payload</label>
+      <pre
+        style={{
+          ...mono,
+          fontSize: 11,
+          lineHeight: 1.5,
+          color: "#8b95a5",
+          background: "#080a0e",
+          border: "1px solid rgba(255,255,255,0.06)",
+          borderRadius: 6,
+          padding: 12,
+          maxHeight: 320,
+          overflow: "auto",
+          whiteSpace: "pre-wrap",
+          wordBreak: "break-word",
+        }}
+      >
+        {json}
+      </pre>
+      {!reportUrl && (
+        <div style={{ ...mono, fontSize: 11, color: "#4a5568", marginTop: 6 }}>
+          No permalink for this report — the message has no &quot;Open report&quot; button.
+        </div>
+      )}
+      {reportUrlTrimmed && reportUrl.length <= BUTTON_URL_MAX && (
+        <div style={{ ...mono, fontSize: 11, color: "#4a5568", marginTop: 6 }}>
+          The full permalink is over Slack&apos;s {BUTTON_URL_MAX} characters for a button, so
+          &quot;Open report&quot; links to the report without its parsed crash facts.
+        </div>
+      )}
+      {reportUrl?.length > BUTTON_URL_MAX && (
+        <div style={{ ...mono, fontSize: 11, color: "#4a5568", marginTop: 6 }}>
+          The permalink is {reportUrl.length} characters, over Slack&apos;s {BUTTON_URL_MAX} for a
+          button — the message has no &quot;Open report&quot; button. Use Copy Link on the report
+          and paste it into the thread.
+        </div>
+      )}
+
+      {status && (
+        <div
+          style={{
+            ...mono,
+            fontSize: 12,
+            marginTop: 12,
+            color: status.error ? "#ff6961" : "#30d158",
+          }}
+        >
+          {status.message}
+        </div>
+      )}
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "flex-end",
+          gap: 10,
+          marginTop: 16,
+        }}
+      >
+        {config.webhooks.length > 0 && (
+          <select
+            value={config.selected}
+            onChange={(e) => updateConfig({ ...config, selected: e.target.value })}
+            style={{ ...fieldStyle, width: "auto" }}
+          >
+            {config.webhooks.map((w) => (
+              <option key={w.name} value={w.name}>
+                {w.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <button onClick={handleCopy} style={buttonStyle}>
+          ⧉ Copy JSON
+        </button>
+        {webhook && (
+          <button
+            onClick={handlePost}
+            disabled={sending}
+            style={{
+              ...buttonStyle,
+              background: "rgba(90,200,250,0.12)",
+              border: "1px solid rgba(90,200,250,0.3)",
+              color: "#5ac8fa",
+              fontWeight: 700,
+              opacity: sending ? 0.5 : 1,
+            }}
+          >
+            {sending ? "Posting…" : `Post to ${webhook.name}`}
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,137 @@
+import { useState } from "react";
+import { upstreamReport } from "../lib/upstreamReport.js";
+import { downloadFile } from "../lib/reportExport.js";
+import Modal from "./Modal.jsx";
+
+// ─── Upstream bug report: preview, edit placeholders, copy / download ───
+
+const mono = { fontFamily: "'JetBrains Mono', monospace" };
+
+const labelStyle = {
+  ...mono,
+  fontSize: 10,
+  color: "#6b7280",
+  letterSpacing: 0.8,
+  textTransform: "uppercase",
+  display: "block",
+  marginBottom: 6,
+};
+
+const fieldStyle = {
+  ...mono,
+  width: "100%",
+  background: "#080a0e",
+  border: "1px solid rgba(255,255,255,0.06)",
+  borderRadius: 6,
+  padding: "8px 10px",
+  fontSize: 12,
+  color: "#c8ccd0",
+};
+
+const buttonStyle = {
+  ...mono,
+  background: "rgba(255,255,255,0.03)",
+  border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: 6,
+  padding: "8px 16px",
+  color: "#8b95a5",
+  fontSize: 11,
+  cursor: "pointer",
+};
+
+export default function UpstreamReportDialog({ report, crashEvent, entry, onClose }) {
+  // Generated once; from here on the text is the user's to edit.
+  const [generated] = useState(() =>
+    upstreamReport({ report, crashEvent, meta: entry || { createdAt: Date.now() } })
+  );
+  const [subject, setSubject] = useState(generated.subject);
+  const [body, setBody] = useState(generated.body);
+  const [status, setStatus] = useState(null);
+
+  const text = `Subject: ${subject}\n\n${body}`;
+
+  const handleCopy = () =>
+    navigator.clipboard
+      ?.writeText(text)
+      .then(() => setStatus("Copied. Paste into a plain-text mail; no HTML, no attachments inline."))
+      .catch(() => setStatus("Clipboard unavailable."));
+
+  const handleDownload = () =>
+    downloadFile(
+      `bug-report_${(crashEvent?.kernelRelease || entry?.kernel || "kernel").replace(/[^\w.-]/g, "_")}.txt`,
+      text
+    );
+
+  return (
+    <Modal title="📨 Upstream Bug Report" maxWidth={820} onClose={onClose}>
+      {generated.warnings.length > 0 && (
+        <div
+          style={{
+            ...mono,
+            fontSize: 11.5,
+            lineHeight: 1.6,
+            color: "#ffd60a",
+            background: "rgba(255,214,10,0.06)",
+            border: "1px solid rgba(255,214,10,0.2)",
+            borderRadius: 6,
+            padding: "10px 14px",
+            marginBottom: 16,
+          }}
+        >
+          {generated.warnings.map((w) => (
+            <div key={w}>⚠ {w}</div>
+          ))}
+        </div>
+      )}
+
+      <label style={labelStyle}>Subject</label>
+      <input
+        value={subject}
+        onChange={(e) => setSubject(e.target.value)}
+        style={{ ...fieldStyle, marginBottom: 12 }}
+      />
+      <label style={labelStyle}>Body · prose wrapped at 72 columns, log lines as printed</label>
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        spellCheck={false}
+        rows={24}
+        style={{
+          ...fieldStyle,
+          fontSize: 11.5,
+          lineHeight: 1.5,
+          resize: "vertical",
+          whiteSpace: "pre",
+          overflowX: "auto",
+        }}
+      />
+
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "flex-end",
+          gap: 10,
+          marginTop: 16,
+        }}
+      >
+        {status && <span style={{ ...mono, fontSize: 11, color: "#30d158" }}>{status}</span>}
+        <button onClick={handleDownload} style={buttonStyle}>
+          ⤓ Download .txt
+        </button>
+        <button
+          onClick={handleCopy}
+          style={{
+            ...buttonStyle,
+            background: "rgba(90,200,250,0.12)",
+            border: "1px solid rgba(90,200,250,0.3)",
+            color: "#5ac8fa",
+            fontWeight: 700,
+          }}
+        >
+          ⧉ Copy
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,215 @@
+// ─── Streaming /analyze client ───
+//
+// Reads the NDJSON events of POST /analyze/stream (documented in
+// backend.py) as they arrive. Stage and field events go to `onEvent` for
+// the progress overlay and the partial report; the call resolves with the
+// report, which may still need repairing (see reportSchema.js).
+//
+// Rate limits, server errors and network failures are retried with
+// exponential backoff. Every failure is an AnalysisError whose `kind`
+// tells the UI what went wrong and what the user can do about it.
+
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 15000;
+export const DEFAULT_ATTEMPTS = 3;
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {"stage"|"field"|"report"|"error"} type
+ * @property {string} [stage]   parsed | prompt_built | model_started | tokens | validated
+ * @property {string} [key]     field: report field name
+ * @property {*} [value]        field: its value
+ * @property {Object} [report]  report: the validated AnalysisReport
+ * @property {string} [kind]    error: "llm_output" | "upstream" | "server"
+ * @property {number} [status]  error: the HTTP status it stands for
+ * @property {string} [detail]  error: what went wrong
+ * @property {string} [raw]     llm_output error: the start of the model's output
+ * @property {number} [schema_errors]  validated: problems left for reportSchema.js to repair
+ */
+
+/**
+ * Why an analysis failed:
+ *   validation   the backend rejected the request (400, 422, any other 4xx)
+ *   llm_output   the model answered, but not with a valid report
+ *   rate_limited 429, from the backend or the model API
+ *   server       any other 5xx
+ *   unreachable  no response at all: backend down, DNS, CORS, dropped connection
+ *   timeout      the client timeout expired
+ *   cancelled    the user pressed Cancel
+ */
+export class AnalysisError extends Error {
+  constructor(kind, message, { status = null, retryAfterMs = null, raw = null, retryable = null } = {}) {
+    super(message);
+    this.name = "AnalysisError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    /** llm_output: what the model actually wrote, for inspection. */
+    this.raw = raw;
+    /** Attempts made before giving up; set by analyzeWithRetry. */
+    this.attempts = 1;
+    /** Whether another attempt could succeed; by kind unless given. */
+    this.retryable = retryable ?? ["rate_limited", "server", "unreachable"].includes(kind);
+  }
+}
+
+function statusError(status, detail, retryAfterMs = null) {
+  const kind = status === 429 ? "rate_limited" : status >= 500 ? "server" : "validation";
+  return new AnalysisError(kind, detail || `Server returned ${status}`, { status, retryAfterMs });
+}
+
+// Retry-After in seconds; the HTTP-date form is rare enough to ignore.
+function retryAfter(response) {
+  const seconds = Number(response.headers.get("Retry-After"));
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+// One NDJSON line. A line that isn't an event means the stream itself is
+// broken, and the same backend would send it broken again: not retried.
+function parseEvent(line) {
+  let event = null;
+  let problem = "not an event object";
+  try {
+    event = JSON.parse(line);
+  } catch (err) {
+    problem = err.message;
+  }
+  if (event && typeof event === "object") return event;
+  throw new AnalysisError("server", `The server sent a malformed stream event: ${problem}`, {
+    retryable: false,
+  });
+}
+
+/**
+ * One attempt.
+ * @param {string} apiUrl
+ * @param {Object} body              the /analyze request body
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {(event: StreamEvent) => void} options.onEvent
+ * @returns {Promise<Object>} the AnalysisReport
+ * @throws {AnalysisError}
+ */
+export async function streamAnalysis(apiUrl, body, { signal, onEvent }) {
+  let response;
+  try {
+    response = await fetch(`${apiUrl}/analyze/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw new AnalysisError("unreachable", `Can't reach ${apiUrl}: ${err.message}`);
+  }
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    const detail = Array.isArray(errData.detail)
+      ? errData.detail.map((d) => d.msg).join("; ") // FastAPI's 422 body
+      : errData.detail;
+    throw statusError(response.status, detail, retryAfter(response));
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = "";
+  try {
+    for (;;) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        throw new AnalysisError("unreachable", `Connection lost mid-analysis: ${err.message}`);
+      }
+      const { value, done } = chunk;
+      if (value) buffered += value;
+      // The last piece may be half a line; it waits for the next chunk.
+      const lines = buffered.split("\n");
+      buffered = done ? "" : lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const event = parseEvent(line);
+        if (event.type === "error") {
+          throw event.kind === "llm_output"
+            ? new AnalysisError("llm_output", event.detail, { status: 500, raw: event.raw })
+            : statusError(event.status || 500, event.detail);
+        }
+        if (event.type === "report") return event.report;
+        onEvent(event);
+      }
+      if (done) {
+        throw new AnalysisError("unreachable", "The analysis stream ended before the report arrived");
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Resolves after `ms`, or rejects with the abort reason. The listener is
+// removed either way: the signal outlives every backoff of a run.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * streamAnalysis with a deadline, cancellation and retries.
+ * @param {string} apiUrl
+ * @param {Object} body
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]  abort to cancel
+ * @param {number} options.timeoutMs      for the whole analysis, retries included
+ * @param {number} [options.attempts]
+ * @param {(event: StreamEvent) => void} options.onEvent
+ * @param {(info: {attempt: number, attempts: number, delayMs: number, error: AnalysisError}) => void} [options.onRetry]
+ * @throws {AnalysisError}
+ */
+export async function analyzeWithRetry(
+  apiUrl,
+  body,
+  { signal, timeoutMs, attempts = DEFAULT_ATTEMPTS, onEvent, onRetry }
+) {
+  const controller = new AbortController();
+  const abort = (reason) => controller.abort(reason);
+  const onCancel = () => abort(new AnalysisError("cancelled", "Analysis cancelled"));
+  if (signal?.aborted) onCancel();
+  signal?.addEventListener("abort", onCancel, { once: true });
+  const deadline = Date.now() + timeoutMs;
+  const timer = setTimeout(
+    () => abort(new AnalysisError("timeout", `No report after ${Math.round(timeoutMs / 1000)} s`)),
+    timeoutMs
+  );
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await streamAnalysis(apiUrl, body, { signal: controller.signal, onEvent });
+      } catch (err) {
+        const error =
+          err instanceof AnalysisError ? err : new AnalysisError("server", err.message);
+        error.attempts = attempt;
+        if (!error.retryable || attempt >= attempts) throw error;
+        const backoff = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+        const delayMs = error.retryAfterMs ?? backoff + Math.random() * backoff * 0.2;
+        // A retry the deadline would cut short only hides the real error.
+        if (Date.now() + delayMs >= deadline) throw error;
+        onRetry?.({ attempt: attempt + 1, attempts, delayMs, error });
+        await sleep(delayMs, controller.signal);
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onCancel);
+  }
+}
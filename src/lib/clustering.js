@@ -0,0 +1,215 @@
+// ─── Crash clustering and trends across history ───
+//
+// Signatures only match exact repeats. Clusters also catch the same bug
+// reached through a different caller, or with one more inlined frame: two
+// analyses are linked when their stacks share a run of consecutive frames,
+// and clusters are the connected groups (single linkage).
+
+import { normalizedStack, headlineClass } from "./fingerprint.js";
+
+const STACK_DEPTH = 16;
+const MIN_SHARED_RUN = 3;
+
+// Frames every trace of a kind ends (or starts) with — thread and syscall
+// entry, interrupt plumbing, the scheduler. Sharing them means nothing.
+const COMMON_FRAME_RE =
+  /^(kthread|ret_from_fork\w*|worker_thread|process_one_work|smpboot_thread_fn|do_syscall_64|entry_SYSCALL_64\w*|syscall_exit\w*|__do_softirq|handle_softirqs|run_ksoftirqd|irq_exit\w*|__irq_exit\w*|(asm_)?sysvec_\w+|(asm_)?common_interrupt|cpu_startup_entry|do_idle|start_secondary|secondary_startup_64\w*|__schedule|schedule|schedule_timeout|schedule_preempt_disabled|io_schedule\w*)$/;
+
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+
+function stackOf(entry) {
+  if (!entry.crashEvent) return [];
+  const { rip, frames } = normalizedStack(entry.crashEvent);
+  return [rip, ...frames]
+    .filter(Boolean)
+    .map((f) => f.symbol)
+    .filter((s) => !COMMON_FRAME_RE.test(s))
+    .slice(0, STACK_DEPTH);
+}
+
+// DP rows for sharedRun, reused across calls: stacks are capped at
+// STACK_DEPTH frames.
+const dpRows = [new Uint8Array(STACK_DEPTH + 1), new Uint8Array(STACK_DEPTH + 1)];
+
+// Longest run of consecutive frames present in both stacks.
+function sharedRun(a, b) {
+  let best = { length: 0, end: 0 };
+  let [prev, row] = dpRows;
+  prev.fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    row.fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      if (a[i - 1] === b[j - 1]) {
+        row[j] = prev[j - 1] + 1;
+        if (row[j] > best.length) best = { length: row[j], end: i };
+      }
+    }
+    [prev, row] = [row, prev];
+  }
+  return a.slice(best.end - best.length, best.end);
+}
+
+// Short stacks (a 2-frame workqueue callback) must match entirely.
+function linked(a, b) {
+  const shortest = Math.min(a.length, b.length);
+  if (shortest < 2) return null;
+  const run = sharedRun(a, b);
+  return run.length >= Math.min(MIN_SHARED_RUN, shortest) ? run : null;
+}
+
+const distinct = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * @typedef {Object} CrashCluster
+ * @property {string} id
+ * @property {string} label         headline class of the most recent member
+ * @property {string[]} frames      the frame run most members share
+ * @property {Object[]} entries     history entries, newest first
+ * @property {number} firstSeen
+ * @property {number} lastSeen
+ * @property {string[]} kernels
+ * @property {string[]} hosts
+ * @property {string[]} crashTypes
+ * @property {string} severity      worst severity in the cluster
+ */
+
+/**
+ * Group history entries by stack similarity. Entries without a usable stack
+ * fall back to their exact signature (or stay on their own).
+ * @returns {CrashCluster[]} largest first, then most recently seen
+ */
+export function clusterHistory(entries) {
+  const stacks = entries.map(stackOf);
+  // Union-find, by size and with path halving: history has no size cap.
+  const parent = entries.map((_, i) => i);
+  const size = entries.map(() => 1);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const runs = entries.map(() => new Map()); // root → shared run → count
+
+  const link = (i, j, run) => {
+    let a = find(i);
+    let b = find(j);
+    if (a !== b) {
+      if (size[a] < size[b]) [a, b] = [b, a];
+      parent[b] = a;
+      size[a] += size[b];
+      for (const [key, n] of runs[b]) runs[a].set(key, (runs[a].get(key) || 0) + n);
+    }
+    if (run?.length) {
+      const key = run.join("\n");
+      runs[a].set(key, (runs[a].get(key) || 0) + 1);
+    }
+  };
+
+  // Only entries that share a frame or a signature can be linked, so pairs
+  // come from per-frame and per-signature buckets, not every pair.
+  const buckets = new Map();
+  const keysOf = (i) => [
+    ...[...new Set(stacks[i])].map((s) => `frame:${s}`),
+    ...(entries[i].signature?.id ? [`signature:${entries[i].signature.id}`] : []),
+  ];
+  entries.forEach((_, i) => {
+    for (const key of keysOf(i)) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+
+  for (let i = 0; i < entries.length; i++) {
+    const candidates = new Set();
+    for (const key of keysOf(i)) {
+      for (const j of buckets.get(key)) if (j > i) candidates.add(j);
+    }
+    for (const j of [...candidates].sort((a, b) => a - b)) {
+      const run = linked(stacks[i], stacks[j]);
+      if (run) link(i, j, run);
+      else if (entries[i].signature && entries[i].signature.id === entries[j].signature?.id) link(i, j, null);
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((e, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return [...groups.entries()]
+    .map(([root, members]) => {
+      const list = members.map((i) => entries[i]).sort((a, b) => b.createdAt - a.createdAt);
+      // The run most links were made on, longest first on a tie.
+      const [core] = [...runs[root].entries()].sort(
+        ([ka, na], [kb, nb]) => nb - na || kb.length - ka.length
+      );
+      const latest = list[0];
+      return {
+        id: `${latest.id}`,
+        label: headlineClass(latest.headline) || latest.crash_type || "Unclassified",
+        frames: core ? core[0].split("\n") : stacks[members[0]].slice(0, MIN_SHARED_RUN),
+        entries: list,
+        firstSeen: list[list.length - 1].createdAt,
+        lastSeen: latest.createdAt,
+        kernels: distinct(list.map((e) => e.kernel)),
+        hosts: distinct(list.flatMap((e) => e.hosts || [])),
+        crashTypes: distinct(list.map((e) => e.crash_type)),
+        severity:
+          SEVERITY_ORDER.find((s) => list.some((e) => e.severity === s)) || latest.severity,
+      };
+    })
+    .sort((a, b) => b.entries.length - a.entries.length || b.lastSeen - a.lastSeen);
+}
+
+// ─── Trend ───
+
+const DAY = 24 * 3600 * 1000;
+
+function bucketStart(t, size) {
+  const d = new Date(t);
+  d.setHours(0, 0, 0, 0);
+  if (size === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Monday
+  if (size === "month") d.setDate(1);
+  return d.getTime();
+}
+
+function nextBucket(t, size) {
+  const d = new Date(t);
+  if (size === "month") d.setMonth(d.getMonth() + 1);
+  else d.setDate(d.getDate() + (size === "week" ? 7 : 1));
+  return d.getTime();
+}
+
+/**
+ * Analyses per time bucket, split by `by` ("crash_type" or "severity").
+ * Bucket size follows the span: days up to six weeks, weeks up to a year,
+ * then months. Empty buckets are included so the axis is continuous.
+ * @returns {{size: string, keys: string[], buckets: {start: number, counts: Object<string, number>, total: number}[]}}
+ */
+export function historyTrend(entries, by) {
+  if (entries.length === 0) return { size: "day", keys: [], buckets: [] };
+  const times = entries.map((e) => e.createdAt);
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const size = last - first <= 42 * DAY ? "day" : last - first <= 366 * DAY ? "week" : "month";
+
+  const buckets = [];
+  const index = new Map();
+  for (let t = bucketStart(first, size); t <= last; t = nextBucket(t, size)) {
+    index.set(t, buckets.length);
+    buckets.push({ start: t, counts: {}, total: 0 });
+  }
+  for (const e of entries) {
+    const b = buckets[index.get(bucketStart(e.createdAt, size))];
+    const key = e[by] || "unknown";
+    b.counts[key] = (b.counts[key] || 0) + 1;
+    b.total++;
+  }
+  const keys = distinct(entries.map((e) => e[by] || "unknown"));
+  if (by === "severity") keys.sort((a, b) => SEVERITY_ORDER.indexOf(a) - SEVERITY_ORDER.indexOf(b));
+  return { size, keys, buckets };
+}
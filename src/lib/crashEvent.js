@@ -0,0 +1,397 @@
+// ─── Structured crash parser ───
+//
+// Turns the lines of one kernel event into a CrashEvent: every fact the
+// kernel printed, extracted deterministically so the UI and the backend
+// prompt don't depend on the LLM reading the log correctly.
+
+import { normalizeLog } from "./prefix.js";
+import { classifyHeadline } from "./segment.js";
+import { attributeTaint, describeTaintVerdict } from "./taint.js";
+import { codeLabeler, disassembleCode, disassemblyLines, explainFault } from "./disasm.js";
+import { evaluateRegisters } from "./registerRules.js";
+
+/**
+ * @typedef {Object} TraceFrame
+ * @property {string} symbol      function name, or the raw address for "? 0xffff..."
+ * @property {number|null} offset byte offset into the function
+ * @property {number|null} size   function size
+ * @property {string|null} module module in [brackets], null for vmlinux
+ * @property {boolean} unreliable frame printed with a leading "?"
+ * @property {string} context     TASK, IRQ, NMI, SOFTIRQ or "" outside markers
+ * @property {string} raw         the frame as printed, e.g. "ext4_get_tree+0x1e/0x30 [ext4]"
+ * @property {number} line        index into the parsed lines
+ *
+ * @typedef {Object} RegisterDump
+ * @property {Object|null} rip  { cs, symbol, offset, size, module, address, raw }
+ * @property {Object|null} code { bytes, faultIndex, raw }
+ * @property {Object<string,string>} registers  name → hex value (RAX, CR2, EFLAGS, ...)
+ * @property {boolean} user     CS 0033 / 002b: a user-space register set
+ * @property {number} line
+ *
+ * @typedef {Object} CrashEvent
+ * @property {string|null} headline   "BUG: unable to handle page fault for address: ..."
+ * @property {string|null} kind       segment kind (oops, bug, warning, panic, ...)
+ * @property {number|null} cpu
+ * @property {number|null} pid
+ * @property {string|null} comm
+ * @property {string|null} taint      taint letters as printed, e.g. "G           OE"
+ * @property {string|null} kernelRelease  "6.8.0-45-generic"
+ * @property {string|null} kernelBuild    "#45-Ubuntu"
+ * @property {{name: string, bios: string|null}|null} hardware
+ * @property {{name: string, func: string, module: string|null}|null} workqueue
+ * @property {Object|null} oops       { code, count, flags }
+ * @property {Object|null} pageFault  { address, privilege, access, mode, errorCode, reason }
+ * @property {string|null} panicReason
+ * @property {Object|null} warning    { location, symbol } for WARNING: lines
+ * @property {Object|null} hungTask   { comm, pid, seconds }
+ * @property {Object|null} rip        kernel RIP of the primary register dump
+ * @property {Object<string,string>} registers  primary register dump
+ * @property {Object|null} code       primary Code: bytes
+ * @property {RegisterDump[]} registerDumps     every dump, kernel and user
+ * @property {TraceFrame[]} frames
+ * @property {{name: string, flags: string}[]} modules
+ * @property {string|null} lastUnloaded
+ * @property {string|null} endTrace   "end trace 0000000000000000" marker, if printed
+ */
+
+const CPU_RE =
+  /^CPU: (\d+) (?:UID: \d+ )?PID: (\d+) Comm: (\S+)(?: Kdump: \S+)?\s+(?:Not tainted|Tainted: ([A-Z ]*[A-Z]))?\s*(\d+\.\d+\S*)?(?:\s+(#.*))?$/;
+const HARDWARE_RE = /^Hardware name: (.*?)(?:, BIOS (.*))?$/;
+const WORKQUEUE_RE = /^Workqueue: (\S+) ([\w.$]+)(?: \[(\S+)\])?/;
+const RIP_RE =
+  /^RIP: ([0-9a-f]{4}):(?:\[<([0-9a-f]+)>\]\s+)?(?:([\w.$]+)\+0x([0-9a-f]+)\/0x([0-9a-f]+)(?: \[(\S+)\])?|0x([0-9a-f]+))/;
+const CODE_RE = /^Code: (.*)$/;
+const REGISTER_LINE_RE =
+  /^(RSP|RAX|RBX|RCX|RDX|RSI|RDI|RBP|R8|R9|R1[0-5]|FS|GS|CS|CR0|CR2|CR3|CR4|DR[0-7]|PKRU|EFLAGS|ORIG_RAX):/;
+const REGISTER_RE = /\b([A-Z][A-Z0-9_]*):\s*(?:([0-9a-f]{4}):)?([0-9a-f]+)(?:\(([0-9a-f]+)\))?/g;
+const FRAME_RE =
+  /^(\? )?(?:\[<[0-9a-f]+>\]\s+)?(?:([\w.$]+)\+0x([0-9a-f]+)\/0x([0-9a-f]+)(?: \[([\w]+)\])?|(0x[0-9a-f]+))$/;
+const CONTEXT_RE = /^<(\/?)(IRQ|TASK|NMI|SOFTIRQ|EOI)>$/;
+const MODULES_RE = /^Modules linked in:\s*(.*)$/;
+const END_TRACE_RE = /^-+\[ (end (?:trace|Kernel panic)[^\]]*?) \]-+$/;
+const OOPS_RE = /^Oops: ([0-9a-f]+) \[#(\d+)\]\s*(.*)$/;
+const PF_ACCESS_RE =
+  /^#PF: (supervisor|user) (read|write|instruction fetch) access in (kernel|user) mode/;
+const PF_ERROR_RE = /^#PF: error_code\(0x([0-9a-f]+)\)(?: - (.*))?/;
+const FAULT_ADDR_RE =
+  /(?:unable to handle page fault for address|NULL pointer dereference, address|unable to handle kernel paging request at)[:\s]+(?:0x)?([0-9a-f]+)/;
+const PANIC_RE = /^Kernel panic - not syncing: (.*)$/;
+const WARNING_RE = /^WARNING: CPU: \d+ PID: \d+ at (\S+) ([\w.$]+)/;
+const HUNG_RE = /^INFO: task (\S+):(\d+) blocked for more than (\d+) seconds/;
+
+const hex = (s) => (s == null ? null : parseInt(s, 16));
+
+function parseRip(m, text) {
+  return {
+    cs: m[1],
+    symbol: m[3] || null,
+    offset: hex(m[4]),
+    size: hex(m[5]),
+    module: m[6] || null,
+    address: m[7] ? `0x${m[7]}` : m[2] ? `0x${m[2]}` : null,
+    raw: text.slice(5).trim(),
+  };
+}
+
+function parseCode(raw) {
+  if (/^Unable to access opcode bytes/.test(raw)) return { bytes: [], faultIndex: -1, raw };
+  const bytes = [];
+  let faultIndex = -1;
+  for (const tok of raw.trim().split(/\s+/)) {
+    const m = /^([<(]?)([0-9a-f]{2,})[>)]?$/.exec(tok);
+    if (!m) continue;
+    // Bytes are printed one per token; multi-byte tokens (other arches)
+    // are kept in memory order.
+    const start = bytes.length;
+    for (let i = 0; i < m[2].length; i += 2) bytes.push(parseInt(m[2].slice(i, i + 2), 16));
+    if (m[1]) faultIndex = start;
+  }
+  return { bytes, faultIndex, raw };
+}
+
+function parseModules(list) {
+  const modules = [];
+  let lastUnloaded = null;
+  const unloaded = /\[last unloaded: ([^\]]+)\]/.exec(list);
+  if (unloaded) {
+    lastUnloaded = unloaded[1].trim();
+    list = list.replace(unloaded[0], "");
+  }
+  for (const tok of list.trim().split(/\s+/)) {
+    const m = /^([\w-]+)(?:\(([A-Z+-]+)\))?$/.exec(tok);
+    if (m) modules.push({ name: m[1], flags: m[2] || "" });
+  }
+  return { modules, lastUnloaded };
+}
+
+function emptyEvent() {
+  return {
+    headline: null,
+    kind: null,
+    cpu: null,
+    pid: null,
+    comm: null,
+    taint: null,
+    kernelRelease: null,
+    kernelBuild: null,
+    hardware: null,
+    workqueue: null,
+    oops: null,
+    pageFault: null,
+    panicReason: null,
+    warning: null,
+    hungTask: null,
+    rip: null,
+    registers: {},
+    code: null,
+    registerDumps: [],
+    frames: [],
+    modules: [],
+    lastUnloaded: null,
+    endTrace: null,
+  };
+}
+
+/**
+ * Parse one kernel event. `input` is raw text or `normalizeLog()` lines
+ * (already sliced to the event); non-kernel lines are ignored.
+ * @returns {CrashEvent}
+ */
+export function parseCrashEvent(input) {
+  const lines = typeof input === "string" ? normalizeLog(input) : input;
+  const ev = emptyEvent();
+  let dump = null;
+  let inTrace = false;
+  const contexts = [];
+
+  const currentDump = (lineNo) => {
+    if (!dump) {
+      dump = { rip: null, code: null, registers: {}, user: false, line: lineNo };
+      ev.registerDumps.push(dump);
+    }
+    return dump;
+  };
+
+  lines.forEach((line, n) => {
+    if (!line.isKernel) return;
+    const text = line.text.trim();
+    if (!text) return;
+    let m;
+
+    if (!ev.headline && classifyHeadline(text)) {
+      ev.headline = text;
+      ev.kind = classifyHeadline(text);
+    }
+
+    if ((m = FAULT_ADDR_RE.exec(text)) && !ev.pageFault?.address) {
+      ev.pageFault = { ...ev.pageFault, address: `0x${m[1]}` };
+    }
+    if ((m = PF_ACCESS_RE.exec(text))) {
+      ev.pageFault = { ...ev.pageFault, privilege: m[1], access: m[2], mode: m[3] };
+      return;
+    }
+    if ((m = PF_ERROR_RE.exec(text))) {
+      ev.pageFault = { ...ev.pageFault, errorCode: hex(m[1]), reason: m[2] || null };
+      return;
+    }
+    if ((m = OOPS_RE.exec(text))) {
+      ev.oops = { code: m[1], count: Number(m[2]), flags: m[3].split(/\s+/).filter(Boolean) };
+      return;
+    }
+    if ((m = PANIC_RE.exec(text))) {
+      ev.panicReason = m[1];
+      return;
+    }
+    if ((m = WARNING_RE.exec(text))) {
+      ev.warning = { location: m[1], symbol: m[2] };
+      return;
+    }
+    if ((m = HUNG_RE.exec(text))) {
+      ev.hungTask = { comm: m[1], pid: Number(m[2]), seconds: Number(m[3]) };
+      return;
+    }
+    if ((m = CPU_RE.exec(text))) {
+      // Later CPU: lines repeat the same facts (one per stack dump).
+      if (ev.cpu === null) {
+        ev.cpu = Number(m[1]);
+        ev.pid = Number(m[2]);
+        ev.comm = m[3];
+        ev.taint = m[4] || null;
+        ev.kernelRelease = m[5] || null;
+        ev.kernelBuild = m[6] || null;
+      }
+      return;
+    }
+    if ((m = HARDWARE_RE.exec(text))) {
+      ev.hardware = ev.hardware || { name: m[1], bios: m[2] || null };
+      return;
+    }
+    if ((m = WORKQUEUE_RE.exec(text))) {
+      ev.workqueue = ev.workqueue || { name: m[1], func: m[2], module: m[3] || null };
+      return;
+    }
+    if ((m = MODULES_RE.exec(text))) {
+      const parsed = parseModules(m[1]);
+      if (!ev.modules.length) {
+        ev.modules = parsed.modules;
+        ev.lastUnloaded = parsed.lastUnloaded;
+      }
+      return;
+    }
+    if ((m = END_TRACE_RE.exec(text))) {
+      ev.endTrace = m[1];
+      inTrace = false;
+      return;
+    }
+    if (text === "Call Trace:") {
+      inTrace = true;
+      return;
+    }
+
+    if ((m = CONTEXT_RE.exec(text))) {
+      if (m[1]) contexts.pop();
+      else contexts.push(m[2]);
+      return;
+    }
+
+    if ((m = RIP_RE.exec(text))) {
+      // Every RIP: starts a new register dump (kernel, then user after </TASK>).
+      dump = null;
+      const d = currentDump(n);
+      d.rip = parseRip(m, text);
+      d.user = m[1] === "0033" || m[1] === "0023";
+      inTrace = false;
+      return;
+    }
+    if ((m = CODE_RE.exec(text))) {
+      currentDump(n).code = parseCode(m[1]);
+      return;
+    }
+    if (REGISTER_LINE_RE.test(text)) {
+      const d = currentDump(n);
+      for (const r of text.matchAll(REGISTER_RE)) {
+        d.registers[r[1]] = r[3];
+        if (r[1] === "RSP" && r[2]) d.registers.SS = r[2];
+      }
+      return;
+    }
+
+    if ((m = FRAME_RE.exec(text)) && (inTrace || contexts.length)) {
+      ev.frames.push({
+        symbol: m[2] || m[6],
+        offset: hex(m[3]),
+        size: hex(m[4]),
+        module: m[5] || null,
+        unreliable: Boolean(m[1]),
+        context: contexts[contexts.length - 1] || "",
+        raw: text.replace(/^\? /, ""),
+        line: n,
+      });
+    }
+  });
+
+  // The primary dump is the kernel one; a user-space RIP (CS 0033) only
+  // tells us where the task was when it entered the kernel.
+  const primary = ev.registerDumps.find((d) => !d.user) || ev.registerDumps[0];
+  if (primary) {
+    ev.rip = primary.rip;
+    ev.registers = primary.registers;
+    ev.code = primary.code;
+  }
+  if (!ev.comm && ev.hungTask) {
+    ev.comm = ev.hungTask.comm;
+    ev.pid = ev.hungTask.pid;
+  }
+  return ev;
+}
+
+/** Format a frame / RIP the way the kernel prints it. */
+export function formatSymbol(s) {
+  if (!s) return "";
+  if (s.offset == null) return s.symbol || s.address || "";
+  const mod = s.module ? ` [${s.module}]` : "";
+  return `${s.symbol}+0x${s.offset.toString(16)}/0x${s.size.toString(16)}${mod}`;
+}
+
+/**
+ * The CrashEvent as sent to /analyze: line indexes and raw strings the
+ * model doesn't need are dropped to keep the prompt small.
+ */
+export function crashEventForPrompt(ev) {
+  const attr = attributeTaint(ev);
+  const dis = disassembleCode(ev.code);
+  return {
+    ...ev,
+    registerDumps: undefined,
+    code: ev.code && { bytes: ev.code.raw },
+    rip: ev.rip && formatSymbol(ev.rip),
+    frames: ev.frames.map(
+      (f) => `${f.unreliable ? "? " : ""}${f.raw}${f.context ? ` <${f.context}>` : ""}`
+    ),
+    modules: ev.modules.map((m) => (m.flags ? `${m.name}(${m.flags})` : m.name)),
+    taintFlags: attr.flags.map((f) => `${f.letter}: ${f.description}`),
+    taintAttribution: describeTaintVerdict(attr),
+    disassembly: disassemblyLines(dis, codeLabeler(ev.rip, ev.code?.faultIndex ?? -1)),
+    faultingInstruction: explainFault(dis.fault, ev.registers),
+    registerFindings: evaluateRegisters(ev).map((f) => `${f.title} — ${f.detail}`),
+  };
+}
+
+// ─── Events from outside the parser ───
+//
+// Report imports and shared links carry a CrashEvent serialised elsewhere.
+// Fingerprinting, taint attribution, grounding and the disassembler index
+// into it without checks, so its shape is checked once on the way in.
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isString = (v) => typeof v === "string";
+const isHex = (v) => isString(v) && /^(0x)?[0-9a-f]+$/i.test(v);
+const isIndex = (v) => Number.isInteger(v) && v >= 0;
+const optional = (test) => (v) => v == null || test(v);
+const listOf = (test) => (v) => Array.isArray(v) && v.every(test);
+
+const STRING_FIELDS = [
+  "headline", "kind", "comm", "taint", "kernelRelease", "kernelBuild", "panicReason", "lastUnloaded", "endTrace",
+];
+const OBJECT_FIELDS = ["hardware", "workqueue", "oops", "warning", "hungTask"];
+
+const isRegisters = (v) => isObject(v) && Object.values(v).every(isHex);
+const isSymbol = (s) =>
+  isObject(s) &&
+  optional(isString)(s.symbol) &&
+  optional(isString)(s.module) &&
+  optional(isString)(s.raw) &&
+  (s.offset == null || (Number.isInteger(s.offset) && Number.isInteger(s.size)));
+const isCode = (c) =>
+  isObject(c) &&
+  listOf((b) => Number.isInteger(b) && b >= 0 && b < 256)(c.bytes) &&
+  Number.isInteger(c.faultIndex) &&
+  c.faultIndex < c.bytes.length;
+const isFrame = (f) => isSymbol(f) && isString(f.symbol) && isString(f.raw) && isIndex(f.line);
+const isDump = (d) =>
+  isObject(d) && isRegisters(d.registers) && optional(isSymbol)(d.rip) && optional(isCode)(d.code) && isIndex(d.line);
+const isModule = (m) => isObject(m) && isString(m.name) && isString(m.flags);
+
+/**
+ * A CrashEvent that did not come from parseCrashEvent, with missing fields
+ * filled in; null when any field has the wrong shape.
+ * @returns {CrashEvent|null}
+ */
+export function validateCrashEvent(raw) {
+  if (!isObject(raw)) return null;
+  const empty = emptyEvent();
+  const ev = Object.fromEntries(Object.keys(empty).map((k) => [k, raw[k] ?? empty[k]]));
+  const ok =
+    STRING_FIELDS.every((k) => optional(isString)(ev[k])) &&
+    OBJECT_FIELDS.every((k) => optional(isObject)(ev[k])) &&
+    optional(Number.isInteger)(ev.cpu) &&
+    optional(Number.isInteger)(ev.pid) &&
+    optional((pf) => isObject(pf) && optional(isHex)(pf.address))(ev.pageFault) &&
+    optional(isSymbol)(ev.rip) &&
+    isRegisters(ev.registers) &&
+    optional(isCode)(ev.code) &&
+    listOf(isDump)(ev.registerDumps) &&
+    listOf(isFrame)(ev.frames) &&
+    listOf(isModule)(ev.modules);
+  return ok ? ev : null;
+}
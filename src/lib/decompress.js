@@ -0,0 +1,117 @@
+// ─── Log file loading with in-browser decompression ───
+//
+// Rotated syslogs (syslog.2.gz), journal exports and kdump bundles arrive
+// compressed. The format is detected from the magic bytes, never from the
+// file extension, and decompressed entirely client-side. The xz and zstd
+// decoders are loaded on demand so plain-text uploads don't pay for them.
+
+import { isJournalExportBytes } from "./journal.js";
+
+const FORMATS = [
+  { id: "gzip", label: "gzip", magic: [0x1f, 0x8b] },
+  { id: "xz", label: "xz", magic: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { id: "zstd", label: "zstd", magic: [0x28, 0xb5, 0x2f, 0xfd] },
+  // Recognised only so we can say what it is instead of showing garbage.
+  { id: "bzip2", label: "bzip2", magic: [0x42, 0x5a, 0x68], unsupported: true },
+  { id: "lz4", label: "lz4", magic: [0x04, 0x22, 0x4d, 0x18], unsupported: true },
+  { id: "zip", label: "zip archive", magic: [0x50, 0x4b, 0x03, 0x04], unsupported: true },
+  { id: "lzma", label: "legacy lzma", magic: [0x5d, 0x00, 0x00], unsupported: true },
+];
+
+const SUPPORTED_LABELS = "plain text, gzip, xz or zstd";
+
+function startsWith(bytes, magic) {
+  return magic.every((b, i) => bytes[i] === b);
+}
+
+// Text logs never contain NUL bytes; anything that does and matches no
+// known magic is some other binary file (core dump, vmcore, tarball...).
+function looksLikeText(bytes) {
+  const n = Math.min(bytes.length, 8192);
+  for (let i = 0; i < n; i++) {
+    if (bytes[i] === 0) return false;
+  }
+  return true;
+}
+
+/** Identify the container format of `bytes` ("text", "gzip", "xz", ...). */
+export function detectFormat(bytes) {
+  const match = FORMATS.find((f) => startsWith(bytes, f.magic));
+  if (match) return match;
+  // Journal exports carry binary fields (NUL-padded lengths) but are logs.
+  if (looksLikeText(bytes) || isJournalExportBytes(bytes)) {
+    return { id: "text", label: "plain text" };
+  }
+  return { id: "binary", label: "binary", unsupported: true };
+}
+
+async function pipeThrough(bytes, makeStream) {
+  const out = makeStream(new Blob([bytes]).stream());
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+const DECODERS = {
+  gzip: (bytes) =>
+    pipeThrough(bytes, (s) => s.pipeThrough(new DecompressionStream("gzip"))),
+  xz: async (bytes) => {
+    // UMD bundle: the class hangs off the CommonJS default export.
+    const mod = await import("xz-decompress");
+    const { XzReadableStream } = mod.default ?? mod;
+    return pipeThrough(bytes, (s) => new XzReadableStream(s));
+  },
+  zstd: async (bytes) => {
+    const { decompress } = await import("fzstd");
+    return decompress(bytes);
+  },
+};
+
+/**
+ * Decode raw file bytes to text, decompressing if needed.
+ * Throws with a user-facing message for unsupported or corrupt input.
+ */
+export async function decodeLogBytes(bytes) {
+  const format = detectFormat(bytes);
+  if (format.unsupported) {
+    throw new Error(
+      `Unsupported file format (${format.label}). Upload ${SUPPORTED_LABELS}.`
+    );
+  }
+
+  let raw = bytes;
+  if (format.id !== "text") {
+    try {
+      raw = await DECODERS[format.id](bytes);
+    } catch (err) {
+      throw new Error(
+        `Could not decompress ${format.label} data — the file looks truncated or corrupt (${err.message})`
+      );
+    }
+    // A .tar.gz / .tar.xz bundle decompresses to a tarball, not a log.
+    if (!looksLikeText(raw) && !isJournalExportBytes(raw)) {
+      throw new Error(
+        `Decompressed ${format.label} data is not a text log (archives such as .tar must be extracted first).`
+      );
+    }
+  }
+
+  return {
+    bytes: raw,
+    text: new TextDecoder("utf-8").decode(raw),
+    format: format.id,
+    formatLabel: format.label,
+    compressedSize: bytes.length,
+    size: raw.length,
+  };
+}
+
+/** Read a dropped / picked `File` and return its decoded text. */
+export async function readLogFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return { name: file.name, ...(await decodeLogBytes(bytes)) };
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
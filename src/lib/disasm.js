@@ -0,0 +1,782 @@
+// ─── x86-64 disassembler for oops "Code:" lines ───
+//
+// A small table-driven decoder, the in-browser equivalent of the kernel's
+// scripts/decodecode: it covers the general-purpose integer instructions,
+// the system instructions that show up in kernel text (ud2, swapgs, stac,
+// endbr64, ...) and the common SSE moves. Anything else decodes as "(bad)".
+// Output is Intel syntax, as printed by `objdump -M intel`.
+
+const REG64 = ["rax", "rcx", "rdx", "rbx", "rsp", "rbp", "rsi", "rdi",
+  "r8", "r9", "r10", "r11", "r12", "r13", "r14", "r15"];
+const REG32 = ["eax", "ecx", "edx", "ebx", "esp", "ebp", "esi", "edi",
+  "r8d", "r9d", "r10d", "r11d", "r12d", "r13d", "r14d", "r15d"];
+const REG16 = ["ax", "cx", "dx", "bx", "sp", "bp", "si", "di",
+  "r8w", "r9w", "r10w", "r11w", "r12w", "r13w", "r14w", "r15w"];
+const REG8 = ["al", "cl", "dl", "bl", "spl", "bpl", "sil", "dil",
+  "r8b", "r9b", "r10b", "r11b", "r12b", "r13b", "r14b", "r15b"];
+const REG8_LEGACY = ["al", "cl", "dl", "bl", "ah", "ch", "dh", "bh"];
+const SEGS = ["es", "cs", "ss", "ds", "fs", "gs"];
+const CC = ["o", "no", "b", "ae", "e", "ne", "be", "a", "s", "ns", "p", "np", "l", "ge", "le", "g"];
+const ALU = ["add", "or", "adc", "sbb", "and", "sub", "xor", "cmp"];
+const SHIFT = ["rol", "ror", "rcl", "rcr", "shl", "shr", "sal", "sar"];
+const PTR = { 8: "BYTE", 16: "WORD", 32: "DWORD", 48: "FWORD", 64: "QWORD", 128: "XMMWORD" };
+
+const SEG_PREFIX = { 0x26: "es", 0x2e: "cs", 0x36: "ss", 0x3e: "ds", 0x64: "fs", 0x65: "gs" };
+
+// ─── Opcode tables ───
+//
+// Entries are [mnemonic, operands, flags]. Operand codes follow the Intel
+// opcode map: E = ModRM r/m, G = ModRM reg, M = memory-only r/m, I = imm,
+// J = relative branch, Z = register in the opcode's low bits, V/W = xmm
+// reg / xmm r/m. Sizes: b 8, w 16, d 32, q 64, v operand size, z immediate
+// size (16/32), y 32/64 by REX.W, x 128. "bs" is an imm8 sign-extended to
+// the operand size. Groups hold one entry per ModRM reg value.
+
+const D64 = "d64"; // operand size defaults to 64 bits (push, pop, call, ...)
+
+const grp = (names, spec, flags) => names.map((n) => (n ? [n, spec, flags] : null));
+
+const ONE = {};
+ALU.forEach((mn, i) => {
+  const b = i * 8;
+  ONE[b] = [mn, "Eb,Gb"];
+  ONE[b + 1] = [mn, "Ev,Gv"];
+  ONE[b + 2] = [mn, "Gb,Eb"];
+  ONE[b + 3] = [mn, "Gv,Ev"];
+  ONE[b + 4] = [mn, "AL,Ib"];
+  ONE[b + 5] = [mn, "rAX,Iz"];
+});
+for (let i = 0; i < 8; i++) {
+  ONE[0x50 + i] = ["push", "Zv", D64];
+  ONE[0x58 + i] = ["pop", "Zv", D64];
+  ONE[0xb0 + i] = ["mov", "Zb,Ib"];
+  ONE[0xb8 + i] = ["mov", "Zv,Iv"];
+  if (i) ONE[0x90 + i] = ["xchg", "Zv,rAX"];
+}
+CC.forEach((cc, i) => {
+  ONE[0x70 + i] = [`j${cc}`, "Jb"];
+});
+Object.assign(ONE, {
+  0x63: ["movsxd", "Gv,Ed"],
+  0x68: ["push", "Iz", D64],
+  0x69: ["imul", "Gv,Ev,Iz"],
+  0x6a: ["push", "Ibs", D64],
+  0x6b: ["imul", "Gv,Ev,Ibs"],
+  0x80: { group: grp(ALU, "Eb,Ib") },
+  0x81: { group: grp(ALU, "Ev,Iz") },
+  0x83: { group: grp(ALU, "Ev,Ibs") },
+  0x84: ["test", "Eb,Gb"],
+  0x85: ["test", "Ev,Gv"],
+  0x86: ["xchg", "Eb,Gb"],
+  0x87: ["xchg", "Ev,Gv"],
+  0x88: ["mov", "Eb,Gb"],
+  0x89: ["mov", "Ev,Gv"],
+  0x8a: ["mov", "Gb,Eb"],
+  0x8b: ["mov", "Gv,Ev"],
+  0x8c: ["mov", "Ew,Sw"],
+  0x8d: ["lea", "Gv,M"],
+  0x8e: ["mov", "Sw,Ew"],
+  0x8f: { group: grp(["pop"], "Ev", D64) },
+  0x9b: ["fwait", ""],
+  0x9c: ["pushf", "", D64],
+  0x9d: ["popf", "", D64],
+  0x9e: ["sahf", ""],
+  0x9f: ["lahf", ""],
+  0xa0: ["mov", "AL,Ob"],
+  0xa1: ["mov", "rAX,Ov"],
+  0xa2: ["mov", "Ob,AL"],
+  0xa3: ["mov", "Ov,rAX"],
+  0xa8: ["test", "AL,Ib"],
+  0xa9: ["test", "rAX,Iz"],
+  0xc0: { group: grp(SHIFT, "Eb,Ib") },
+  0xc1: { group: grp(SHIFT, "Ev,Ib") },
+  0xc2: ["ret", "Iw", D64],
+  0xc3: ["ret", "", D64],
+  0xc6: { group: grp(["mov"], "Eb,Ib") },
+  0xc7: { group: grp(["mov"], "Ev,Iz") },
+  0xc8: ["enter", "Iw,Ib"],
+  0xc9: ["leave", "", D64],
+  0xca: ["retf", "Iw"],
+  0xcb: ["retf", ""],
+  0xcc: ["int3", ""],
+  0xcd: ["int", "Ib"],
+  0xd0: { group: grp(SHIFT, "Eb,1") },
+  0xd1: { group: grp(SHIFT, "Ev,1") },
+  0xd2: { group: grp(SHIFT, "Eb,CL") },
+  0xd3: { group: grp(SHIFT, "Ev,CL") },
+  0xe0: ["loopne", "Jb"],
+  0xe1: ["loope", "Jb"],
+  0xe2: ["loop", "Jb"],
+  0xe3: ["jrcxz", "Jb"],
+  0xe4: ["in", "AL,Ib"],
+  0xe5: ["in", "eAX,Ib"],
+  0xe6: ["out", "Ib,AL"],
+  0xe7: ["out", "Ib,eAX"],
+  0xe8: ["call", "Jz", D64],
+  0xe9: ["jmp", "Jz", D64],
+  0xeb: ["jmp", "Jb", D64],
+  0xec: ["in", "AL,DX"],
+  0xed: ["in", "eAX,DX"],
+  0xee: ["out", "DX,AL"],
+  0xef: ["out", "DX,eAX"],
+  0xf1: ["int1", ""],
+  0xf4: ["hlt", ""],
+  0xf5: ["cmc", ""],
+  0xf6: {
+    group: [["test", "Eb,Ib"], ["test", "Eb,Ib"], ...grp(["not", "neg", "mul", "imul", "div", "idiv"], "Eb")],
+  },
+  0xf7: {
+    group: [["test", "Ev,Iz"], ["test", "Ev,Iz"], ...grp(["not", "neg", "mul", "imul", "div", "idiv"], "Ev")],
+  },
+  0xf8: ["clc", ""],
+  0xf9: ["stc", ""],
+  0xfa: ["cli", ""],
+  0xfb: ["sti", ""],
+  0xfc: ["cld", ""],
+  0xfd: ["std", ""],
+  0xfe: { group: grp(["inc", "dec"], "Eb") },
+  0xff: {
+    group: [
+      ["inc", "Ev"],
+      ["dec", "Ev"],
+      ["call", "Ev", D64],
+      ["call", "Mp"],
+      ["jmp", "Ev", D64],
+      ["jmp", "Mp"],
+      ["push", "Ev", D64],
+      null,
+    ],
+  },
+});
+
+// String instructions: mnemonic stem, size taken from the opcode's low bit.
+const STRING_OPS = { 0xa4: "movs", 0xa6: "cmps", 0xaa: "stos", 0xac: "lods", 0xae: "scas" };
+
+const TWO = {};
+CC.forEach((cc, i) => {
+  TWO[0x40 + i] = [`cmov${cc}`, "Gv,Ev"];
+  TWO[0x80 + i] = [`j${cc}`, "Jz", D64];
+  TWO[0x90 + i] = [`set${cc}`, "Eb"];
+});
+for (let i = 0; i < 8; i++) TWO[0xc8 + i] = ["bswap", "Zy"];
+Object.assign(TWO, {
+  0x00: { group: grp(["sldt", "str", "lldt", "ltr", "verr", "verw"], "Ew") },
+  0x05: ["syscall", ""],
+  0x06: ["clts", ""],
+  0x07: ["sysret", ""],
+  0x08: ["invd", ""],
+  0x09: ["wbinvd", ""],
+  0x0b: ["ud2", ""],
+  0x0d: { group: grp(["prefetch", "prefetchw"], "Mb") },
+  0x18: { group: grp(["prefetchnta", "prefetcht0", "prefetcht1", "prefetcht2"], "Mb") },
+  0x19: ["nop", "Ev"],
+  0x1a: ["nop", "Ev"],
+  0x1b: ["nop", "Ev"],
+  0x1c: ["nop", "Ev"],
+  0x1d: ["nop", "Ev"],
+  0x1f: ["nop", "Ev"],
+  0x20: ["mov", "Rq,Cq"],
+  0x21: ["mov", "Rq,Dq"],
+  0x22: ["mov", "Cq,Rq"],
+  0x23: ["mov", "Dq,Rq"],
+  0x30: ["wrmsr", ""],
+  0x31: ["rdtsc", ""],
+  0x32: ["rdmsr", ""],
+  0x33: ["rdpmc", ""],
+  0x34: ["sysenter", ""],
+  0x35: ["sysexit", ""],
+  0xa0: ["push", "FS", D64],
+  0xa1: ["pop", "FS", D64],
+  0xa2: ["cpuid", ""],
+  0xa3: ["bt", "Ev,Gv"],
+  0xa4: ["shld", "Ev,Gv,Ib"],
+  0xa5: ["shld", "Ev,Gv,CL"],
+  0xa8: ["push", "GS", D64],
+  0xa9: ["pop", "GS", D64],
+  0xab: ["bts", "Ev,Gv"],
+  0xac: ["shrd", "Ev,Gv,Ib"],
+  0xad: ["shrd", "Ev,Gv,CL"],
+  0xaf: ["imul", "Gv,Ev"],
+  0xb0: ["cmpxchg", "Eb,Gb"],
+  0xb1: ["cmpxchg", "Ev,Gv"],
+  0xb3: ["btr", "Ev,Gv"],
+  0xb6: ["movzx", "Gv,Eb"],
+  0xb7: ["movzx", "Gv,Ew"],
+  0xba: { group: grp([null, null, null, null, "bt", "bts", "btr", "btc"], "Ev,Ib") },
+  0xbb: ["btc", "Ev,Gv"],
+  0xbe: ["movsx", "Gv,Eb"],
+  0xbf: ["movsx", "Gv,Ew"],
+  0xc0: ["xadd", "Eb,Gb"],
+  0xc1: ["xadd", "Ev,Gv"],
+});
+
+// Opcodes whose meaning depends on a mandatory 66 / F3 / F2 prefix.
+const TWO_PREFIXED = {
+  0x10: { "": ["movups", "Vx,Wx"], 0x66: ["movupd", "Vx,Wx"], 0xf3: ["movss", "Vx,Wd"], 0xf2: ["movsd", "Vx,Wq"] },
+  0x11: { "": ["movups", "Wx,Vx"], 0x66: ["movupd", "Wx,Vx"], 0xf3: ["movss", "Wd,Vx"], 0xf2: ["movsd", "Wq,Vx"] },
+  0x28: { "": ["movaps", "Vx,Wx"], 0x66: ["movapd", "Vx,Wx"] },
+  0x29: { "": ["movaps", "Wx,Vx"], 0x66: ["movapd", "Wx,Vx"] },
+  0x57: { "": ["xorps", "Vx,Wx"], 0x66: ["xorpd", "Vx,Wx"] },
+  0x6e: { 0x66: ["movd", "Vx,Ey"] },
+  0x6f: { 0x66: ["movdqa", "Vx,Wx"], 0xf3: ["movdqu", "Vx,Wx"] },
+  0x7e: { 0x66: ["movd", "Ey,Vx"], 0xf3: ["movq", "Vx,Wq"] },
+  0x7f: { 0x66: ["movdqa", "Wx,Vx"], 0xf3: ["movdqu", "Wx,Vx"] },
+  0xb8: { 0xf3: ["popcnt", "Gv,Ev"] },
+  0xbc: { "": ["bsf", "Gv,Ev"], 0xf3: ["tzcnt", "Gv,Ev"] },
+  0xbd: { "": ["bsr", "Gv,Ev"], 0xf3: ["lzcnt", "Gv,Ev"] },
+  0xd6: { 0x66: ["movq", "Wq,Vx"] },
+  0xef: { 0x66: ["pxor", "Vx,Wx"] },
+};
+
+// 0F 01 with a register ModRM: one instruction per byte.
+const GROUP7_REG = {
+  0xc1: "vmcall", 0xc2: "vmlaunch", 0xc3: "vmresume", 0xc4: "vmxoff",
+  0xc8: "monitor", 0xc9: "mwait", 0xca: "clac", 0xcb: "stac", 0xcf: "encls",
+  0xd0: "xgetbv", 0xd1: "xsetbv", 0xd5: "xend", 0xd6: "xtest", 0xe8: "serialize",
+  0xee: "rdpkru", 0xef: "wrpkru", 0xf8: "swapgs", 0xf9: "rdtscp", 0xfa: "monitorx", 0xfb: "mwaitx",
+};
+const GROUP7_MEM = grp(["sgdt", "sidt", "lgdt", "lidt", "smsw", null, "lmsw", "invlpg"], "M");
+
+// ─── Decoder ───
+
+class Truncated extends Error {}
+
+function reader(bytes, pos) {
+  const r = {
+    pos,
+    u8() {
+      if (r.pos >= bytes.length) throw new Truncated();
+      return bytes[r.pos++];
+    },
+    peek() {
+      return r.pos < bytes.length ? bytes[r.pos] : null;
+    },
+    // Little-endian signed immediate of `n` bytes, as a BigInt.
+    int(n) {
+      let v = 0n;
+      for (let i = 0; i < n; i++) v |= BigInt(r.u8()) << BigInt(8 * i);
+      return BigInt.asIntN(8 * n, v);
+    },
+  };
+  return r;
+}
+
+function regName(n, size, rex) {
+  switch (size) {
+    case 8:
+      return rex ? REG8[n] : (REG8_LEGACY[n] ?? REG8[n]);
+    case 16:
+      return REG16[n];
+    case 32:
+      return REG32[n];
+    case 128:
+      return `xmm${n}`;
+    default:
+      return REG64[n];
+  }
+}
+
+function decodeModRM(r, ctx) {
+  const b = r.u8();
+  const m = { mod: b >> 6, reg: ((b >> 3) & 7) | (ctx.rex & 4 ? 8 : 0), rm: b & 7, mem: null };
+  if (m.mod === 3) {
+    m.rm |= ctx.rex & 1 ? 8 : 0;
+    return m;
+  }
+  const mem = { base: null, index: null, scale: 1, disp: 0n, rip: false, seg: ctx.seg, adsize: ctx.adsize };
+  let rm = m.rm;
+  if (rm === 4) {
+    const sib = r.u8();
+    const index = ((sib >> 3) & 7) | (ctx.rex & 2 ? 8 : 0);
+    mem.scale = 1 << (sib >> 6);
+    if (index !== 4) mem.index = index;
+    rm = sib & 7;
+    if (rm === 5 && m.mod === 0) {
+      mem.disp = r.int(4);
+    } else {
+      mem.base = rm | (ctx.rex & 1 ? 8 : 0);
+    }
+  } else if (rm === 5 && m.mod === 0) {
+    mem.rip = true;
+    mem.disp = r.int(4);
+  } else {
+    mem.base = rm | (ctx.rex & 1 ? 8 : 0);
+  }
+  if (m.mod === 1) mem.disp = r.int(1);
+  else if (m.mod === 2) mem.disp = r.int(4);
+  m.mem = mem;
+  return m;
+}
+
+function sizeOf(code, ctx) {
+  switch (code) {
+    case "b":
+      return 8;
+    case "w":
+      return 16;
+    case "d":
+      return 32;
+    case "q":
+      return 64;
+    case "x":
+      return 128;
+    case "y":
+      return ctx.rex & 8 ? 64 : 32;
+    case "z":
+      return ctx.opsize === 16 ? 16 : 32;
+    default:
+      return ctx.opsize;
+  }
+}
+
+// Decode one operand descriptor ("Ev", "Ib", "rAX", ...) into an operand.
+function operand(spec, r, ctx) {
+  const modrm = () => (ctx.modrm ??= decodeModRM(r, ctx));
+  const mask = (v, size) => BigInt.asUintN(size, v);
+
+  switch (spec) {
+    case "AL":
+      return { type: "reg", name: "al", index: 0, size: 8 };
+    case "CL":
+      return { type: "reg", name: "cl", index: 1, size: 8 };
+    case "DX":
+      return { type: "reg", name: "dx", index: 2, size: 16 };
+    case "rAX":
+      return { type: "reg", name: regName(0, ctx.opsize), index: 0, size: ctx.opsize };
+    case "eAX": {
+      const size = ctx.opsize === 16 ? 16 : 32;
+      return { type: "reg", name: regName(0, size), index: 0, size };
+    }
+    case "FS":
+    case "GS":
+      return { type: "seg", name: spec.toLowerCase() };
+    case "1":
+      return { type: "const", value: "1" };
+  }
+
+  const kind = spec[0];
+  const sz = spec.slice(1);
+  switch (kind) {
+    case "E":
+    case "M":
+    case "W": {
+      const m = modrm();
+      const size = kind === "W" && sz === "x" ? 128 : sizeOf(sz, ctx);
+      if (m.mod === 3) {
+        if (kind === "M") throw new Error("register operand where memory is required");
+        return kind === "W"
+          ? { type: "reg", name: `xmm${m.rm}`, index: m.rm, size: 128 }
+          : { type: "reg", name: regName(m.rm, size, ctx.rex), index: m.rm, size };
+      }
+      // lea and the descriptor-table ops take an address, not a sized operand.
+      if (kind === "M" && sz === "") return { type: "mem", ...m.mem, size: null };
+      return { type: "mem", ...m.mem, size: sz === "p" ? 48 : size };
+    }
+    case "G": {
+      const size = sizeOf(sz, ctx);
+      return { type: "reg", name: regName(modrm().reg, size, ctx.rex), index: modrm().reg, size };
+    }
+    case "V":
+      return { type: "reg", name: `xmm${modrm().reg}`, index: modrm().reg, size: 128 };
+    case "R":
+      return { type: "reg", name: REG64[modrm().rm], index: modrm().rm, size: 64 };
+    case "C":
+      return { type: "reg", name: `cr${modrm().reg}`, size: 64 };
+    case "D":
+      return { type: "reg", name: `db${modrm().reg}`, size: 64 };
+    case "S": {
+      const seg = SEGS[modrm().reg & 7];
+      if (!seg) throw new Error("bad segment register");
+      return { type: "seg", name: seg };
+    }
+    case "Z": {
+      const n = (ctx.opcode & 7) | (ctx.rex & 1 ? 8 : 0);
+      const size = sizeOf(sz, ctx);
+      return { type: "reg", name: regName(n, size, ctx.rex), index: n, size };
+    }
+    case "I": {
+      if (sz === "bs") return { type: "imm", value: mask(r.int(1), ctx.opsize), size: ctx.opsize };
+      if (sz === "v") {
+        const n = ctx.opsize / 8;
+        return { type: "imm", value: mask(r.int(n), ctx.opsize), size: ctx.opsize };
+      }
+      if (sz === "z") {
+        const n = ctx.opsize === 16 ? 2 : 4;
+        return { type: "imm", value: mask(r.int(n), ctx.opsize), size: ctx.opsize };
+      }
+      const size = sizeOf(sz, ctx);
+      return { type: "imm", value: mask(r.int(size / 8), size), size };
+    }
+    case "J": {
+      const rel = Number(r.int(sz === "b" ? 1 : 4));
+      return { type: "rel", target: r.pos + rel, rel };
+    }
+    case "O": {
+      const addr = mask(r.int(ctx.adsize / 8), 64);
+      return {
+        type: "mem",
+        base: null,
+        index: null,
+        scale: 1,
+        disp: addr,
+        rip: false,
+        seg: ctx.seg,
+        size: sizeOf(sz, ctx),
+        absolute: true,
+      };
+    }
+  }
+  throw new Error(`unknown operand ${spec}`);
+}
+
+/**
+ * Decode one instruction at `pos`. Never throws: undecodable bytes give a
+ * one-byte "(bad)" instruction, and an instruction running off the end of
+ * the buffer is returned with `truncated: true`.
+ */
+export function decodeInstruction(bytes, pos) {
+  const r = reader(bytes, pos);
+  const ctx = { rex: 0, opsize: 32, adsize: 64, seg: null, modrm: null, opcode: 0 };
+  const prefixes = [];
+  let lock = false;
+  try {
+    let b = r.u8();
+    for (;;) {
+      if (b === 0xf0) lock = true;
+      else if (b === 0xf2 || b === 0xf3 || b === 0x66) prefixes.push(b);
+      else if (b === 0x67) ctx.adsize = 32;
+      else if (SEG_PREFIX[b]) ctx.seg = SEG_PREFIX[b];
+      else break;
+      b = r.u8();
+    }
+    if ((b & 0xf0) === 0x40) {
+      ctx.rex = b;
+      b = r.u8();
+    }
+
+    let entry;
+    let mandatory = null;
+    ctx.opcode = b;
+    if (b === 0x0f) {
+      const op = r.u8();
+      ctx.opcode = op;
+      if (op === 0x1e && prefixes.includes(0xf3) && (r.peek() === 0xfa || r.peek() === 0xfb)) {
+        return finish(bytes, pos, r.pos + 1, r.u8() === 0xfa ? "endbr64" : "endbr32", []);
+      }
+      if (op === 0x01) {
+        const next = r.peek();
+        if (next != null && next >> 6 === 3) {
+          r.u8();
+          const mn = GROUP7_REG[next];
+          return mn ? finish(bytes, pos, r.pos, mn, []) : bad(bytes, pos);
+        }
+        entry = { group: GROUP7_MEM };
+      } else if (TWO_PREFIXED[op]) {
+        const variants = TWO_PREFIXED[op];
+        mandatory = [0xf3, 0xf2, 0x66].find((p) => prefixes.includes(p) && variants[p]) ?? "";
+        entry = variants[mandatory];
+      } else if (op === 0xae) {
+        entry = group15(r, prefixes);
+      } else if (op === 0xc7) {
+        entry = group9(r, ctx);
+      } else {
+        entry = TWO[op];
+      }
+    } else if (STRING_OPS[b & 0xfe]) {
+      return stringOp(bytes, pos, r, b, ctx, prefixes);
+    } else if (b === 0x90) {
+      if (prefixes.includes(0xf3)) return finish(bytes, pos, r.pos, "pause", []);
+      if (ctx.rex & 1) return finish(bytes, pos, r.pos, "xchg", [reg(8, 64), reg(0, 64)]);
+      if (prefixes.includes(0x66)) return finish(bytes, pos, r.pos, "xchg", [reg(0, 16), reg(0, 16)]);
+      return finish(bytes, pos, r.pos, "nop", []);
+    } else if (b === 0x98 || b === 0x99) {
+      ctx.opsize = ctx.rex & 8 ? 64 : prefixes.includes(0x66) ? 16 : 32;
+      const names = b === 0x98 ? { 16: "cbw", 32: "cwde", 64: "cdqe" } : { 16: "cwd", 32: "cdq", 64: "cqo" };
+      return finish(bytes, pos, r.pos, names[ctx.opsize], []);
+    } else if (b === 0xcf) {
+      return finish(bytes, pos, r.pos, ctx.rex & 8 ? "iretq" : "iret", []);
+    } else {
+      entry = ONE[b];
+    }
+
+    if (entry?.group) {
+      ctx.modrm = decodeModRM(r, ctx);
+      entry = entry.group[ctx.modrm.reg & 7];
+    }
+    if (!entry) return bad(bytes, pos);
+
+    const [mnemonic, spec, flags] = entry;
+    const data16 = prefixes.includes(0x66) && mandatory !== 0x66;
+    if (ctx.rex & 8) ctx.opsize = 64;
+    else if (data16) ctx.opsize = 16;
+    else if (flags === D64) ctx.opsize = 64;
+
+    const operands = spec ? spec.split(",").map((s) => operand(s, r, ctx)) : [];
+    let name = mnemonic;
+    if (mnemonic === "movd" && ctx.rex & 8) name = "movq";
+    else if (mnemonic === "mov" && ctx.opsize === 64 && (b & 0xf8) === 0xb8) name = "movabs";
+    return finish(bytes, pos, r.pos, (lock ? "lock " : "") + name, operands);
+  } catch (err) {
+    if (err instanceof Truncated) {
+      return {
+        ...bad(bytes, pos),
+        length: bytes.length - pos,
+        bytes: [...bytes.subarray(pos)],
+        mnemonic: "(truncated)",
+        truncated: true,
+      };
+    }
+    return bad(bytes, pos);
+  }
+}
+
+function group15(r, prefixes) {
+  const next = r.peek();
+  if (next == null) throw new Truncated();
+  const reg = (next >> 3) & 7;
+  if (next >> 6 === 3) {
+    r.u8();
+    const mn = { 5: "lfence", 6: "mfence", 7: "sfence" }[reg];
+    return mn ? [mn, ""] : null;
+  }
+  if (prefixes.includes(0x66) && reg === 6) return { group: grp([null, null, null, null, null, null, "clwb"], "Mb") };
+  if (prefixes.includes(0x66) && reg === 7) return { group: grp([null, null, null, null, null, null, null, "clflushopt"], "Mb") };
+  return {
+    group: grp(["fxsave", "fxrstor", "ldmxcsr", "stmxcsr", "xsave", "xrstor", "xsaveopt", "clflush"], "M"),
+  };
+}
+
+function group9(r, ctx) {
+  const next = r.peek();
+  if (next == null) throw new Truncated();
+  if (next >> 6 === 3) return { group: grp([null, null, null, null, null, null, "rdrand", "rdseed"], "Ev") };
+  return { group: grp([null, ctx.rex & 8 ? "cmpxchg16b" : "cmpxchg8b"], "M") };
+}
+
+function stringOp(bytes, pos, r, b, ctx, prefixes) {
+  const size = b & 1 ? (ctx.rex & 8 ? 64 : prefixes.includes(0x66) ? 16 : 32) : 8;
+  const stem = STRING_OPS[b & 0xfe];
+  const suffix = { 8: "b", 16: "w", 32: "d", 64: "q" }[size];
+  const compares = stem === "cmps" || stem === "scas";
+  let prefix = "";
+  if (prefixes.includes(0xf3)) prefix = compares ? "repz " : "rep ";
+  else if (prefixes.includes(0xf2)) prefix = "repnz ";
+  return finish(bytes, pos, r.pos, `${prefix}${stem}${suffix}`, []);
+}
+
+const reg = (n, size) => ({ type: "reg", name: regName(n, size), index: n, size });
+
+function finish(bytes, pos, end, mnemonic, operands) {
+  return { offset: pos, length: end - pos, bytes: [...bytes.subarray(pos, end)], mnemonic, operands, invalid: false, truncated: false };
+}
+
+function bad(bytes, pos) {
+  return { offset: pos, length: 1, bytes: [bytes[pos]], mnemonic: "(bad)", operands: [], invalid: true, truncated: false };
+}
+
+// ─── Formatting ───
+
+const hex = (v) => `0x${v.toString(16)}`;
+
+function formatMem(op) {
+  const seg = op.seg ? `${op.seg}:` : "";
+  const ptr = op.size ? `${PTR[op.size] ?? ""} PTR ` : "";
+  if (op.absolute || (op.base == null && op.index == null && !op.rip)) {
+    return `${ptr}${seg || "ds:"}${hex(BigInt.asUintN(64, op.disp))}`;
+  }
+  const regs = op.adsize === 32 ? REG32 : REG64;
+  const parts = [];
+  if (op.rip) parts.push(op.adsize === 32 ? "eip" : "rip");
+  if (op.base != null) parts.push(regs[op.base]);
+  if (op.index != null) parts.push(`${regs[op.index]}*${op.scale}`);
+  let inner = parts.join("+");
+  if (op.disp) inner += op.disp < 0n ? `-${hex(-op.disp)}` : `+${hex(op.disp)}`;
+  return `${ptr}${seg}[${inner}]`;
+}
+
+/**
+ * Intel-syntax text for one instruction. `label(offset)` names branch
+ * targets (defaults to the hex offset into the Code: window).
+ */
+export function formatInstruction(insn, label = hex) {
+  const ops = insn.operands.map((op) => {
+    switch (op.type) {
+      case "reg":
+      case "seg":
+        return op.name;
+      case "const":
+        return op.value;
+      case "imm":
+        return hex(op.value);
+      case "rel":
+        return label(op.target);
+      default:
+        return formatMem(op);
+    }
+  });
+  return ops.length ? `${insn.mnemonic} ${ops.join(",")}` : insn.mnemonic;
+}
+
+// ─── Code: window ───
+
+function decodeRun(bytes, start, end) {
+  const out = [];
+  let pos = start;
+  while (pos < end) {
+    const insn = decodeInstruction(bytes, pos);
+    out.push(insn);
+    pos += insn.length;
+  }
+  return { instructions: out, end: pos };
+}
+
+/**
+ * Disassemble an oops Code: window (`{bytes, faultIndex}` from the crash
+ * parser). The bytes before the `<..>` marker don't necessarily start on an
+ * instruction boundary, so like decodecode we try each start offset and
+ * keep the first whose decoding lands exactly on the faulting byte without
+ * any "(bad)" on the way.
+ *
+ * @returns {{instructions: Object[], fault: Object|null, synced: boolean}}
+ */
+export function disassembleCode(code) {
+  if (!code || !code.bytes.length) return { instructions: [], fault: null, synced: false };
+  const bytes = Uint8Array.from(code.bytes);
+  const fault = code.faultIndex;
+
+  if (fault < 0) {
+    const { instructions } = decodeRun(bytes, 0, bytes.length);
+    return { instructions, fault: null, synced: false };
+  }
+
+  let before = [];
+  let synced = false;
+  for (let start = 0; start < fault; start++) {
+    const run = decodeRun(bytes, start, fault);
+    if (run.end === fault && !run.instructions.some((i) => i.invalid)) {
+      before = run.instructions;
+      synced = true;
+      break;
+    }
+  }
+  const after = decodeRun(bytes, fault, bytes.length).instructions;
+  const instructions = [...before, ...after];
+  for (const insn of instructions) insn.fault = insn.offset === fault;
+  return { instructions, fault: after[0] || null, synced: synced || fault === 0 };
+}
+
+// ─── Operands vs. register dump ───
+
+const NULL_PAGE_LIMIT = 0x10000n; // below mmap_min_addr on every distro
+
+function regValue(registers, index) {
+  const v = registers?.[REG64[index].toUpperCase()];
+  return v == null ? null : BigInt(`0x${v}`);
+}
+
+const ADDRESSLESS = /^(lea|nop|prefetch\w*)$/;
+
+/**
+ * Memory operands of an instruction with their effective address computed
+ * from the register dump. `kind` is "address" when `ea` is known, "rip" for
+ * RIP-relative globals, "percpu" for gs-relative accesses, and "unknown"
+ * when a register isn't in the dump.
+ */
+export function memoryAccesses(insn, registers = {}) {
+  if (!insn) return [];
+  const mn = insn.mnemonic.replace(/^lock /, "");
+  if (ADDRESSLESS.test(mn)) return [];
+  return insn.operands
+    .filter((op) => op.type === "mem")
+    .map((op) => {
+      const access = { text: formatMem(op), kind: "address", ea: null, base: null, index: null, disp: op.disp };
+      if (op.rip) return { ...access, kind: "rip" };
+      if (op.seg === "gs") return { ...access, kind: "percpu" };
+      if (op.base != null) {
+        access.base = { name: REG64[op.base].toUpperCase(), value: regValue(registers, op.base) };
+      }
+      if (op.index != null) {
+        access.index = {
+          name: REG64[op.index].toUpperCase(),
+          value: regValue(registers, op.index),
+          scale: op.scale,
+        };
+      }
+      if (access.base?.value === null || access.index?.value === null) {
+        return { ...access, kind: "unknown" };
+      }
+      const base = access.base?.value ?? 0n;
+      const index = access.index ? access.index.value * BigInt(op.scale) : 0n;
+      return { ...access, ea: BigInt.asUintN(64, base + index + op.disp) };
+    });
+}
+
+/**
+ * Relate the faulting instruction's operands to the register dump:
+ * effective addresses of memory operands, NULL + offset dereferences and
+ * whether the address matches CR2.
+ *
+ * @returns {string[]} human-readable notes, memory operands first
+ */
+export function explainFault(insn, registers = {}) {
+  if (!insn) return [];
+  const mn = insn.mnemonic.replace(/^lock /, "");
+  if (mn === "ud2") {
+    return ["ud2 — BUG() / WARN() trap; the BUG/WARNING line gives the source location"];
+  }
+  const notes = [];
+  if (mn === "int3") notes.push("int3 — breakpoint (kprobe, static call or jump label patching)");
+  if (insn.truncated) notes.push("instruction runs past the end of the Code: bytes");
+
+  const cr2 = registers.CR2 != null ? BigInt(`0x${registers.CR2}`) : null;
+  for (const access of memoryAccesses(insn, registers)) {
+    const { text } = access;
+    if (access.kind === "rip") {
+      notes.push(`${text} — RIP-relative access to a global / static variable`);
+      continue;
+    }
+    if (access.kind === "percpu") {
+      notes.push(`${text} — per-CPU variable access (gs-relative)`);
+      continue;
+    }
+    if (access.kind === "unknown") {
+      notes.push(`${text} — register not in the dump, address unknown`);
+      continue;
+    }
+    const { ea, base, index } = access;
+    const terms = [base, index].filter(Boolean).map((r) => `${r.name}=${hex(r.value)}`);
+    let note = `${text} → ${hex(ea)}${terms.length ? ` (${terms.join(", ")})` : ""}`;
+    if (base && base.value < NULL_PAGE_LIMIT && ea < NULL_PAGE_LIMIT) {
+      note += `: NULL${ea ? ` + ${hex(ea)}` : ""} dereference`;
+    }
+    if (cr2 != null) note += ea === cr2 ? " — matches CR2" : ` — CR2 is ${hex(cr2)}`;
+    notes.push(note);
+  }
+
+  for (const op of insn.operands) {
+    if (op.type === "reg" && op.index != null && op.size !== 128 && !/^(cr|db)/.test(op.name)) {
+      const name = REG64[op.index].toUpperCase();
+      if (registers[name] != null) notes.push(`${op.name} — ${name} = ${registers[name]}`);
+    }
+  }
+  return notes;
+}
+
+/** "ext4_fill_super+0x1a3f" labels for Code: window offsets, from the RIP. */
+export function codeLabeler(rip, faultIndex) {
+  if (!rip?.symbol || rip.offset == null || faultIndex < 0) return hex;
+  return (offset) => {
+    const off = rip.offset + offset - faultIndex;
+    return off >= 0 ? `${rip.symbol}+${hex(off)}` : `${rip.symbol}-${hex(-off)}`;
+  };
+}
+
+/** decodecode-style listing, one line per instruction. */
+export function disassemblyLines(dis, label = hex) {
+  return dis.instructions.map((insn) => {
+    const bytes = insn.bytes.map((b) => b.toString(16).padStart(2, "0")).join(" ");
+    const mark = insn.fault ? "*" : " ";
+    const tail = insn.fault ? "\t<-- trapping instruction" : "";
+    return `${label(insn.offset)}:${mark}\t${bytes}\t${formatInstruction(insn, label)}${tail}`;
+  });
+}
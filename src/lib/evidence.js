@@ -0,0 +1,106 @@
+// ─── Evidence links: report items → log lines ───
+//
+// Finds the log lines behind the parts of a report a reviewer checks
+// first: the crash headline, every annotated_trace frame and the registers
+// the root cause names. CrashEvent line numbers count from the start of
+// the event that was parsed, not of the stored log, so the event is first
+// located in the log by its own call trace.
+
+import { checkGrounding, parseFrameRef } from "./grounding.js";
+
+/**
+ * @typedef {Object} EvidenceItem
+ * @property {string} id      "headline", "frame:3", "register:RAX"
+ * @property {"headline"|"frame"|"register"} kind
+ * @property {string} label   as the report wrote it
+ * @property {number[]} lines indexes into the log's lines; empty if not found
+ * @property {string} [status] frame: grounding status, see grounding.js
+ *
+ * @typedef {Object} Mention  a register name in the root cause text
+ * @property {number} index
+ * @property {string} text
+ * @property {string} id      the EvidenceItem it links to
+ *
+ * @typedef {Object} Evidence
+ * @property {EvidenceItem[]} items
+ * @property {Map<number, EvidenceItem[]>} byLine  log line → items citing it
+ * @property {Mention[]} mentions
+ */
+
+const REGISTER_NAME_RE = /%?\b(R[A-D]X|R[SD]I|R[BS]P|R(?:8|9|1[0-5])|RIP|CR[0234]|EFLAGS)\b/gi;
+
+// Register dumps print a few lines after their first one.
+const DUMP_LINES = 12;
+
+const textOf = (line) => (line?.isKernel ? line.text.trim() : "");
+
+// Index of the event's first line in `lines`, found by sliding its frames
+// and RIPs over the log until all of them line up; null if they never do.
+function eventOffset(event, lines) {
+  const anchors = [
+    ...event.frames,
+    ...event.registerDumps.filter((d) => d.rip).map((d) => ({ raw: d.rip.raw, line: d.line })),
+  ];
+  if (!anchors.length) return null;
+  const [first] = anchors;
+  for (let i = first.line; i < lines.length; i++) {
+    const offset = i - first.line;
+    if (anchors.every((a) => textOf(lines[offset + a.line]).includes(a.raw))) return offset;
+  }
+  return null;
+}
+
+function matching(lines, from, to, test) {
+  const found = [];
+  for (let i = Math.max(0, from); i < Math.min(lines.length, to); i++) {
+    if (test(textOf(lines[i]))) found.push(i);
+  }
+  return found;
+}
+
+/**
+ * @param {Object} report       AnalysisReport
+ * @param {Object} event        the CrashEvent behind it
+ * @param {Object[]} lines      normalizeLog() of the stored log
+ * @returns {Evidence}
+ */
+export function linkEvidence(report, event, lines) {
+  const offset = eventOffset(event, lines);
+  // Without a position the whole log is searched; with one, only the event.
+  const lastLine = Math.max(0, ...event.frames.map((f) => f.line), ...event.registerDumps.map((d) => d.line));
+  const [from, to] = offset == null ? [0, lines.length] : [offset, offset + lastLine + DUMP_LINES];
+  const items = [];
+
+  if (event.headline) {
+    const at = matching(lines, offset ?? 0, lines.length, (t) => t === event.headline);
+    items.push({ id: "headline", kind: "headline", label: event.headline, lines: at.slice(0, 1) });
+  }
+
+  const { frames } = checkGrounding(report, event);
+  (report.annotated_trace || []).forEach((frame, i) => {
+    const check = frames[i];
+    let at = [];
+    if (check.line != null && offset != null) at = [offset + check.line];
+    else if (check.status !== "invented") {
+      const ref = parseFrameRef(frame.func);
+      at = matching(lines, from, to, (t) => t.includes(`${ref.symbol}+0x`)).slice(0, 1);
+    }
+    items.push({ id: `frame:${i}`, kind: "frame", label: frame.func, lines: at, status: check.status });
+  });
+
+  const mentions = [];
+  for (const m of String(report.root_cause ?? "").matchAll(REGISTER_NAME_RE)) {
+    const name = m[1].toUpperCase();
+    const id = `register:${name}`;
+    mentions.push({ index: m.index, text: m[0], id });
+    if (items.some((it) => it.id === id)) continue;
+    const printed = new RegExp(`(^|\\s)${name}:`);
+    items.push({ id, kind: "register", label: name, lines: matching(lines, from, to, (t) => printed.test(t)) });
+  }
+
+  const byLine = new Map();
+  for (const item of items) {
+    for (const n of item.lines) byLine.set(n, [...(byLine.get(n) || []), item]);
+  }
+  return { items, byLine, mentions };
+}
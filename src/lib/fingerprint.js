@@ -0,0 +1,116 @@
+// ─── Crash signature fingerprinting ───
+//
+// Reduces a CrashEvent to what stays the same when the same bug fires again
+// on another host or after a reboot: the headline with its addresses, PIDs
+// and task names removed, the RIP function, the top of the call trace
+// without offsets, and the module. Offsets are left out on purpose — they
+// change with every rebuild of the same kernel.
+
+const TOP_FRAMES = 5;
+
+// Exception and reporting plumbing that sits on top of every trace of its
+// kind; it says nothing about which bug this is.
+const PLUMBING_RE =
+  /^(dump_stack\w*|show_stack|show_trace_log_lvl|__warn|warn_slowpath\w*|report_bug|handle_bug|(asm_)?exc_\w+|die|__die\w*|oops_end|page_fault_oops|kernelmode_fixup_or_oops|(__)?bad_area\w*|do_user_addr_fault|do_kern_addr_fault|no_context|panic|__schedule_bug|print_report|kasan_report\w*|__kasan_report)$/;
+
+// GCC / LLVM clone suffixes: "__schedule_bug.cold", "foo.isra.0",
+// "bar.constprop.0.llvm.1234" — they come and go between builds.
+const baseSymbol = (symbol) => symbol.replace(/\.(cold|isra|constprop|part|llvm)\b.*$/, "");
+
+// Headlines whose variable part is not a number: keep only the class.
+const HEADLINE_CLASSES = [
+  [/\bBUG: soft lockup\b/, () => "BUG: soft lockup"],
+  [/Watchdog detected hard LOCKUP/i, () => "Watchdog detected hard LOCKUP"],
+  [/^INFO: task \S+ blocked for more than/, () => "INFO: task blocked"],
+  [/invoked oom-killer:|^Out of memory:/, () => "Out of memory"],
+  [/^WARNING: (?:CPU: \d+ PID: \d+ )?at ([^\s:]+)/, (m) => `WARNING at ${m[1]}`],
+  [/^kernel BUG at ([^\s:!]+)/, (m) => `kernel BUG at ${m[1]}`],
+];
+
+/**
+ * "BUG: kernel NULL pointer dereference, address: 0000000000000018"
+ *   → "BUG: kernel NULL pointer dereference"
+ * Everything from the first comma, and every ": "-separated part from the
+ * first one that carries a number (an address, a PID, a kworker name).
+ */
+export function headlineClass(headline) {
+  if (!headline) return "";
+  for (const [re, name] of HEADLINE_CLASSES) {
+    const m = re.exec(headline);
+    if (m) return name(m);
+  }
+  const parts = headline
+    .replace(/^watchdog: /, "")
+    .replace(/\+0x[0-9a-f]+\/0x[0-9a-f]+/g, "")
+    .split(",")[0]
+    .split(": ");
+  const stable = [];
+  for (const part of parts) {
+    if (/\d/.test(part)) break;
+    stable.push(part.trim());
+  }
+  return stable.join(": ") || parts[0].replace(/\d+/g, "#").trim();
+}
+
+// 64-bit FNV-1a, hex. Stable across browsers and sessions.
+function fnv1a64(text) {
+  let h = 0xcbf29ce484222325n;
+  for (const byte of new TextEncoder().encode(text)) {
+    h ^= BigInt(byte);
+    h = (h * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  return h.toString(16).padStart(16, "0");
+}
+
+/**
+ * The normalised stack of an event, innermost first: the kernel RIP
+ * function, then the reliable trace frames, without clone suffixes,
+ * offsets or exception plumbing.
+ * @returns {{rip: Object|null, frames: {symbol: string, module: string|null}[]}}
+ */
+export function normalizedStack(event) {
+  // A user-space RIP (syscall entry) is where the task was, not the crash.
+  const rip = (event.registerDumps || []).find((d) => !d.user && d.rip?.symbol)?.rip || null;
+  const ripSymbol = rip ? baseSymbol(rip.symbol) : null;
+  const frames = event.frames
+    .filter((f) => !f.unreliable && !/^0x/.test(f.symbol))
+    .map((f) => ({ symbol: baseSymbol(f.symbol), module: f.module }))
+    .filter((f) => !PLUMBING_RE.test(f.symbol) && f.symbol !== ripSymbol);
+  return { rip: rip && { ...rip, symbol: ripSymbol }, frames };
+}
+
+/**
+ * @typedef {Object} CrashSignature
+ * @property {string} id     12 hex digits, the thing to compare and paste
+ * @property {string} text   the normalised signature the id is a hash of
+ * @property {{headline: string, rip: string|null, frames: string[], module: string|null}} parts
+ */
+
+/**
+ * Fingerprint a CrashEvent. Returns null when there is nothing stable to
+ * fingerprint (no headline, no kernel RIP and no trace).
+ * @returns {CrashSignature|null}
+ */
+export function fingerprintCrash(event) {
+  if (!event) return null;
+  const stack = normalizedStack(event);
+  const rip = stack.rip;
+  const frames = stack.frames.slice(0, TOP_FRAMES);
+  const module = rip?.module || frames.find((f) => f.module)?.module || event.workqueue?.module || null;
+  const headline = headlineClass(event.headline) || event.kind || "";
+  if (!headline && !rip && frames.length === 0) return null;
+
+  const parts = {
+    headline,
+    rip: rip ? rip.symbol : null,
+    frames: frames.map((f) => f.symbol),
+    module,
+  };
+  const text = [
+    parts.headline || "-",
+    parts.rip || "-",
+    parts.frames.join(" < ") || "-",
+    parts.module || "vmlinux",
+  ].join(" | ");
+  return { id: fnv1a64(text).slice(0, 12), text, parts };
+}
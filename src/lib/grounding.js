@@ -0,0 +1,137 @@
+// ─── Grounding check ───
+//
+// The model is told to cite frames and register values from the log, but
+// nothing stops it from citing ones that aren't there. This compares what
+// the report claims against the parsed CrashEvent: every annotated frame
+// against the call trace and RIP, every register value quoted in the text
+// against the register dumps. The score is the share of checks that hold.
+
+/**
+ * @typedef {Object} FrameCheck
+ * @property {"exact"|"offset"|"invented"} status
+ *   exact: symbol and offset as in the log (offset may be omitted);
+ *   offset: the function is in the log at a different offset;
+ *   invented: no such function in the call trace or RIP
+ * @property {string|null} logged  the matching frame as printed, for offset mismatches
+ * @property {number|null} line    index into the parsed lines
+ *
+ * @typedef {Object} RegisterClaim
+ * @property {string} field      report field the value was quoted in
+ * @property {number} index      position of the quote in that field
+ * @property {string} text       the quote, e.g. "RAX=0x0"
+ * @property {string} register
+ * @property {string|null} actual  the value in the dump, null if it has none
+ * @property {boolean} ok
+ *
+ * @typedef {Object} Grounding
+ * @property {FrameCheck[]} frames   one per annotated_trace entry
+ * @property {Object[]} missing      reliable TraceFrames no annotation covers
+ * @property {RegisterClaim[]} registers
+ * @property {number|null} score     0..100, null with nothing to check
+ */
+
+// "? ext4_get_tree+0x1e/0x30 [ext4]", "RIP: 0010:ext4_fill_super+0x1a3f",
+// "vfs_get_tree()" — whatever the model wrote, down to symbol and offset.
+const FUNC_RE = /^(?:RIP:\s*)?(?:[0-9a-f]{4}:)?(?:\?\s*)?([\w.$]+)(?:\(\))?(?:\+0x([0-9a-f]+))?/i;
+
+// "RAX: 0000000000000000", "RAX=0x0", "RDI is 0xffff8881a3c00000",
+// "%rdx (0xffff8881b2e04000)", "RSP: 0018:ffffc90002b47c38". Bare hex needs 4+ characters and a digit, so
+// "RSI is dead" isn't one.
+const REGISTER_CLAIM_RE =
+  /%?\b(R[A-D]X|R[SD]I|R[BS]P|R(?:8|9|1[0-5])|CR[0234]|EFLAGS)\b\s*(?:[:=(]|\bis\b|\bwas\b|\bholds\b|\bcontains\b|\bof\b)?\s*(?:[0-9a-f]{4}:)?(?:0x([0-9a-f]+)\b|(?=[0-9a-f]*\d)([0-9a-f]{4,16})\b)/gi;
+
+// The report fields that discuss the crash in prose.
+const PROSE_FIELDS = ["root_cause", "detailed_analysis", "probable_trigger"];
+
+const sameValue = (a, b) => BigInt(`0x${a}`) === BigInt(`0x${b}`);
+
+/**
+ * Symbol and offset of an annotated_trace `func`, null if it names none.
+ * @returns {{symbol: string, offset: number|null}|null}
+ */
+export function parseFrameRef(func) {
+  const m = FUNC_RE.exec(String(func ?? "").trim());
+  return m && { symbol: m[1], offset: m[2] == null ? null : parseInt(m[2], 16) };
+}
+
+function checkFrame(func, known) {
+  const ref = parseFrameRef(func);
+  const candidates = ref ? known.filter((k) => k.symbol === ref.symbol) : [];
+  if (!candidates.length) return { status: "invented", logged: null, line: null };
+  const { offset } = ref;
+  const hit = offset == null ? candidates[0] : candidates.find((k) => k.offset === offset);
+  if (hit) return { status: "exact", logged: null, line: hit.line };
+  return { status: "offset", logged: candidates[0].raw, line: candidates[0].line };
+}
+
+/**
+ * Register values quoted in the report's prose.
+ * @returns {RegisterClaim[]}
+ */
+export function registerClaims(report, event) {
+  const dumps = event.registerDumps?.length ? event.registerDumps : [{ registers: event.registers }];
+  const claims = [];
+  for (const field of PROSE_FIELDS) {
+    for (const m of String(report[field] ?? "").matchAll(REGISTER_CLAIM_RE)) {
+      const register = m[1].toUpperCase();
+      const values = dumps.map((d) => d.registers[register]).filter(Boolean);
+      // A value any dump has counts: the text may be about the user-space one.
+      const actual = values.find((v) => sameValue(v, m[2] ?? m[3])) ?? values[0] ?? null;
+      claims.push({
+        field,
+        index: m.index,
+        text: m[0],
+        register,
+        actual,
+        ok: actual != null && sameValue(actual, m[2] ?? m[3]),
+      });
+    }
+  }
+  return claims;
+}
+
+/**
+ * @param {Object} report   AnalysisReport
+ * @param {Object} event    the CrashEvent the report was produced from
+ * @returns {Grounding}
+ */
+export function checkGrounding(report, event) {
+  const known = [
+    ...(event.registerDumps || []).filter((d) => d.rip?.symbol).map((d) => ({ ...d.rip, line: d.line })),
+    ...event.frames,
+  ];
+  const trace = report.annotated_trace || [];
+  const frames = trace.map((f) => checkFrame(f.func, known));
+
+  const annotated = new Set(trace.map((f) => parseFrameRef(f.func)?.symbol).filter(Boolean));
+  const missing = event.frames.filter((f) => !f.unreliable && !annotated.has(f.symbol));
+
+  const registers = registerClaims(report, event);
+
+  const points =
+    frames.reduce((sum, f) => sum + (f.status === "exact" ? 1 : f.status === "offset" ? 0.5 : 0), 0) +
+    registers.filter((r) => r.ok).length;
+  const checks = frames.length + missing.length + registers.length;
+  return {
+    frames,
+    missing,
+    registers,
+    score: checks ? Math.round((points / checks) * 100) : null,
+  };
+}
+
+/** "3/5 frames match the log, 1 invented, 3 missing; 3/5 register values match the dump" */
+export function describeGrounding(g) {
+  const count = (status) => g.frames.filter((f) => f.status === status).length;
+  const [exact, offset, invented] = [count("exact"), count("offset"), count("invented")];
+  const frames = [
+    g.frames.length && `${exact}/${g.frames.length} frames match the log`,
+    offset && `${offset} at the wrong offset`,
+    invented && `${invented} invented`,
+    g.missing.length && `${g.missing.length} missing`,
+  ].filter(Boolean);
+  const registers = g.registers.length
+    ? `${g.registers.filter((r) => r.ok).length}/${g.registers.length} register values match the dump`
+    : null;
+  return [frames.join(", "), registers].filter(Boolean).join("; ") || "nothing to check";
+}
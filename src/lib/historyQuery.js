@@ -0,0 +1,119 @@
+// ─── History search / filter / sort ───
+
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+
+export const HISTORY_SORTS = {
+  newest: { label: "Newest first", compare: (a, b) => b.createdAt - a.createdAt },
+  oldest: { label: "Oldest first", compare: (a, b) => a.createdAt - b.createdAt },
+  severity: {
+    label: "Severity",
+    compare: (a, b) =>
+      rank(a.severity) - rank(b.severity) || b.createdAt - a.createdAt,
+  },
+  crash_type: {
+    label: "Crash type",
+    compare: (a, b) =>
+      (a.crash_type || "").localeCompare(b.crash_type || "") || b.createdAt - a.createdAt,
+  },
+};
+
+export const EMPTY_HISTORY_FILTERS = {
+  text: "",
+  crash_type: "",
+  severity: "",
+  subsystem: "",
+  kernel: "",
+  host: "",
+  from: "",
+  to: "",
+  sort: "newest",
+};
+
+function rank(severity) {
+  const i = SEVERITY_ORDER.indexOf(severity);
+  return i < 0 ? SEVERITY_ORDER.length : i;
+}
+
+/** Distinct values per filterable field, for the filter dropdowns. */
+export function historyFacets(entries) {
+  const distinct = (values) =>
+    [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    crash_type: distinct(entries.map((e) => e.crash_type)),
+    severity: distinct(entries.map((e) => e.severity)).sort((a, b) => rank(a) - rank(b)),
+    subsystem: distinct(entries.map((e) => e.subsystem)),
+    kernel: distinct(entries.map((e) => e.kernel)),
+    host: distinct(entries.flatMap((e) => e.hosts || [])),
+  };
+}
+
+// Everything free-text search looks at, lowercased once per entry.
+function haystack(e) {
+  const r = e.report || {};
+  const ev = e.crashEvent || {};
+  return [
+    e.crash_type,
+    e.subsystem,
+    e.kernel,
+    e.distro,
+    e.flavour,
+    e.headline,
+    e.signature?.id,
+    e.signature?.text,
+    ...(e.hosts || []),
+    e.input?.context,
+    r.root_cause,
+    r.probable_trigger,
+    r.detailed_analysis,
+    ev.comm,
+    ev.rip?.symbol,
+    ev.rip?.module,
+    ...(ev.frames || []).map((f) => f.symbol),
+  ]
+    .filter(Boolean)
+    .join("\n")
+    .toLowerCase();
+}
+
+const matchesAll = (text, terms) => terms.every((t) => text.includes(t));
+
+// <input type="date"> values are local calendar days.
+const dayStart = (s) => new Date(`${s}T00:00:00`).getTime();
+
+/**
+ * Apply the History tab filters. `text` matches every whitespace-separated
+ * term anywhere in the entry (report, headline, hosts, trace symbols...).
+ */
+export function filterHistory(entries, filters) {
+  const f = { ...EMPTY_HISTORY_FILTERS, ...filters };
+  const terms = f.text.toLowerCase().split(/\s+/).filter(Boolean);
+  const from = f.from ? dayStart(f.from) : -Infinity;
+  const to = f.to ? dayStart(f.to) + 24 * 3600 * 1000 : Infinity;
+  return entries
+    .filter(
+      (e) =>
+        (!f.crash_type || e.crash_type === f.crash_type) &&
+        (!f.severity || e.severity === f.severity) &&
+        (!f.subsystem || e.subsystem === f.subsystem) &&
+        (!f.kernel || e.kernel === f.kernel) &&
+        (!f.host || (e.hosts || []).includes(f.host)) &&
+        e.createdAt >= from &&
+        e.createdAt < to &&
+        (terms.length === 0 || matchesAll(haystack(e), terms))
+    )
+    .sort((HISTORY_SORTS[f.sort] || HISTORY_SORTS.newest).compare);
+}
+
+/**
+ * Earlier analyses of the same crash signature.
+ * @returns {{count: number, first: Object, last: Object}|null} `last` is the
+ *   most recent entry (the report to offer), `first` the oldest
+ */
+export function findDuplicates(entries, signature) {
+  if (!signature) return null;
+  const same = entries
+    .filter((e) => e.signature?.id === signature.id)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  if (same.length === 0) return null;
+  return { count: same.length, first: same[0], last: same[same.length - 1] };
+}
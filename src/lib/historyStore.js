@@ -0,0 +1,116 @@
+// ─── Persistent analysis history (IndexedDB) ───
+//
+// Every analysis is kept with everything needed to reopen it: the report,
+// the log segment that was sent, the form inputs and the parsed CrashEvent.
+// One object store keyed by id; records are plain structured-cloneable data.
+
+const DB_NAME = "kernel-crash-analyzer";
+const DB_VERSION = 1;
+const STORE = "analyses";
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id          creation time in ms, also the key
+ * @property {number} createdAt
+ * @property {string} crash_type
+ * @property {string} severity
+ * @property {string} subsystem
+ * @property {string} engine      "llm" | "rules"
+ * @property {string} kernel      effective kernel release, "unknown" if none
+ * @property {string} distro
+ * @property {string|null} flavour
+ * @property {string[]} hosts
+ * @property {string|null} headline
+ * @property {import("./fingerprint.js").CrashSignature|null} signature
+ * @property {{key: string, url: string}|null} [jira] the ticket filed from this report
+ * @property {Object} report      the AnalysisReport as displayed
+ * @property {string} log         raw text of the analyzed scope
+ * @property {{kernelVersion: string|null, distro: string|null, context: string, scope: string}} input
+ * @property {Object|null} crashEvent parsed facts, null when the parser found none
+ */
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("createdAt", "createdAt");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry (e.g. after the user allows storage).
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request in its own transaction; resolves once it has committed.
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History transaction aborted"));
+  });
+}
+
+/** All entries, newest first. */
+export async function loadHistory() {
+  const entries = await withStore("readonly", (store) => store.getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/** @param {HistoryEntry} entry */
+export function saveAnalysis(entry) {
+  return withStore("readwrite", (store) => store.put(entry));
+}
+
+export function deleteAnalysis(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+// ─── Entries from outside this browser ───
+
+const str = (v) => (typeof v === "string" ? v : null);
+const isHttpUrl = (v) => typeof v === "string" && /^https?:\/\//i.test(v);
+
+/**
+ * The metadata fields of a HistoryEntry — or of an export's `analysis`,
+ * which uses the same names — with anything of the wrong shape dropped.
+ * Imports and shared links can carry anything, and the history list
+ * renders these fields as text. `engine` and `headline` are null when
+ * missing so the caller can pick a fallback; `jira` is null when absent
+ * or malformed.
+ */
+export function validateEntryMeta(meta) {
+  const m = meta && typeof meta === "object" ? meta : {};
+  const { jira, input, signature } = m;
+  return {
+    kernel: str(m.kernel) || "unknown",
+    distro: str(m.distro) || "",
+    flavour: str(m.flavour),
+    engine: str(m.engine),
+    hosts: Array.isArray(m.hosts) ? m.hosts.filter((h) => typeof h === "string") : [],
+    headline: str(m.headline),
+    signature: typeof signature?.id === "string" && typeof signature.text === "string" ? signature : null,
+    jira: str(jira?.key) && isHttpUrl(jira.url) ? { key: jira.key, url: jira.url } : null,
+    input: {
+      kernelVersion: str(input?.kernelVersion),
+      distro: str(input?.distro),
+      context: str(input?.context) ?? "",
+      scope: str(input?.scope) ?? "Imported report",
+    },
+  };
+}
@@ -0,0 +1,315 @@
+// ─── Jira ticket creation ───
+//
+// Builds a Jira issue from an analysis: project and issue type from the
+// saved settings, components mapped from affected_subsystem, priority from
+// severity, and a description rendered either as wiki markup (REST API v2,
+// Jira Server / Data Center) or as ADF (REST API v3, Jira Cloud). The
+// backend forwards the fields to JIRA_BASE_URL and attaches the log.
+
+import { formatSymbol } from "./crashEvent.js";
+import { normalizedStack } from "./fingerprint.js";
+
+const STORAGE_KEY = "kernel-crash-analyzer.jira";
+const SUMMARY_MAX = 255;
+const EXCERPT_LINES = 60;
+
+/**
+ * @typedef {Object} JiraConfig
+ * @property {string} projectKey
+ * @property {string} issueType
+ * @property {2|3} apiVersion        2: wiki markup, 3: Atlassian Document Format
+ * @property {Object<string, string>} priorities   severity → Jira priority name ("" leaves it unset)
+ * @property {string} componentRules  one "term, term => Component" rule per line
+ * @property {string} labels          space-separated
+ */
+
+/** @type {JiraConfig} */
+export const DEFAULT_JIRA_CONFIG = {
+  projectKey: "",
+  issueType: "Bug",
+  apiVersion: 2,
+  priorities: { critical: "Highest", high: "High", medium: "Medium", low: "Low" },
+  componentRules: [
+    "filesystem, ext4, xfs, btrfs, nfs, vfs => Filesystems",
+    "network, net, tcp, mlx5, ixgbe, i40e => Networking",
+    "gpu, drm, amdgpu, i915, nouveau, nvidia => Graphics",
+    "memory, mm, oom, slab, page allocator => Memory Management",
+    "block, storage, nvme, scsi, dm => Storage",
+    "scheduler, sched, rcu, lockup, workqueue => Core Kernel",
+  ].join("\n"),
+  labels: "kernel-crash",
+};
+
+export function loadJiraConfig() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      ...DEFAULT_JIRA_CONFIG,
+      ...stored,
+      priorities: { ...DEFAULT_JIRA_CONFIG.priorities, ...stored.priorities },
+    };
+  } catch {
+    return DEFAULT_JIRA_CONFIG;
+  }
+}
+
+export function saveJiraConfig(config) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch {
+    // Private mode / quota: the settings last for this session only.
+  }
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Components whose rule matches the subsystem. A term matches at the start
+ * of a word, case-insensitively: "net" matches "net/ipv4" and "networking"
+ * but not "ethernet".
+ */
+export function mapComponents(subsystem, rules) {
+  if (!subsystem) return [];
+  const matched = [];
+  for (const line of rules.split("\n")) {
+    const [terms, component] = line.split("=>").map((s) => s?.trim());
+    if (!terms || !component || matched.includes(component)) continue;
+    const hit = terms
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean)
+      .some((t) => new RegExp(`(^|[^a-z0-9])${escapeRegExp(t)}`, "i").test(subsystem));
+    if (hit) matched.push(component);
+  }
+  return matched;
+}
+
+// The kernel function the crash happened in: the kernel RIP, else the top
+// reliable frame.
+function crashSite(crashEvent) {
+  if (!crashEvent) return null;
+  const { rip, frames } = normalizedStack(crashEvent);
+  const site = rip || frames[0];
+  if (!site) return crashEvent.rip ? formatSymbol(crashEvent.rip) : null;
+  return site.module ? `${site.symbol} [${site.module}]` : site.symbol;
+}
+
+/** "Oops in ext4_mb_generate_buddy [ext4]", capped at Jira's 255 characters. */
+export function jiraSummary(report, crashEvent) {
+  const site = crashSite(crashEvent);
+  const summary = site
+    ? `${report.crash_type} in ${site}`
+    : `${report.crash_type}: ${report.affected_subsystem}`;
+  return summary.length > SUMMARY_MAX ? `${summary.slice(0, SUMMARY_MAX - 1)}…` : summary;
+}
+
+export function logFileName(entry) {
+  const host = (entry.hosts?.[0] || "host").replace(/[^\w.-]/g, "_");
+  return `crash_${host}_${new Date(entry.createdAt).toISOString().slice(0, 10)}.log`;
+}
+
+/**
+ * The editable part of a ticket, prefilled from the analysis and settings.
+ * @returns {{summary: string, issueType: string, priority: string, components: string, labels: string, notes: string}}
+ */
+export function jiraDraft({ report, crashEvent, config }) {
+  return {
+    summary: jiraSummary(report, crashEvent),
+    issueType: config.issueType,
+    priority: config.priorities[report.severity] || "",
+    components: mapComponents(report.affected_subsystem, config.componentRules).join(", "),
+    labels: config.labels,
+    notes: "",
+  };
+}
+
+// ─── Description ───
+//
+// One block list, rendered to either markup. Blocks:
+//   {type: "heading", text} | {type: "paragraph", text}
+//   {type: "fields", rows: [label, value][]} | {type: "list", ordered, items}
+//   {type: "code", text} | {type: "expand", title, blocks}
+
+function descriptionBlocks({ report, entry, notes }) {
+  const log = entry?.log ? entry.log.split("\n") : [];
+  const excerpt = log.slice(0, EXCERPT_LINES).join("\n");
+  const trace = (report.annotated_trace || []).map((f) => `${f.func}  — ${f.note}`).join("\n");
+
+  return [
+    notes.trim() && { type: "paragraph", text: notes.trim() },
+    {
+      type: "fields",
+      rows: [
+        ["Crash type", report.crash_type],
+        ["Severity", report.severity],
+        [
+          "Confidence",
+          report.confidence != null &&
+            `${report.confidence}%${report.engine === "rules" ? " (rule-based analysis)" : ""}`,
+        ],
+        ["Affected subsystem", report.affected_subsystem],
+        ["Host", entry?.hosts?.join(", ")],
+        ["Kernel", [entry?.kernel, entry?.distro].filter(Boolean).join(" · ")],
+        ["Signature", entry?.signature && `${entry.signature.id} (${entry.signature.text})`],
+      ].filter(([, v]) => v),
+    },
+    { type: "heading", text: "Root cause" },
+    { type: "paragraph", text: report.root_cause },
+    { type: "heading", text: "Probable trigger" },
+    { type: "paragraph", text: report.probable_trigger },
+    report.suggested_fixes?.length > 0 && { type: "heading", text: "Suggested fixes" },
+    report.suggested_fixes?.length > 0 && {
+      type: "list",
+      ordered: true,
+      items: report.suggested_fixes,
+    },
+    report.detailed_analysis && { type: "heading", text: "Detailed analysis" },
+    ...(report.detailed_analysis || "")
+      .split(/\n\s*\n/)
+      .filter((p) => p.trim())
+      .map((p) => ({ type: "paragraph", text: p.trim() })),
+    trace && { type: "heading", text: "Annotated call trace" },
+    trace && { type: "code", text: trace },
+    report.related_issues?.length > 0 && { type: "heading", text: "Related known issues" },
+    report.related_issues?.length > 0 && {
+      type: "list",
+      ordered: false,
+      items: report.related_issues.map((r) => `${r.id} — ${r.title}`),
+    },
+    excerpt && {
+      type: "expand",
+      title: `Log excerpt (${Math.min(log.length, EXCERPT_LINES)} of ${log.length} lines)`,
+      blocks: [
+        { type: "code", text: excerpt },
+        { type: "paragraph", text: `Full log attached as ${logFileName(entry)}.` },
+      ],
+    },
+  ].filter(Boolean);
+}
+
+// Characters that start wiki formatting; backslash-escaped in plain text.
+const wikiText = (s) => String(s ?? "").replace(/([\\{}[\]|*_^~+?!#-])/g, "\\$1");
+// {noformat} ends at the next "{noformat}" whatever it contains.
+const wikiCode = (s) => `{noformat}\n${s.replace(/\{noformat\}/g, "{ noformat}")}\n{noformat}`;
+
+function toWiki(blocks) {
+  return blocks
+    .map((b) => {
+      switch (b.type) {
+        case "heading":
+          return `h3. ${wikiText(b.text)}`;
+        case "fields":
+          return b.rows.map(([k, v]) => `*${wikiText(k)}:* ${wikiText(v)}`).join("\n");
+        case "list":
+          return b.items.map((i) => `${b.ordered ? "#" : "*"} ${wikiText(i)}`).join("\n");
+        case "code":
+          return wikiCode(b.text);
+        case "expand":
+          // Wiki markup has no collapsible block; a titled panel is the closest.
+          return `{panel:title=${b.title.replace(/[|}]/g, "")}}\n${toWiki(b.blocks)}\n{panel}`;
+        default:
+          return wikiText(b.text);
+      }
+    })
+    .join("\n\n");
+}
+
+const adfText = (text, marks) => ({ type: "text", text: String(text), ...(marks && { marks }) });
+const adfParagraph = (...content) => ({
+  type: "paragraph",
+  content: content.filter((c) => c.text),
+});
+
+function toAdfNodes(blocks) {
+  return blocks.flatMap((b) => {
+    switch (b.type) {
+      case "heading":
+        return { type: "heading", attrs: { level: 3 }, content: [adfText(b.text)] };
+      case "fields":
+        return b.rows.map(([k, v]) =>
+          adfParagraph(adfText(`${k}: `, [{ type: "strong" }]), adfText(v))
+        );
+      case "list":
+        return {
+          type: b.ordered ? "orderedList" : "bulletList",
+          content: b.items.map((i) => ({ type: "listItem", content: [adfParagraph(adfText(i))] })),
+        };
+      case "code":
+        return { type: "codeBlock", attrs: {}, content: b.text ? [adfText(b.text)] : [] };
+      case "expand":
+        return { type: "expand", attrs: { title: b.title }, content: toAdfNodes(b.blocks) };
+      default:
+        return adfParagraph(adfText(b.text));
+    }
+  });
+}
+
+/**
+ * The issue description in the configured markup: a wiki string for API
+ * v2, an ADF document for v3.
+ */
+export function jiraDescription({ report, entry, notes, apiVersion }) {
+  const blocks = descriptionBlocks({ report, entry, notes });
+  return apiVersion === 3
+    ? { version: 1, type: "doc", content: toAdfNodes(blocks) }
+    : toWiki(blocks);
+}
+
+const splitList = (s, sep) =>
+  s
+    .split(sep)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/** The create-issue request for the backend proxy. */
+export function jiraIssueRequest({ draft, config, report, entry }) {
+  const components = splitList(draft.components, ",");
+  const labels = splitList(draft.labels, /\s+/);
+  return {
+    api_version: config.apiVersion,
+    fields: {
+      project: { key: config.projectKey.trim() },
+      issuetype: { name: draft.issueType.trim() },
+      summary: draft.summary.trim(),
+      description: jiraDescription({
+        report,
+        entry,
+        notes: draft.notes,
+        apiVersion: config.apiVersion,
+      }),
+      // Optional fields are left out rather than sent empty: projects whose
+      // screens lack them reject the request.
+      ...(draft.priority.trim() && { priority: { name: draft.priority.trim() } }),
+      ...(components.length > 0 && { components: components.map((name) => ({ name })) }),
+      ...(labels.length > 0 && { labels }),
+    },
+    attachment: entry?.log ? { filename: logFileName(entry), content: entry.log } : null,
+  };
+}
+
+/** Whether the backend has JIRA_BASE_URL set; null when it can't be reached. */
+export async function fetchJiraStatus(apiUrl) {
+  try {
+    const response = await fetch(`${apiUrl}/jira/config`);
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the issue through the backend.
+ * @returns {Promise<{key: string, id: string, url: string, attachment_error: string|null}>}
+ */
+export async function createJiraIssue(apiUrl, request) {
+  const response = await fetch(`${apiUrl}/jira/issue`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+  });
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    throw new Error(errData.detail || `Server returned ${response.status}`);
+  }
+  return response.json();
+}
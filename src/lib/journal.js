@@ -0,0 +1,226 @@
+// ─── journalctl -o json / -o export importer ───
+//
+// Hosts that only give us `journalctl -k -b -1 -o json` (or `-o export`)
+// produce one JSON object / field block per message. We pull out the fields
+// that matter, keep only kernel-transport entries, group them per boot and
+// rebuild a plain kernel log that the prefix parser and segmenter already
+// understand:
+//
+//   -- Boot 1f2e3d... --
+//   <4>2024-12-15T16:53:42.094691Z NCLIM014 kernel: [   13.094691] RIP: ...
+
+const FIELD_RE = /^[A-Z_][A-Z0-9_]*=/;
+const NL = 0x0a;
+
+// ─── Detection ───
+
+// Skips leading whitespace and the RS (0x1e) separators of -o json-seq.
+function firstNonBlank(text) {
+  let i = 0;
+  while (i < text.length && (text[i] === "\x1e" || text[i].trim() === "")) i++;
+  return text.slice(i, i + 4096);
+}
+
+/** "json" (json, json-pretty, json-seq), "export", or null. */
+export function detectJournalFormat(text) {
+  const head = firstNonBlank(text);
+  if (head.startsWith("{")) {
+    return /"(__REALTIME_TIMESTAMP|_BOOT_ID|MESSAGE)"\s*:/.test(head) ? "json" : null;
+  }
+  if (FIELD_RE.test(head) && /^(__REALTIME_TIMESTAMP|_BOOT_ID|MESSAGE)[=\n]/m.test(head)) {
+    return "export";
+  }
+  return null;
+}
+
+/** True when raw (possibly binary) bytes are a journal export stream. */
+export function isJournalExportBytes(bytes) {
+  const head = new TextDecoder("latin1").decode(bytes.subarray(0, 4096));
+  return detectJournalFormat(head) === "export";
+}
+
+// ─── Parsing ───
+
+// Split concatenated top-level JSON objects. Handles one object per line
+// (-o json), pretty-printed objects (-o json-pretty) and RS-separated
+// records (-o json-seq) alike.
+function splitJsonObjects(text) {
+  const out = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (c === "\\") i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === "{") {
+      if (depth++ === 0) start = i;
+    } else if (c === "}" && depth > 0 && --depth === 0) {
+      out.push(text.slice(start, i + 1));
+    }
+  }
+  return out;
+}
+
+// MESSAGE is a string, or an array of byte values when it isn't valid UTF-8.
+function fieldText(value) {
+  if (value == null) return "";
+  if (Array.isArray(value)) return new TextDecoder().decode(new Uint8Array(value));
+  return String(value);
+}
+
+function toEntry(fields) {
+  return {
+    message: fieldText(fields.MESSAGE),
+    hostname: fieldText(fields._HOSTNAME) || null,
+    realtime: fields.__REALTIME_TIMESTAMP ? Number(fields.__REALTIME_TIMESTAMP) : null,
+    monotonic: fields.__MONOTONIC_TIMESTAMP ? Number(fields.__MONOTONIC_TIMESTAMP) : null,
+    bootId: fieldText(fields._BOOT_ID) || null,
+    priority: fields.PRIORITY != null ? Number(fieldText(fields.PRIORITY)) : null,
+    facility: fields.SYSLOG_FACILITY != null ? Number(fieldText(fields.SYSLOG_FACILITY)) : null,
+    transport: fieldText(fields._TRANSPORT) || null,
+    identifier: fieldText(fields.SYSLOG_IDENTIFIER) || fieldText(fields._COMM) || null,
+    pid: fieldText(fields._PID) || null,
+  };
+}
+
+/** Parse `journalctl -o json` text into entries. Malformed records are skipped. */
+export function parseJournalJson(text) {
+  const entries = [];
+  for (const chunk of splitJsonObjects(text)) {
+    try {
+      entries.push(toEntry(JSON.parse(chunk)));
+    } catch {
+      // A truncated last line is common when copying out of a terminal.
+    }
+  }
+  return entries;
+}
+
+/**
+ * Parse the journal export format. Text fields are `KEY=value\n`; binary
+ * fields are `KEY\n` + 64-bit little-endian length + raw bytes + `\n`.
+ * Entries are separated by an empty line.
+ */
+export function parseJournalExport(bytes) {
+  const decoder = new TextDecoder();
+  const entries = [];
+  let fields = {};
+  let i = 0;
+
+  const flush = () => {
+    if (Object.keys(fields).length) entries.push(toEntry(fields));
+    fields = {};
+  };
+
+  while (i < bytes.length) {
+    if (bytes[i] === NL) {
+      flush();
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < bytes.length && bytes[j] !== NL && bytes[j] !== 0x3d) j++;
+    const key = decoder.decode(bytes.subarray(i, j));
+    if (bytes[j] === 0x3d) {
+      let end = bytes.indexOf(NL, j + 1);
+      if (end === -1) end = bytes.length;
+      fields[key] = decoder.decode(bytes.subarray(j + 1, end));
+      i = end + 1;
+    } else {
+      const lenStart = j + 1;
+      if (lenStart + 8 > bytes.length) break;
+      const view = new DataView(bytes.buffer, bytes.byteOffset + lenStart, 8);
+      const len = Number(view.getBigUint64(0, true));
+      const dataStart = lenStart + 8;
+      fields[key] = decoder.decode(bytes.subarray(dataStart, dataStart + len));
+      i = dataStart + len + 1;
+    }
+  }
+  flush();
+  return entries;
+}
+
+// ─── Reconstruction ───
+
+function isoMicros(usec) {
+  const iso = new Date(Math.floor(usec / 1000)).toISOString();
+  return iso.replace(/Z$/, `${String(usec % 1000).padStart(3, "0")}Z`);
+}
+
+function formatEntry(e) {
+  const time = e.realtime != null ? isoMicros(e.realtime) : "1970-01-01T00:00:00.000000Z";
+  const host = e.hostname || "localhost";
+  const proc = e.transport === "kernel" ? "kernel" : e.identifier || "unknown";
+  const pid = e.transport !== "kernel" && e.pid ? `[${e.pid}]` : "";
+  const uptime =
+    e.monotonic != null ? `[${(e.monotonic / 1e6).toFixed(6).padStart(12)}] ` : "";
+  // rsyslog's forward format: <PRI> in front of the RFC 3339 timestamp.
+  // Kernel messages are facility 0; anything else defaults to user (1).
+  const facility = e.facility ?? (e.transport === "kernel" ? 0 : 1);
+  const pri = Number.isInteger(e.priority) ? `<${facility * 8 + e.priority}>` : "";
+  return e.message
+    .split("\n")
+    .map((msg) => `${pri}${time} ${host} ${proc}${pid}: ${uptime}${msg}`);
+}
+
+/**
+ * Rebuild a kernel log from journal entries, grouped per boot in the order
+ * the boots happened. Falls back to every entry when none came from the
+ * kernel transport (e.g. an export of a single unit).
+ */
+export function rebuildJournalLog(entries) {
+  const kernel = entries.filter((e) => e.transport === "kernel");
+  const picked = kernel.length ? kernel : entries;
+
+  const boots = new Map();
+  for (const e of picked) {
+    const id = e.bootId || "unknown";
+    if (!boots.has(id)) {
+      boots.set(id, { bootId: id, hosts: [], entries: [], first: null, last: null });
+    }
+    const boot = boots.get(id);
+    boot.entries.push(e);
+    if (e.hostname && !boot.hosts.includes(e.hostname)) boot.hosts.push(e.hostname);
+    if (e.realtime != null) {
+      boot.first = boot.first == null ? e.realtime : Math.min(boot.first, e.realtime);
+      boot.last = boot.last == null ? e.realtime : Math.max(boot.last, e.realtime);
+    }
+  }
+
+  const ordered = [...boots.values()].sort((a, b) => (a.first ?? 0) - (b.first ?? 0));
+  const lines = [];
+  for (const boot of ordered) {
+    lines.push(`-- Boot ${boot.bootId} --`);
+    for (const e of boot.entries) lines.push(...formatEntry(e));
+  }
+
+  return {
+    text: lines.join("\n"),
+    boots: ordered.map(({ entries: bootEntries, ...boot }) => ({
+      ...boot,
+      count: bootEntries.length,
+    })),
+    totalEntries: entries.length,
+    kernelEntries: kernel.length,
+  };
+}
+
+/**
+ * Convert journal input to a kernel log if it is one. `bytes` (when the
+ * input came from a file) makes the export format binary-safe; pasted text
+ * is re-encoded. Returns null for anything that isn't a journal dump.
+ */
+export function importJournal(text, bytes = null) {
+  const format = detectJournalFormat(text);
+  if (!format) return null;
+  const entries =
+    format === "json"
+      ? parseJournalJson(text)
+      : parseJournalExport(bytes || new TextEncoder().encode(text));
+  if (!entries.length) return null;
+  return { format, ...rebuildJournalLog(entries) };
+}
@@ -0,0 +1,125 @@
+// ─── Kernel release / distro detection ───
+//
+// Fills the optional "Kernel Version" and "Distribution" fields from the log
+// itself: the release printed on the oops "CPU: ... Tainted: ..." line or the
+// "Linux version" boot banner, mapped to a distro by its release suffix and
+// the build string (#45-Ubuntu, "Debian 6.1.69-1", compiler vendor, ...).
+
+import { normalizeLog } from "./prefix.js";
+
+const CPU_LINE_RE =
+  /^CPU: \d+ (?:UID: \d+ )?PID: \d+ Comm: \S+.*?(?:Not tainted|Tainted: [A-Z ]*[A-Z])\s+(\d+\.\d+\S*)(?:\s+(#.*))?$/;
+const BANNER_RE = /^Linux version (\d+\.\d+\S*) (.*)$/;
+
+const isSuseBuild = (release) => /-\d{6}\.\d+/.test(release);
+
+// Checked in order; the first match wins. `distro` must be one of the
+// DISTROS options in the form (or "Other").
+const RELEASE_RULES = [
+  {
+    re: /\.el(\d+)(?:_(\d+))?(uek)?\.(?:x86_64|aarch64|ppc64le|s390x)(?:\+(\w+))?$/,
+    distro: "RHEL / CentOS",
+    flavour: (m) =>
+      `${m[3] ? "Oracle UEK " : ""}EL${m[1]}${m[2] ? `.${m[2]}` : ""}${m[4] ? ` ${m[4]}` : ""}`,
+  },
+  {
+    re: /\.fc(\d+)\.(?:x86_64|aarch64)$/,
+    distro: "Fedora",
+    flavour: (m) => `Fedora ${m[1]}`,
+  },
+  {
+    re: /\.amzn(\d+)\.(?:x86_64|aarch64)$/,
+    distro: "Other",
+    flavour: (m) => `Amazon Linux ${m[1]}`,
+  },
+  {
+    re: /-\d+(?:\.\d+)*-(default|azure|preempt|rt|64kb)$/,
+    distro: "SUSE / openSUSE",
+    flavour: (m) => m[1],
+    // "6.8.0-1014-azure" is Ubuntu; SUSE builds look like "-150500.55.39-azure".
+    when: (release, build) => isSuseBuild(release) || !/Ubuntu/.test(build),
+  },
+  {
+    re: /-\d+-(generic(?:-64k|-lpae)?|lowlatency|aws|azure|gcp|gke|oracle|kvm|raspi|ibm|nvidia)$/,
+    distro: "Ubuntu",
+    flavour: (m) => m[1],
+  },
+  {
+    re: /-(arch\d+)-\d+$/,
+    distro: "Arch Linux",
+    flavour: () => "arch",
+  },
+  {
+    re: /-\d+-(lts|zen|hardened)$/,
+    distro: "Arch Linux",
+    flavour: (m) => m[1],
+    when: (release, build) => !/Alpine/.test(build),
+  },
+  {
+    re: /-\d+-(virt|lts|edge)$/,
+    distro: "Alpine",
+    flavour: (m) => m[1],
+  },
+  {
+    // Debian and derivatives: "-amd64", "-cloud-amd64", "-rt-amd64" and
+    // vendor flavours built on the Debian packaging such as "-clim-2-amd64".
+    re: /-(?:([a-z][\w-]*?)-)?(amd64|arm64|armmp|686-pae|686|ppc64el|s390x)$/,
+    distro: "Debian",
+    flavour: (m) => (m[1] ? `${m[1]}-${m[2]}` : m[2]),
+  },
+];
+
+// Distro named in the build string or banner, for releases whose suffix
+// says nothing (custom builds, "-1" Debian backports, ...).
+const BUILD_HINTS = [
+  [/\bUbuntu\b/, "Ubuntu"],
+  [/\bDebian\b/, "Debian"],
+  [/\bRed Hat\b/, "RHEL / CentOS"],
+  [/\bSUSE\b/, "SUSE / openSUSE"],
+  [/\bAlpine\b/, "Alpine"],
+  [/\bFedora\b/, "Fedora"],
+];
+
+function classifyRelease(release, build) {
+  for (const rule of RELEASE_RULES) {
+    const m = rule.re.exec(release);
+    if (m && (!rule.when || rule.when(release, build))) {
+      return { distro: rule.distro, flavour: rule.flavour(m) };
+    }
+  }
+  const hint = BUILD_HINTS.find(([re]) => re.test(build));
+  return hint ? { distro: hint[1], flavour: null } : { distro: null, flavour: null };
+}
+
+/**
+ * Detect the running kernel from `normalizeLog()` lines (or raw text).
+ * The oops CPU line wins over the boot banner: it is the kernel that
+ * crashed, while a log can span an upgrade reboot.
+ *
+ * @returns {{release: string, build: string, distro: string|null,
+ *   flavour: string|null, source: "cpu"|"banner"} | null}
+ */
+export function detectKernel(lines) {
+  const list = typeof lines === "string" ? normalizeLog(lines) : lines;
+  let banner = null;
+  for (const line of list) {
+    if (!line.isKernel) continue;
+    const text = line.text.trim();
+    let m = CPU_LINE_RE.exec(text);
+    if (m && m[1]) {
+      const build = m[2] || "";
+      return { release: m[1], build, source: "cpu", ...classifyRelease(m[1], build) };
+    }
+    if (!banner && (m = BANNER_RE.exec(text))) {
+      banner = { release: m[1], build: m[2], source: "banner" };
+    }
+  }
+  return banner && { ...banner, ...classifyRelease(banner.release, banner.build) };
+}
+
+/** "6.8.0-45-generic (Ubuntu, generic)" */
+export function describeKernel(k) {
+  if (!k) return "";
+  const extra = [k.distro, k.flavour].filter(Boolean).join(", ");
+  return extra ? `${k.release} (${extra})` : k.release;
+}
@@ -0,0 +1,128 @@
+// ─── Log viewer helpers ───
+//
+// Syntax tokens, filter facets and search ranges for the virtualised log
+// viewer. Everything works on normalizeLog() lines; tokens always cover
+// the raw line exactly, so search ranges found in `raw` line up with them.
+
+import { classifyHeadline } from "./segment.js";
+
+// RFC 5424 facility codes.
+const FACILITY_NAMES = [
+  "kern", "user", "mail", "daemon", "auth", "syslog", "lpr", "news",
+  "uucp", "cron", "authpriv", "ftp", "ntp", "security", "console", "solaris-cron",
+  "local0", "local1", "local2", "local3", "local4", "local5", "local6", "local7",
+];
+
+export const facilityName = (n) => FACILITY_NAMES[n] ?? String(n);
+
+/**
+ * @typedef {Object} Token
+ * @property {string} text
+ * @property {"prefix"|"headline"|"marker"|"frame"|"register"|"module"|"address"|"other"|null} kind
+ *   null for plain kernel text; "other" is a line from another process
+ * @property {boolean} [match]  inside a search match, see markRanges
+ */
+
+const TOKEN_RE = new RegExp(
+  [
+    String.raw`(?<marker><\/?(?:TASK|IRQ|NMI|SOFTIRQ|EOI)>|Call Trace:|-+\[ (?:cut here|end [^\]]*) \]-+)`,
+    String.raw`(?<frame>[\w.$]+\+0x[0-9a-f]+\/0x[0-9a-f]+)`,
+    String.raw`(?<register>\b(?:R[A-D]X|R[SD]I|R[BS]P|R(?:8|9|1[0-5])|RIP|CR[0234]|DR[0-7]|EFLAGS|ORIG_RAX|PKRU|[CDEFGS]S)(?=:))`,
+    String.raw`(?<module>\[[\w-]+\])`,
+    String.raw`(?<address>\b(?:0x)?[0-9a-f]{8,16}\b)`,
+  ].join("|"),
+  "g"
+);
+
+/** @returns {Token[]} covering `line.raw` */
+export function highlightLine(line) {
+  const { raw, text } = line;
+  // The message is the tail of the raw line; what comes before is prefix.
+  const at = text && raw.endsWith(text) ? raw.length - text.length : 0;
+  const tokens = at ? [{ text: raw.slice(0, at), kind: "prefix" }] : [];
+  const msg = raw.slice(at);
+  if (!line.isKernel) return [...tokens, { text: msg, kind: "other" }];
+  if (classifyHeadline(msg.trim())) return [...tokens, { text: msg, kind: "headline" }];
+
+  let last = 0;
+  for (const m of msg.matchAll(TOKEN_RE)) {
+    if (m.index > last) tokens.push({ text: msg.slice(last, m.index), kind: null });
+    const kind = Object.keys(m.groups).find((k) => m.groups[k] !== undefined);
+    tokens.push({ text: m[0], kind });
+    last = m.index + m[0].length;
+  }
+  if (last < msg.length) tokens.push({ text: msg.slice(last), kind: null });
+  return tokens;
+}
+
+/**
+ * Split tokens at the edges of `ranges` ([start, end) offsets into the
+ * raw line) and flag the pieces inside one.
+ * @returns {Token[]}
+ */
+export function markRanges(tokens, ranges) {
+  if (!ranges.length) return tokens;
+  const out = [];
+  let pos = 0;
+  for (const token of tokens) {
+    const end = pos + token.text.length;
+    let at = pos;
+    while (at < end) {
+      const inside = ranges.find(([s, e]) => s <= at && at < e);
+      const next = inside
+        ? Math.min(inside[1], end)
+        : Math.min(end, ...ranges.map(([s]) => s).filter((s) => s > at));
+      out.push({ ...token, text: token.text.slice(at - pos, next - pos), match: Boolean(inside) });
+      at = next;
+    }
+    pos = end;
+  }
+  return out;
+}
+
+/** Non-empty [start, end) ranges of `re` (global) in `text`. */
+export function matchRanges(text, re) {
+  return [...text.matchAll(re)].filter((m) => m[0]).map((m) => [m.index, m.index + m[0].length]);
+}
+
+/**
+ * Values present in the log for each filter.
+ * @returns {{hosts: string[], processes: string[], facilities: number[]}}
+ */
+export function logFacets(lines) {
+  const hosts = new Set();
+  const processes = new Set();
+  const facilities = new Set();
+  for (const l of lines) {
+    if (l.host) hosts.add(l.host);
+    if (l.process) processes.add(l.process);
+    if (l.facility != null) facilities.add(l.facility);
+  }
+  return {
+    hosts: [...hosts].sort(),
+    processes: [...processes].sort(),
+    facilities: [...facilities].sort((a, b) => a - b),
+  };
+}
+
+/**
+ * @typedef {Object} LogFilters
+ * @property {string} host       "" for any
+ * @property {string} process    "" for any
+ * @property {string} facility   facility code as a string, "" for any
+ * @property {boolean} kernelOnly
+ */
+
+/** Indexes of the lines that pass `filters`, in log order. */
+export function filterLines(lines, { host, process, facility, kernelOnly }) {
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i];
+    if (kernelOnly && !l.isKernel) continue;
+    if (host && l.host !== host) continue;
+    if (process && l.process !== process) continue;
+    if (facility && String(l.facility) !== facility) continue;
+    out.push(i);
+  }
+  return out;
+}
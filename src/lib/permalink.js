@@ -0,0 +1,65 @@
+// ─── Report permalinks ───
+//
+// A link carries the report itself: the JSON export (see reportExport.js)
+// without the raw log, deflated and base64url-encoded into the URL
+// fragment. Opening it needs no backend and no shared storage, and the
+// fragment is never sent to the server hosting the app. The log stays
+// out to keep links short; the parsed facts travel in crashEvent.
+
+import { reportJson, importReportJson } from "./reportExport.js";
+import { routeHash } from "./router.js";
+
+async function pipeThrough(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+/** The `d` parameter of a report link. */
+export async function encodeReport(entry) {
+  const json = JSON.stringify(reportJson({ ...entry, log: "" }));
+  return toBase64Url(await pipeThrough(new TextEncoder().encode(json), new CompressionStream("deflate-raw")));
+}
+
+/**
+ * A history entry from a link's `d` parameter.
+ * @throws {Error} when the link is truncated or not a report
+ */
+export async function decodeReport(data) {
+  let json;
+  try {
+    const bytes = await pipeThrough(fromBase64Url(data), new DecompressionStream("deflate-raw"));
+    json = new TextDecoder().decode(bytes);
+  } catch {
+    throw new Error("The link is damaged or incomplete — was it cut off when it was pasted?");
+  }
+  return importReportJson(json);
+}
+
+/** Absolute link that opens `entry` read-only, in any browser. */
+export async function reportPermalink(entry) {
+  const hash = routeHash({ name: "report", id: entry.id, data: await encodeReport(entry) });
+  return `${window.location.origin}${window.location.pathname}${hash}`;
+}
+
+/**
+ * A link for places with a URL limit, such as a Slack button: the full
+ * permalink when it fits in `maxLength`, else one without the parsed facts
+ * and the raw model output. `complete` says which one it is.
+ * @returns {Promise<{url: string, complete: boolean}>}
+ */
+export async function compactPermalink(entry, maxLength) {
+  const url = await reportPermalink(entry);
+  if (url.length <= maxLength) return { url, complete: true };
+  const report = { ...entry.report, raw_response: undefined };
+  return { url: await reportPermalink({ ...entry, report, crashEvent: null }), complete: false };
+}
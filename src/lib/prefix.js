@@ -0,0 +1,257 @@
+// ─── Log line prefix normalization ───
+//
+// Recognises the prefixes that syslog daemons, journalctl and dmesg put in
+// front of kernel messages, strips them, and keeps what they carried (host,
+// wall-clock time, process, uptime) as structured metadata per line.
+//
+//   rsyslog       Dec 15 16:53:42 NCLIM014 kernel: [   13.094691] RIP: ...
+//   rsyslog-iso   2024-12-15T16:53:42.094691+00:00 NCLIM014 kernel: ...
+//                 (also <4>2024-12-15T... , rsyslog's forward format)
+//   rfc5424       <4>1 2024-12-15T16:53:42.094Z NCLIM014 kernel - - - ...
+//   short-precise Dec 15 16:53:42.094691 NCLIM014 kernel: ...
+//   monotonic     [   13.094691] NCLIM014 kernel: ...
+//   dmesg         [   13.094691] RIP: ...   (also <4>[ ... ] and dmesg -T)
+
+export const LOG_FORMATS = {
+  rsyslog: "rsyslog",
+  "rsyslog-iso": "rsyslog (RFC 3339)",
+  rfc5424: "RFC 5424 syslog",
+  "short-precise": "journalctl -o short-precise",
+  monotonic: "journalctl -o short-monotonic",
+  dmesg: "dmesg",
+  "dmesg-ctime": "dmesg -T",
+  none: "unprefixed",
+};
+
+const PROC = String.raw`([^\s:\[]+)(?:\[(\d+)\])?:`;
+
+const RFC5424_RE =
+  /^(?:<(\d{1,3})>)?1 (\d{4}-\d\d-\d\dT\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\]|\\.)*\])+) ?(.*)$/;
+const ISO_RE = new RegExp(
+  String.raw`^(?:<(\d{1,3})>)?(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?(?:Z|[+-]\d\d:?\d\d)?)\s+(\S+)\s+` +
+    PROC +
+    String.raw`\s?(.*)$`
+);
+const BSD_RE = new RegExp(
+  String.raw`^([A-Z][a-z]{2}\s+\d{1,2}\s+\d\d:\d\d:\d\d)(\.\d+)?\s+(\S+)\s+` +
+    PROC +
+    String.raw`\s?(.*)$`
+);
+const MONOTONIC_RE = new RegExp(
+  String.raw`^\[\s*(\d+\.\d+)\]\s+(\S+)\s+` + PROC + String.raw`\s?(.*)$`
+);
+const DMESG_RE = /^(?:<(\d)>)?\[\s*(\d+\.\d+)\]\s?(.*)$/;
+const DMESG_CTIME_RE =
+  /^\[([A-Z][a-z]{2} [A-Z][a-z]{2}\s+\d{1,2} \d\d:\d\d:\d\d \d{4})\]\s?(.*)$/;
+
+// The "[   13.094691] " that rsyslog's imklog keeps inside the message.
+const INNER_UPTIME_RE = /^\[\s*(\d+\.\d+)\]\s?(.*)$/;
+
+function line(raw, format, fields) {
+  return {
+    raw,
+    text: raw,
+    format,
+    host: null,
+    time: null,
+    timestamp: null,
+    process: null,
+    pid: null,
+    facility: null,
+    priority: null,
+    uptime: null,
+    isKernel: false,
+    ...fields,
+  };
+}
+
+function withInnerUptime(fields) {
+  if (!fields.isKernel) return fields;
+  const m = INNER_UPTIME_RE.exec(fields.text);
+  if (!m) return fields;
+  return { ...fields, uptime: parseFloat(m[1]), text: m[2] };
+}
+
+function parseIsoTime(s) {
+  const t = Date.parse(s.replace(/([+-]\d\d)(\d\d)$/, "$1:$2"));
+  return Number.isNaN(t) ? null : t;
+}
+
+const PARSERS = {
+  rfc5424(raw) {
+    const m = RFC5424_RE.exec(raw);
+    if (!m) return null;
+    const [, pri, time, host, app, procid, , , msg] = m;
+    return line(raw, "rfc5424", withInnerUptime({
+      text: msg.replace(/^\uFEFF/, ""),
+      host: host === "-" ? null : host,
+      time,
+      timestamp: parseIsoTime(time),
+      process: app === "-" ? null : app,
+      pid: procid === "-" ? null : procid,
+      facility: pri ? Number(pri) >> 3 : null,
+      priority: pri ? Number(pri) & 7 : null,
+      isKernel: app === "kernel",
+    }));
+  },
+  "rsyslog-iso"(raw) {
+    const m = ISO_RE.exec(raw);
+    if (!m) return null;
+    const [, pri, time, host, process, pid, msg] = m;
+    return line(raw, "rsyslog-iso", withInnerUptime({
+      text: msg,
+      host,
+      time,
+      timestamp: parseIsoTime(time),
+      process,
+      pid: pid || null,
+      facility: pri ? Number(pri) >> 3 : null,
+      priority: pri ? Number(pri) & 7 : null,
+      isKernel: process === "kernel",
+    }));
+  },
+  rsyslog(raw) {
+    const m = BSD_RE.exec(raw);
+    if (!m) return null;
+    const [, time, frac, host, process, pid, msg] = m;
+    return line(raw, frac ? "short-precise" : "rsyslog", withInnerUptime({
+      text: msg,
+      host,
+      time: time.replace(/\s+/g, " ") + (frac || ""),
+      process,
+      pid: pid || null,
+      isKernel: process === "kernel",
+    }));
+  },
+  monotonic(raw) {
+    const m = MONOTONIC_RE.exec(raw);
+    if (!m) return null;
+    const [, uptime, host, process, pid, msg] = m;
+    return line(raw, "monotonic", {
+      text: msg,
+      host,
+      process,
+      pid: pid || null,
+      uptime: parseFloat(uptime),
+      isKernel: process === "kernel",
+    });
+  },
+  dmesg(raw) {
+    let m = DMESG_RE.exec(raw);
+    if (m) {
+      return line(raw, "dmesg", {
+        text: m[3],
+        uptime: parseFloat(m[2]),
+        facility: m[1] ? 0 : null,
+        priority: m[1] ? Number(m[1]) : null,
+        isKernel: true,
+      });
+    }
+    m = DMESG_CTIME_RE.exec(raw);
+    if (m) {
+      const t = Date.parse(m[1]);
+      return line(raw, "dmesg-ctime", {
+        text: m[2],
+        time: m[1],
+        timestamp: Number.isNaN(t) ? null : t,
+        isKernel: true,
+      });
+    }
+    return null;
+  },
+};
+
+// `[ts] host proc:` and `[ts] message: ...` are ambiguous line by line
+// ("[ 14.1] sd 9:0:2:0: Mode parameters changed" is plain dmesg), so the
+// monotonic parser is only tried when the document as a whole looks like
+// journalctl output, i.e. most bracketed lines say "<host> kernel:".
+function looksMonotonic(rawLines) {
+  let bracketed = 0;
+  let journal = 0;
+  for (let i = 0; i < rawLines.length && bracketed < 200; i++) {
+    if (!rawLines[i].startsWith("[")) continue;
+    bracketed++;
+    const m = MONOTONIC_RE.exec(rawLines[i]);
+    if (m && m[3] === "kernel") journal++;
+  }
+  return bracketed > 0 && journal / bracketed > 0.5;
+}
+
+/** Parse one raw line. `monotonic` enables the short-monotonic parser. */
+export function parseLine(raw, { monotonic = false } = {}) {
+  const order = monotonic
+    ? ["rfc5424", "rsyslog-iso", "rsyslog", "monotonic", "dmesg"]
+    : ["rfc5424", "rsyslog-iso", "rsyslog", "dmesg"];
+  for (const id of order) {
+    const parsed = PARSERS[id](raw);
+    if (parsed) return parsed;
+  }
+  // No prefix at all: a console capture or hand-trimmed oops.
+  return line(raw, "none", { text: raw, isKernel: true });
+}
+
+/** Parse every line of `text`; the array index is the 0-based line number. */
+export function normalizeLog(text) {
+  // Logs copied out of web consoles and tickets often carry CRLF endings
+  // and non-breaking spaces instead of plain ones.
+  const rawLines = text
+    .split("\n")
+    .map((l) => l.replace(/\r$/, "").replace(/\u00a0/g, " "));
+  const monotonic = looksMonotonic(rawLines);
+  return rawLines.map((raw) => parseLine(raw, { monotonic }));
+}
+
+/**
+ * Summarise a run of parsed lines: dominant format, hosts, first / last
+ * wall-clock time and how many lines came from the kernel.
+ */
+export function summarizeLines(lines) {
+  const formats = {};
+  const hosts = [];
+  let first = null;
+  let last = null;
+  let kernelLines = 0;
+  for (const l of lines) {
+    if (!l.raw.trim()) continue;
+    formats[l.format] = (formats[l.format] || 0) + 1;
+    if (l.host && !hosts.includes(l.host)) hosts.push(l.host);
+    if (l.time) {
+      first = first || l.time;
+      last = l.time;
+    }
+    if (l.isKernel) kernelLines++;
+  }
+  const format =
+    Object.entries(formats).sort((a, b) => b[1] - a[1])[0]?.[0] || "none";
+  return {
+    format,
+    formatLabel: LOG_FORMATS[format],
+    hosts,
+    firstTime: first,
+    lastTime: last,
+    kernelLines,
+    totalLines: lines.length,
+  };
+}
+
+function formatUptime(uptime) {
+  return `[${uptime.toFixed(6).padStart(12)}]`;
+}
+
+/**
+ * Rebuild a compact log with the syslog / journal prefixes removed.
+ * Kernel lines keep the kernel's own uptime stamp; lines from other
+ * processes keep only "process[pid]:" so the model can tell them apart.
+ */
+export function stripPrefixes(lines) {
+  return lines
+    .map((l) => {
+      if (l.format === "none") return l.raw;
+      if (l.isKernel) {
+        return l.uptime !== null ? `${formatUptime(l.uptime)} ${l.text}` : l.text;
+      }
+      const proc = l.process ? `${l.process}${l.pid ? `[${l.pid}]` : ""}: ` : "";
+      return proc + l.text;
+    })
+    .join("\n");
+}
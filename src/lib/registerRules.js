@@ -0,0 +1,283 @@
+// ─── Register and fault-address heuristics ───
+//
+// The patterns engineers look for by eye in a register dump — NULL + small
+// offset, slab / list poison, non-canonical and user-space addresses, the
+// #PF error code bits — as rules over a parsed CrashEvent. Each finding
+// names the registers it is based on so the report can point at them.
+
+import { disassembleCode, memoryAccesses } from "./disasm.js";
+
+/**
+ * @typedef {Object} RegisterFinding
+ * @property {string} id         rule id, e.g. "null-deref"
+ * @property {"high"|"medium"|"low"} severity
+ * @property {string} title      "CR2 = RAX+0x18 → NULL struct member read"
+ * @property {string} detail     what it usually means
+ * @property {string[]} registers register names the finding is based on
+ */
+
+const GP_REGISTERS = ["RAX", "RBX", "RCX", "RDX", "RSI", "RDI", "RBP", "RSP",
+  "R8", "R9", "R10", "R11", "R12", "R13", "R14", "R15"];
+
+const NULL_PAGE_LIMIT = 0x10000n; // mmap_min_addr
+const STRUCT_OFFSET_LIMIT = 0x1000n; // "pointer + member offset" distance
+const USER_SPACE_END = 0x0000800000000000n;
+
+// include/linux/poison.h
+const POISONS = [
+  {
+    id: "slab-free-poison",
+    byte: 0x6b,
+    severity: "high",
+    what: "use-after-free poison",
+    detail: "0x6b is POISON_FREE: the object was freed and slab debugging poisoned it — a use-after-free",
+  },
+  {
+    id: "slab-inuse-poison",
+    byte: 0x5a,
+    severity: "high",
+    what: "uninitialized slab poison",
+    detail: "0x5a is POISON_INUSE: the object was allocated but this field was never initialised",
+  },
+  {
+    id: "slab-end-poison",
+    byte: 0xa5,
+    severity: "medium",
+    what: "slab end-of-object poison",
+    detail: "0xa5 is POISON_END: the last byte of a poisoned object — an overrun or a use-after-free",
+  },
+];
+const LIST_POISONS = {
+  "dead000000000100": "LIST_POISON1 (list_del'd entry's ->next)",
+  "dead000000000122": "LIST_POISON2 (list_del'd entry's ->prev)",
+  "dead000000000400": "hlist POISON_POINTER_DELTA",
+};
+
+const hex = (v) => `0x${v.toString(16)}`;
+const big = (s) => (s == null ? null : BigInt(`0x${String(s).replace(/^0x/, "")}`));
+
+const isCanonical = (v) => {
+  const top = v >> 47n;
+  return top === 0n || top === 0x1ffffn;
+};
+
+// A value made mostly of one poison byte: 6b6b6b6b6b6b6b6b, or the
+// poison plus a small member offset (6b6b6b6b6b6b6b83).
+function poisonOf(value) {
+  const bytes = value.toString(16).padStart(16, "0").match(/../g);
+  for (const p of POISONS) {
+    const b = p.byte.toString(16);
+    if (bytes.filter((x) => x === b).length >= 6) return p;
+  }
+  return null;
+}
+
+function listPoisonOf(value) {
+  for (const [poison, name] of Object.entries(LIST_POISONS)) {
+    const delta = value - BigInt(`0x${poison}`);
+    if (delta >= 0n && delta < 0x100n) return { name, delta };
+  }
+  return null;
+}
+
+// #PF error code bits (arch/x86/include/asm/trap_pf.h).
+const PF_BITS = [
+  [0x1, "protection violation", "page not present"],
+  [0x2, "write", "read"],
+  [0x4, "user mode", "kernel mode"],
+  [0x8, "reserved bit set in a page table entry"],
+  [0x10, "instruction fetch"],
+  [0x20, "protection-key violation"],
+  [0x40, "shadow-stack access"],
+  [0x8000, "SGX violation"],
+];
+
+/** "not-present page, read, kernel mode" for a #PF error code. */
+export function decodePageFaultError(code) {
+  return PF_BITS.map(([bit, set, clear]) => (code & bit ? set : clear))
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Evaluate the heuristics over a CrashEvent.
+ * @returns {RegisterFinding[]} most severe first
+ */
+export function evaluateRegisters(event) {
+  const findings = [];
+  const add = (f) => findings.push({ registers: [], ...f });
+  const regs = Object.fromEntries(
+    GP_REGISTERS.filter((r) => event.registers[r] != null).map((r) => [r, big(event.registers[r])])
+  );
+  // CR2 keeps the last fault address forever; it only means something when
+  // this event is itself a page fault.
+  const pf = event.pageFault;
+  const cr2 = pf ? (big(event.registers.CR2) ?? big(pf.address)) : null;
+  const kernelMode = pf?.mode ? pf.mode === "kernel" : true;
+  const access = pf?.access === "write" ? "write" : pf?.access === "instruction fetch" ? "call" : "read";
+
+  // Which register the faulting address came from: the faulting
+  // instruction's memory operand if it decodes, else the nearest register
+  // below CR2.
+  const fault = event.code ? disassembleCode(event.code).fault : null;
+  const accesses = memoryAccesses(fault, event.registers).filter(
+    (a) => a.kind === "address" && a.base
+  );
+  const operand = accesses.find((a) => cr2 == null || a.ea === cr2);
+  let source = operand
+    ? { name: operand.base.name, value: operand.base.value, offset: operand.ea - operand.base.value }
+    : null;
+  if (!source && cr2 != null) {
+    for (const [name, value] of Object.entries(regs)) {
+      const offset = cr2 - value;
+      if (offset >= 0n && offset < STRUCT_OFFSET_LIMIT && (!source || offset < source.offset)) {
+        source = { name, value, offset };
+      }
+    }
+  }
+  const via = source ? `${source.name}${source.offset ? `+${hex(source.offset)}` : ""}` : null;
+
+  // ─── Fault address ───
+  if (cr2 != null) {
+    if (cr2 < NULL_PAGE_LIMIT && access === "call") {
+      add({
+        id: "null-call",
+        severity: "high",
+        title: `Instruction fetch from ${hex(cr2)} → call through a NULL function pointer`,
+        detail: "An ops-table member or callback was NULL; the caller in the trace made the indirect call",
+      });
+    } else if (cr2 < NULL_PAGE_LIMIT) {
+      add({
+        id: "null-deref",
+        severity: "high",
+        title: via
+          ? `CR2 = ${via} → NULL struct member ${access}`
+          : `CR2 = ${hex(cr2)} → NULL pointer ${cr2 ? `+ ${hex(cr2)} ` : ""}${access}`,
+        detail: cr2
+          ? `A NULL struct pointer was dereferenced at member offset ${hex(cr2)}`
+          : "A NULL pointer was dereferenced directly",
+        registers: source ? [source.name, "CR2"] : ["CR2"],
+      });
+    } else if (!isCanonical(cr2)) {
+      add({
+        id: "non-canonical",
+        severity: "high",
+        title: `Fault address ${hex(cr2)} is non-canonical`,
+        detail: "Not a real pointer — corrupted, poisoned or uninitialised memory used as an address",
+        registers: source ? [source.name] : [],
+      });
+    } else if (cr2 < USER_SPACE_END && kernelMode) {
+      const smap = pf?.errorCode != null && pf.errorCode & 0x1;
+      add({
+        id: "user-address",
+        severity: "high",
+        title: `Kernel ${access} of user-space address ${hex(cr2)}${via ? ` (${via})` : ""}`,
+        detail: smap
+          ? "Page was present: an SMAP/SMEP violation — a user pointer dereferenced without copy_from_user()"
+          : "A user pointer dereferenced directly, or a small integer / corrupted value used as a pointer",
+        registers: source ? [source.name, "CR2"] : ["CR2"],
+      });
+    } else if (source) {
+      add({
+        id: "fault-source",
+        severity: "medium",
+        title: `CR2 = ${via} → bad pointer in ${source.name}`,
+        detail: `The faulting ${access} went through ${source.name} = ${hex(source.value)}`,
+        registers: [source.name, "CR2"],
+      });
+    }
+  }
+
+  // The faulting instruction dereferences a NULL base register even though
+  // CR2 wasn't captured (or disagrees — then the Code: line may be stale).
+  const nullOperand = accesses.find((a) => a.base.value < NULL_PAGE_LIMIT);
+  if (nullOperand && !findings.some((f) => f.id === "null-deref")) {
+    const { base, ea } = nullOperand;
+    const offset = ea - base.value;
+    add({
+      id: "null-deref",
+      severity: "high",
+      title: `${nullOperand.text} with ${base.name} = ${hex(base.value)} → NULL struct member ${access}`,
+      detail:
+        cr2 != null && cr2 !== ea
+          ? `The faulting instruction dereferences NULL${offset ? ` + ${hex(offset)}` : ""}, but the reported fault address is ${hex(cr2)}`
+          : `A NULL struct pointer was dereferenced at member offset ${hex(offset)}`,
+      registers: [base.name],
+    });
+  }
+
+  // "general protection fault, probably for non-canonical address 0x..."
+  const gp = /non-canonical address (0x[0-9a-f]+)/.exec(event.headline || "");
+  if (gp) {
+    const addr = big(gp[1]);
+    const holders = Object.entries(regs)
+      .filter(([, v]) => v === addr || (addr - v >= 0n && addr - v < STRUCT_OFFSET_LIMIT))
+      .map(([name]) => name);
+    add({
+      id: "gp-non-canonical",
+      severity: "high",
+      title: `#GP on non-canonical address ${gp[1]}${holders.length ? ` (from ${holders.join(", ")})` : ""}`,
+      detail: /^0xdffffc/.test(gp[1])
+        ? "A KASAN shadow address: the real pointer was NULL or wild — see the KASAN report"
+        : "A corrupted or poisoned pointer was dereferenced",
+      registers: holders,
+    });
+  }
+
+  // ─── Register values ───
+  for (const [name, value] of Object.entries(regs)) {
+    const poison = poisonOf(value);
+    if (poison) {
+      add({
+        id: poison.id,
+        severity: poison.severity,
+        title: `${poison.what} in ${name} (${hex(value)})`,
+        detail: poison.detail,
+        registers: [name],
+      });
+      continue;
+    }
+    const list = listPoisonOf(value);
+    if (list) {
+      add({
+        id: "list-poison",
+        severity: "high",
+        title: `${list.name} in ${name}${list.delta ? ` + ${hex(list.delta)}` : ""}`,
+        detail: "A list entry was used after list_del() — usually a use-after-free or a double list_del",
+        registers: [name],
+      });
+    }
+  }
+
+  if (event.rip?.address && big(event.rip.address) < NULL_PAGE_LIMIT) {
+    add({
+      id: "rip-null",
+      severity: "high",
+      title: `RIP = ${event.rip.address} → jumped to a NULL function pointer`,
+      detail: "The first frame of the call trace is the caller that made the indirect call",
+      registers: ["RIP"],
+    });
+  }
+
+  // ─── #PF error code ───
+  if (pf?.errorCode != null) {
+    const code = pf.errorCode;
+    add({
+      id: "pf-error-code",
+      severity: code & 0x8 ? "high" : "low",
+      title: `#PF error_code(${hex(code)}): ${decodePageFaultError(code)}`,
+      detail:
+        code & 0x8
+          ? "Reserved bits set in a page-table entry: page-table corruption or bad memory"
+          : code & 0x10
+            ? "Fault on instruction fetch: executing data, a freed module or a bad function pointer"
+            : code & 0x1
+              ? "The page was mapped but the access was not allowed (write to read-only, SMAP/SMEP, NX)"
+              : "The address was not mapped at all",
+      registers: ["CR2"],
+    });
+  }
+
+  const order = { high: 0, medium: 1, low: 2 };
+  return findings.sort((a, b) => order[a.severity] - order[b.severity]);
+}
@@ -0,0 +1,186 @@
+// ─── Markdown and JSON export / import ───
+//
+// Markdown is for pasting into GitHub / GitLab issues. JSON is a versioned
+// envelope around one history entry — report, inputs, parsed facts and the
+// log — that imports back into the history on another machine.
+
+import { version as APP_VERSION } from "../../package.json";
+import { formatSymbol, validateCrashEvent } from "./crashEvent.js";
+import { decodeTaint } from "./taint.js";
+import { fingerprintCrash } from "./fingerprint.js";
+import { checkGrounding, describeGrounding } from "./grounding.js";
+import { validateReport } from "./reportSchema.js";
+import { validateEntryMeta } from "./historyStore.js";
+
+export const REPORT_SCHEMA = "kernel-crash-analyzer/report";
+export const REPORT_SCHEMA_VERSION = 1;
+
+// ─── Markdown ───
+
+// Table cells: a pipe ends the cell, a newline ends the row.
+const cell = (s) =>
+  String(s ?? "")
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+
+// Longest backtick run inside the text, plus one, so it can't close the fence.
+const fence = (text) => "`".repeat(Math.max(3, ...(text.match(/`+/g) || []).map((r) => r.length + 1)));
+const codeBlock = (text) => `${fence(text)}\n${text}\n${fence(text)}`;
+
+/**
+ * The full report as GitHub-flavoured Markdown.
+ * @param {Object} args
+ * @param {Object} args.report        AnalysisReport
+ * @param {Object|null} args.crashEvent
+ * @param {Object} args.meta          history entry (hosts, kernel, distro, createdAt, signature)
+ */
+export function reportMarkdown({ report, crashEvent, meta }) {
+  const host = meta.hosts?.length ? meta.hosts.join(", ") : null;
+  const kernel = [meta.kernel, meta.distro].filter(Boolean).join(" · ");
+  const ev = crashEvent;
+  const grounding = ev && report.engine !== "rules" ? checkGrounding(report, ev) : null;
+
+  const facts = [
+    ["Severity", `**${String(report.severity).toUpperCase()}**`],
+    report.confidence != null && [
+      "Confidence",
+      `${report.confidence}%${report.engine === "rules" ? " (rule-based)" : ""}`,
+    ],
+    grounding?.score != null && ["Grounding", `${grounding.score}% — ${describeGrounding(grounding)}`],
+    ["Affected subsystem", report.affected_subsystem],
+    ["Probable trigger", report.probable_trigger],
+    host && ["Host", host],
+    kernel && ["Kernel", kernel],
+    ev?.rip && ["RIP", `\`${formatSymbol(ev.rip)}\``],
+    ev?.taint && [
+      "Taint",
+      `\`${ev.taint.trim()}\` ${decodeTaint(ev.taint)
+        .map((f) => `${f.letter}: ${f.description}`)
+        .join("; ")}`,
+    ],
+    meta.signature && ["Signature", `\`${meta.signature.id}\``],
+    meta.jira && ["Jira", `[${meta.jira.key}](${meta.jira.url})`],
+    ["Analyzed", new Date(meta.createdAt || Date.now()).toISOString()],
+  ].filter(Boolean);
+
+  const trace = (report.annotated_trace || []).map((f) => `${f.func}\n    ${f.note}`).join("\n");
+
+  return [
+    `## ${report.crash_type}: ${report.affected_subsystem}`,
+    `| | |\n|---|---|\n${facts.map(([k, v]) => `| ${k} | ${cell(v)} |`).join("\n")}`,
+    `### Root cause\n\n${report.root_cause}`,
+    report.suggested_fixes?.length > 0 &&
+      `### Suggested fixes\n\n${report.suggested_fixes.map((f) => `- [ ] ${f}`).join("\n")}`,
+    report.detailed_analysis &&
+      `<details>\n<summary>Detailed analysis</summary>\n\n${report.detailed_analysis}\n\n</details>`,
+    trace && `### Annotated call trace\n\n${codeBlock(trace)}`,
+    report.related_issues?.length > 0 &&
+      `### Related known issues\n\n| ID | Title |\n|---|---|\n${report.related_issues
+        .map((r) => {
+          const id = r.url && r.url !== "#" ? `[${cell(r.id)}](${r.url})` : cell(r.id);
+          return `| ${id} | ${cell(r.title)} |`;
+        })
+        .join("\n")}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n")
+    .concat("\n");
+}
+
+// ─── JSON ───
+
+/** The export envelope for one history entry. */
+export function reportJson(entry) {
+  return {
+    schema: REPORT_SCHEMA,
+    version: REPORT_SCHEMA_VERSION,
+    app: { name: "kernel-crash-analyzer", version: APP_VERSION },
+    exportedAt: new Date().toISOString(),
+    analysis: {
+      id: entry.id,
+      createdAt: entry.createdAt,
+      engine: entry.engine,
+      kernel: entry.kernel,
+      distro: entry.distro,
+      flavour: entry.flavour,
+      hosts: entry.hosts,
+      signature: entry.signature,
+      jira: entry.jira || null,
+      input: entry.input,
+    },
+    report: entry.report,
+    crashEvent: entry.crashEvent,
+    log: entry.log,
+  };
+}
+
+const REQUIRED_REPORT_FIELDS = ["crash_type", "severity", "root_cause"];
+
+/**
+ * Parse an exported report back into a history entry. The report,
+ * crashEvent and metadata are validated; see validateReport,
+ * validateCrashEvent and validateEntryMeta.
+ * @throws {Error} when the text is not a report export this version
+ *   understands
+ */
+export function importReportJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  if (doc?.schema !== REPORT_SCHEMA) {
+    throw new Error("Not a kernel-crash-analyzer report export");
+  }
+  if (!Number.isInteger(doc.version) || doc.version > REPORT_SCHEMA_VERSION) {
+    throw new Error(
+      `Report format version ${doc.version} is newer than this app understands (${REPORT_SCHEMA_VERSION})`
+    );
+  }
+  const analysis = doc.analysis && typeof doc.analysis === "object" ? doc.analysis : {};
+  const missing = REQUIRED_REPORT_FIELDS.filter((k) => doc.report?.[k] == null);
+  if (missing.length) {
+    throw new Error(`The report is missing ${missing.join(", ")}`);
+  }
+  // Checked like a backend response: the file may have been edited by hand
+  // or written by something else, and the repair banner says so.
+  const report = validateReport(doc.report);
+
+  // A malformed event is dropped rather than rejected: the report still
+  // reads fine without the parsed facts.
+  const crashEvent = validateCrashEvent(doc.crashEvent);
+  const meta = validateEntryMeta(analysis);
+  const createdAt = Number(analysis.createdAt) || Date.now();
+  return {
+    ...meta,
+    id: Number(analysis.id) || createdAt,
+    createdAt,
+    crash_type: report.crash_type,
+    severity: report.severity,
+    subsystem: report.affected_subsystem || "",
+    engine: meta.engine || (typeof report.engine === "string" ? report.engine : "llm"),
+    headline: crashEvent?.headline || null,
+    // Recomputed, so duplicates match what this version fingerprints.
+    signature: crashEvent ? fingerprintCrash(crashEvent) : meta.signature,
+    report,
+    log: typeof doc.log === "string" ? doc.log : "",
+    crashEvent,
+  };
+}
+
+/** Save text as a file through a temporary object URL. */
+export function downloadFile(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** "crash-report_db-01_2025-10-02" */
+export function reportFileStem(meta) {
+  const host = (meta.hosts?.[0] || "host").replace(/[^\w.-]/g, "_");
+  return `crash-report_${host}_${new Date(meta.createdAt || Date.now()).toISOString().slice(0, 10)}`;
+}
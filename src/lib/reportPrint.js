@@ -0,0 +1,228 @@
+// ─── Print / PDF export ───
+//
+// Renders an AnalysisReport as a standalone, print-oriented HTML document
+// and hands it to the browser's print dialog ("Save as PDF"). Nothing
+// leaves the machine. A <thead> repeats the host / kernel / date header on
+// every printed page; page numbers use @page margin boxes where supported.
+
+import { formatSymbol } from "./crashEvent.js";
+import { attributeTaint, describeTaintVerdict, decodeTaint } from "./taint.js";
+import { disassembleCode, disassemblyLines, codeLabeler } from "./disasm.js";
+import { evaluateRegisters } from "./registerRules.js";
+import { reportFileStem } from "./reportExport.js";
+
+const MAX_LOG_LINES = 400;
+
+// The screen palette is tuned for a dark background; these read on paper.
+const SEVERITY_INK = {
+  critical: "#c0271d",
+  high: "#d9730d",
+  medium: "#b7791f",
+  low: "#1f9d55",
+};
+
+const esc = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const STYLE = `
+  @page { size: A4; margin: 16mm 14mm 18mm; }
+  @page { @bottom-right { content: "Page " counter(page) " of " counter(pages); font: 8pt sans-serif; color: #888; } }
+  * { box-sizing: border-box; }
+  body { font: 10pt/1.5 "DM Sans", "Helvetica Neue", Arial, sans-serif; color: #1a1d23; margin: 0; }
+  code, pre, .mono { font-family: "JetBrains Mono", "DejaVu Sans Mono", Menlo, monospace; }
+  table.page { width: 100%; border-collapse: collapse; }
+  thead td { padding-bottom: 10px; }
+  .running { display: flex; justify-content: space-between; font-size: 8pt; color: #666;
+    border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  h1 { font-size: 17pt; margin: 0 0 6px; }
+  h2 { font-size: 11pt; text-transform: uppercase; letter-spacing: 0.06em; color: #444;
+    border-bottom: 1px solid #ddd; padding-bottom: 3px; margin: 20px 0 8px; break-after: avoid; }
+  .badges { margin: 6px 0 14px; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 3px; font: 600 8pt/1.6 monospace;
+    letter-spacing: 0.05em; border: 1px solid; margin-right: 6px; }
+  .confidence { display: flex; align-items: center; gap: 10px; margin-bottom: 12px; }
+  .bar { width: 180px; height: 6px; background: #eee; border-radius: 3px; overflow: hidden; }
+  .bar > div { height: 100%; }
+  .root { font-size: 11.5pt; }
+  .grid2 { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 10px; }
+  .box { border: 1px solid #ddd; border-radius: 4px; padding: 8px 10px; break-inside: avoid; }
+  .label { font: 600 7.5pt monospace; text-transform: uppercase; letter-spacing: 0.08em; color: #777; margin-bottom: 3px; }
+  ol.fixes li { margin-bottom: 5px; font-family: monospace; font-size: 9pt; break-inside: avoid; }
+  pre { font-size: 8pt; line-height: 1.45; white-space: pre-wrap; word-break: break-all; background: #f6f7f9;
+    border: 1px solid #e3e5e8; border-radius: 4px; padding: 8px 10px; margin: 0; }
+  .trace div { break-inside: avoid; }
+  .trace .func { font: 8.5pt monospace; }
+  .trace .note { font: italic 8pt monospace; color: #2a6f97; margin: 0 0 4px 22px; }
+  .trace .first .func, .fault { color: #c0271d; font-weight: 700; }
+  table.facts { border-collapse: collapse; width: 100%; font-size: 8.5pt; }
+  table.facts td { border-bottom: 1px solid #eee; padding: 3px 6px; vertical-align: top; }
+  table.facts td:first-child { width: 24%; color: #666; white-space: nowrap; }
+  .regs { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0 14px; font: 8pt monospace; }
+  .finding { margin-bottom: 4px; break-inside: avoid; }
+  .muted { color: #777; }
+`;
+
+function section(title, body) {
+  return body ? `<h2>${esc(title)}</h2>${body}` : "";
+}
+
+function factsTable(rows) {
+  const body = rows
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `<tr><td>${esc(k)}</td><td class="mono">${v}</td></tr>`)
+    .join("");
+  return body ? `<table class="facts">${body}</table>` : "";
+}
+
+function parsedFacts(ev) {
+  const taint = attributeTaint(ev);
+  const flags = decodeTaint(ev.taint);
+  const regs = Object.entries(ev.registers);
+  const findings = evaluateRegisters(ev);
+  const dis = ev.code ? disassembleCode(ev.code) : null;
+
+  return [
+    factsTable([
+      ["Headline", esc(ev.headline)],
+      ["Task", ev.comm && esc(`${ev.comm} (PID ${ev.pid ?? "?"}, CPU ${ev.cpu ?? "?"})`)],
+      ["Kernel", esc([ev.kernelRelease, ev.kernelBuild].filter(Boolean).join(" "))],
+      ["Hardware", ev.hardware && esc(ev.hardware.name)],
+      ["RIP", ev.rip && esc(formatSymbol(ev.rip) || ev.rip.raw)],
+      ["Workqueue", ev.workqueue && esc(`${ev.workqueue.name} ${ev.workqueue.func}`)],
+      [
+        "Page fault",
+        ev.pageFault &&
+          esc(
+            [ev.pageFault.address, ev.pageFault.access, ev.pageFault.mode, ev.pageFault.reason]
+              .filter(Boolean)
+              .join(", ")
+          ),
+      ],
+      [
+        "Taint",
+        ev.taint &&
+          `${esc(ev.taint)}${flags.map((f) => `<br>${esc(f.letter)}: ${esc(f.description)}`).join("")}<br>→ ${esc(describeTaintVerdict(taint))}`,
+      ],
+      ["Panic", esc(ev.panicReason)],
+      ["Modules", esc(ev.modules.map((m) => m.name + (m.flags ? `(${m.flags})` : "")).join(" "))],
+    ]),
+    regs.length > 0 &&
+      `<div class="label" style="margin-top:10px">Registers</div><div class="regs">${regs
+        .map(([k, v]) => `<span>${esc(k)}: ${esc(v)}</span>`)
+        .join("")}</div>`,
+    findings.length > 0 &&
+      `<div class="label" style="margin-top:10px">Register evidence</div>${findings
+        .map(
+          (f) =>
+            `<div class="finding"><strong>${esc(f.title)}</strong> <span class="muted">— ${esc(f.detail)}</span></div>`
+        )
+        .join("")}`,
+    dis?.instructions.length > 0 &&
+      `<div class="label" style="margin-top:10px">Code around the faulting instruction</div><pre>${disassemblyLines(
+        dis,
+        codeLabeler(ev.rip, ev.code.faultIndex)
+      )
+        .map((l) => (l.includes("<-- trapping") ? `<span class="fault">${esc(l)}</span>` : esc(l)))
+        .join("\n")}</pre>`,
+  ]
+    .filter(Boolean)
+    .join("");
+}
+
+function logExcerpt(log) {
+  if (!log) return "";
+  const lines = log.split("\n");
+  const shown = lines.slice(0, MAX_LOG_LINES).join("\n");
+  const more = lines.length - MAX_LOG_LINES;
+  return `<pre>${esc(shown)}</pre>${more > 0 ? `<p class="muted">… ${more} more lines not shown.</p>` : ""}`;
+}
+
+/**
+ * The standalone HTML document for one analysis.
+ * @param {Object} args
+ * @param {Object} args.report        AnalysisReport
+ * @param {Object|null} args.crashEvent
+ * @param {Object} args.meta          { hosts, kernel, distro, createdAt, log, signature }
+ */
+export function reportDocument({ report, crashEvent, meta }) {
+  const date = new Date(meta.createdAt || Date.now());
+  const host = meta.hosts?.length ? meta.hosts.join(", ") : "unknown host";
+  const kernel = [meta.kernel, meta.distro].filter(Boolean).join(" · ") || "unknown kernel";
+  const title = reportFileStem(meta);
+  const sevColor = SEVERITY_INK[report.severity] || "#777";
+  const confColor = report.confidence >= 85 ? "#1f9d55" : report.confidence >= 65 ? "#b7791f" : "#d9730d";
+
+  const badges = [
+    report.engine === "rules" && `<span class="badge" style="color:#8e44ad">RULE-BASED</span>`,
+    `<span class="badge" style="color:#1769aa">${esc(report.crash_type)}</span>`,
+    `<span class="badge" style="color:${sevColor}">${esc(String(report.severity).toUpperCase())}</span>`,
+    meta.signature && `<span class="badge muted">sig ${esc(meta.signature.id)}</span>`,
+  ]
+    .filter(Boolean)
+    .join("");
+
+  const trace = (report.annotated_trace || [])
+    .map(
+      (f, i) =>
+        `<div class="${i === 0 ? "first" : ""}"><div class="func">${esc(f.func)}</div><div class="note">${esc(f.note)}</div></div>`
+    )
+    .join("");
+  const issues = (report.related_issues || [])
+    .map((r) => `<li><span class="mono">${esc(r.id)}</span> — ${esc(r.title)}</li>`)
+    .join("");
+
+  const body = [
+    `<h1>${esc(report.crash_type)}: ${esc(report.affected_subsystem)}</h1>`,
+    `<div class="badges">${badges}</div>`,
+    report.confidence != null &&
+      `<div class="confidence"><span class="label" style="margin:0">${report.engine === "rules" ? "Rule-engine confidence" : "Confidence"}</span>
+      <div class="bar"><div style="width:${Number(report.confidence) || 0}%;background:${confColor}"></div></div>
+      <span class="mono">${esc(report.confidence)}%</span></div>`,
+    `<div class="label">Root cause</div><div class="root">${esc(report.root_cause)}</div>`,
+    `<div class="grid2">
+      <div class="box"><div class="label">Affected subsystem</div>${esc(report.affected_subsystem)}</div>
+      <div class="box"><div class="label">Probable trigger</div>${esc(report.probable_trigger)}</div>
+    </div>`,
+    section(
+      "Suggested fixes",
+      report.suggested_fixes?.length &&
+        `<ol class="fixes">${report.suggested_fixes.map((f) => `<li>${esc(f)}</li>`).join("")}</ol>`
+    ),
+    section("Detailed analysis", report.detailed_analysis && `<pre>${esc(report.detailed_analysis)}</pre>`),
+    section("Annotated call trace", trace && `<div class="trace">${trace}</div>`),
+    section("Related known issues", issues && `<ul>${issues}</ul>`),
+    section("Parsed facts", crashEvent && parsedFacts(crashEvent)),
+    section("Log excerpt", logExcerpt(meta.log)),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(title)}</title><style>${STYLE}</style></head>
+<body><table class="page">
+<thead><tr><td><div class="running">
+  <span>Kernel crash analysis — ${esc(host)}</span>
+  <span>${esc(kernel)}</span>
+  <span>${esc(date.toLocaleString())}</span>
+</div></td></tr></thead>
+<tbody><tr><td>${body}</td></tr></tbody>
+</table></body></html>`;
+}
+
+/** Open the print dialog for the report ("Save as PDF" produces the file). */
+export function printReport(args) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;";
+  frame.srcdoc = reportDocument(args);
+  frame.onload = () => {
+    const win = frame.contentWindow;
+    win.onafterprint = () => frame.remove();
+    win.focus();
+    win.print();
+  };
+  document.body.appendChild(frame);
+}
@@ -0,0 +1,189 @@
+// ─── AnalysisReport runtime validation ───
+//
+// The backend checks types, not values: a report can still arrive with
+// "Severity: HIGH", confidence 150 or a crash type the UI has no colour
+// for. Every field is normalised here into what the report view, the
+// exports and the history facets expect, and each repair is recorded so
+// the user can see what the model actually said.
+
+export const CRASH_TYPES = [
+  "Kernel Panic",
+  "Oops",
+  "OOM Kill",
+  "Hung Task",
+  "GPU Fault",
+  "Filesystem Corruption",
+  "Segfault",
+  "Soft Lockup",
+  "Hard Lockup",
+  "Other",
+];
+
+export const SEVERITIES = ["critical", "high", "medium", "low"];
+
+// Spellings models use for the same thing, after lower-casing and
+// squashing punctuation to spaces.
+const CRASH_TYPE_ALIASES = {
+  panic: "Kernel Panic",
+  "kernel oops": "Oops",
+  bug: "Oops",
+  "null pointer dereference": "Oops",
+  oom: "OOM Kill",
+  "out of memory": "OOM Kill",
+  "oom killer": "OOM Kill",
+  "hung task timeout": "Hung Task",
+  "gpu hang": "GPU Fault",
+  "filesystem error": "Filesystem Corruption",
+  "fs corruption": "Filesystem Corruption",
+  "segmentation fault": "Segfault",
+  "rcu stall": "Soft Lockup",
+  "nmi watchdog": "Hard Lockup",
+};
+
+const SEVERITY_ALIASES = {
+  crit: "critical",
+  fatal: "critical",
+  severe: "high",
+  major: "high",
+  moderate: "medium",
+  warning: "medium",
+  minor: "low",
+  info: "low",
+  informational: "low",
+};
+
+const squash = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+function normalizeEnum(value, allowed, aliases, fallback) {
+  const key = squash(value ?? "");
+  const exact = allowed.find((a) => squash(a) === key) || aliases[key];
+  // Case and punctuation differences aren't worth a repair note.
+  if (exact) {
+    return squash(exact) === key ? { value: exact } : { value: exact, repair: `"${value}" read as "${exact}"` };
+  }
+  return {
+    value: fallback,
+    repair: value == null ? `missing, set to "${fallback}"` : `unknown value "${value}", set to "${fallback}"`,
+  };
+}
+
+function normalizeString(value) {
+  if (typeof value === "string") return { value };
+  if (value == null) return { value: "", repair: "missing" };
+  return { value: typeof value === "object" ? JSON.stringify(value) : String(value), repair: "not text" };
+}
+
+function normalizeList(value, item) {
+  if (value == null) return { value: [], repair: "missing, left empty" };
+  const list = Array.isArray(value) ? value : [value];
+  const items = list.map(item).filter(Boolean);
+  if (!Array.isArray(value)) return { value: items, repair: "not a list" };
+  if (items.length < list.length) {
+    return { value: items, repair: `${list.length - items.length} malformed item(s) dropped` };
+  }
+  return { value: items, repair: items.some((v, i) => v !== list[i]) ? "items reshaped" : null };
+}
+
+// Items are returned unchanged when already valid, so normalizeList can
+// tell whether anything was reshaped.
+const textItem = (v) =>
+  typeof v === "string" ? v : v == null || typeof v === "object" ? null : String(v);
+
+const issueItem = (v) => {
+  if (typeof v === "string") return { id: v, title: "", url: "#" };
+  if (!v || typeof v !== "object" || (v.id == null && v.title == null)) return null;
+  if (typeof v.id === "string" && typeof v.title === "string" && typeof v.url === "string") return v;
+  return { id: String(v.id ?? ""), title: String(v.title ?? ""), url: typeof v.url === "string" ? v.url : "#" };
+};
+
+const frameItem = (v) => {
+  if (typeof v === "string") return { func: v, note: "" };
+  if (!v || typeof v !== "object" || v.func == null) return null;
+  if (typeof v.func === "string" && typeof v.note === "string") return v;
+  return { func: String(v.func), note: String(v.note ?? "") };
+};
+
+function normalizeConfidence(value) {
+  let n = typeof value === "string" ? parseFloat(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) {
+    return { value: null, repair: value == null ? "missing" : `"${value}" is not a number` };
+  }
+  const notes = [];
+  // 0.85 from a model that answered as a fraction.
+  if (n > 0 && n < 1) {
+    n *= 100;
+    notes.push("read as a fraction");
+  }
+  const clamped = Math.round(Math.min(100, Math.max(0, n)));
+  if (clamped !== Math.round(n)) notes.push(`clamped from ${value}`);
+  else if (clamped !== value && !notes.length) notes.push(`${JSON.stringify(value)} read as ${clamped}`);
+  return { value: clamped, repair: notes.join(", ") || null };
+}
+
+const FIELDS = {
+  crash_type: (v) => normalizeEnum(v, CRASH_TYPES, CRASH_TYPE_ALIASES, "Other"),
+  severity: (v) => normalizeEnum(v, SEVERITIES, SEVERITY_ALIASES, "medium"),
+  confidence: normalizeConfidence,
+  root_cause: normalizeString,
+  detailed_analysis: normalizeString,
+  affected_subsystem: normalizeString,
+  probable_trigger: normalizeString,
+  suggested_fixes: (v) => normalizeList(v, textItem),
+  related_issues: (v) => normalizeList(v, issueItem),
+  annotated_trace: (v) => normalizeList(v, frameItem),
+};
+
+/**
+ * One report field, e.g. as it streams in. Unknown keys pass through.
+ * @returns {{value: *, repair?: string|null}}
+ */
+export function normalizeReportField(key, value) {
+  return FIELDS[key] ? FIELDS[key](value) : { value };
+}
+
+/**
+ * @typedef {Object} FieldRepair
+ * @property {string} field
+ * @property {string} problem   what was wrong and what was done about it
+ */
+
+/**
+ * Normalise a report from the backend, an imported file or a shared
+ * link, or one loaded from the history. When anything had to be repaired
+ * the result carries `repaired_fields` and the original as
+ * `raw_response`, so they travel with the report into the history and
+ * exports.
+ * @param {*} raw   the parsed response body or stored report
+ * @returns {Object} AnalysisReport
+ */
+export function validateReport(raw) {
+  const source = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const { repaired_fields: earlier, raw_response: original, ...report } = source;
+  /** @type {FieldRepair[]} */
+  const repairs = source === raw ? [] : [{ field: "report", problem: "not a JSON object" }];
+  for (const key of Object.keys(FIELDS)) {
+    const { value, repair } = normalizeReportField(key, source[key]);
+    report[key] = value;
+    if (repair) repairs.push({ field: key, problem: repair });
+  }
+  // A report validated before (reloaded, re-imported, shared) keeps its
+  // first repairs and the model's original output; a second pass only
+  // adds fields that weren't repaired then.
+  if (Array.isArray(earlier)) {
+    const kept = earlier.filter((r) => typeof r?.field === "string" && typeof r.problem === "string");
+    const added = repairs.filter((r) => !kept.some((k) => k.field === r.field));
+    const merged = [...kept, ...added];
+    if (!merged.length) return report;
+    return {
+      ...report,
+      repaired_fields: merged,
+      ...(typeof original === "string" && { raw_response: original }),
+    };
+  }
+  if (!repairs.length) return report;
+  return { ...report, repaired_fields: repairs, raw_response: JSON.stringify(raw, null, 2) };
+}
@@ -0,0 +1,46 @@
+// ─── Hash routing ───
+//
+// Three routes: #/analyzer (the default), #/history and #/report/:id. The
+// hash keeps it working on a static host with no rewrite rules, and a
+// report link's payload (?d=...) never reaches any server.
+
+import { useSyncExternalStore } from "react";
+
+/**
+ * @typedef {Object} Route
+ * @property {"analyzer"|"history"|"report"} name
+ * @property {string} [id]     report route: the history entry id
+ * @property {string} [data]   report route: encoded report, see permalink.js
+ */
+
+/** @returns {Route} */
+export function parseRoute(hash) {
+  const [path, query = ""] = hash.replace(/^#\/?/, "").split("?");
+  const [name, id] = path.split("/");
+  if (name === "history") return { name: "history" };
+  if (name === "report" && id) {
+    return { name: "report", id, data: new URLSearchParams(query).get("d") || null };
+  }
+  return { name: "analyzer" };
+}
+
+/** The hash for a route, e.g. "#/report/1739271234567?d=..." */
+export function routeHash({ name, id, data }) {
+  if (name !== "report") return `#/${name}`;
+  return `#/report/${id}${data ? `?d=${data}` : ""}`;
+}
+
+export function navigate(route) {
+  window.location.hash = routeHash(route);
+}
+
+const subscribe = (onChange) => {
+  window.addEventListener("hashchange", onChange);
+  return () => window.removeEventListener("hashchange", onChange);
+};
+
+/** The current route; re-renders on back / forward and link clicks. */
+export function useRoute() {
+  const hash = useSyncExternalStore(subscribe, () => window.location.hash);
+  return parseRoute(hash);
+}
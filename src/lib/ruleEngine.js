@@ -0,0 +1,421 @@
+// ─── Offline rule-based analysis ───
+//
+// Builds an AnalysisReport-shaped result (the same JSON the backend returns)
+// from the deterministic parsers alone, for air-gapped machines and as the
+// fallback when /analyze is unreachable. Everything here is derived from
+// the CrashEvent, the register heuristics and the taint attribution; the
+// report is marked `engine: "rules"` and carries its own confidence.
+
+import { formatSymbol } from "./crashEvent.js";
+import { disassembleCode, explainFault, formatInstruction, codeLabeler } from "./disasm.js";
+import { evaluateRegisters } from "./registerRules.js";
+import { attributeTaint, describeTaintVerdict } from "./taint.js";
+
+// ─── Subsystems ───
+
+// Module name → subsystem. Checked before symbol prefixes: a frame in a
+// module belongs to that module whatever the function is called.
+const MODULE_SUBSYSTEMS = [
+  [/^(ext4|jbd2|mbcache)$/, "ext4 filesystem"],
+  [/^xfs$/, "XFS filesystem"],
+  [/^btrfs$/, "Btrfs filesystem"],
+  [/^(nfs|nfsv[34]|nfsd|sunrpc|lockd|rpcsec_gss_krb5)$/, "NFS / SunRPC"],
+  [/^(cifs|smb\w*)$/, "SMB / CIFS client"],
+  [/^(zfs|spl|zavl|znvpair|zunicode|zcommon|icp)$/, "ZFS (out-of-tree)"],
+  [/^(fuse|overlay)$/, "FUSE / overlayfs"],
+  [/^nvidia(_\w+)?$/, "NVIDIA GPU driver"],
+  [/^(amdgpu|radeon)$/, "AMD GPU driver"],
+  [/^(i915|xe)$/, "Intel GPU driver"],
+  [/^nouveau$/, "nouveau GPU driver"],
+  [/^(drm|drm_kms_helper|ttm|drm_\w+)$/, "DRM graphics core"],
+  [/^(mlx[45]_\w+)$/, "Mellanox / NVIDIA ConnectX networking"],
+  [/^(ib_\w+|rdma_\w+|iw_cm)$/, "RDMA / InfiniBand"],
+  [/^(ixgbe|ixgbevf|i40e|iavf|ice|igb|igc|e1000e?)$/, "Intel Ethernet driver"],
+  [/^(bnxt_en|bnx2x|tg3|qede|qed|be2net|sfc|ena|r8169)$/, "Ethernet driver"],
+  [/^(nvme|nvme_core|nvme_fabrics|nvme_tcp|nvme_rdma)$/, "NVMe storage"],
+  [/^(sd_mod|scsi_\w+|megaraid_sas|mpt3sas|hpsa|smartpqi|qla2xxx|lpfc|ahci|libata|libahci)$/, "SCSI / SATA storage"],
+  [/^(dm_\w+)$/, "device-mapper"],
+  [/^(md_mod|raid\d+|raid456)$/, "MD software RAID"],
+  [/^(kvm|kvm_intel|kvm_amd|vfio\w*|vhost\w*)$/, "KVM / virtualization"],
+  [/^(virtio\w*)$/, "virtio"],
+  [/^(xhci_\w+|ehci_\w+|usbcore|usb_storage|uas)$/, "USB"],
+  [/^(iwlwifi|iwlmvm|ath\d+k\w*|mt76\w*|rtw\w+|brcmfmac|cfg80211|mac80211)$/, "Wi-Fi"],
+  [/^(bluetooth|btusb|btintel|btrtl)$/, "Bluetooth"],
+  [/^(snd\w*)$/, "ALSA sound"],
+  [/^(nf_\w+|nft_\w+|xt_\w+|ip6?_tables|ip6?table_\w+|x_tables|nfnetlink\w*)$/, "netfilter"],
+  [/^(bridge|bonding|team|vxlan|geneve|openvswitch|macvlan|ipvlan|veth|tun|wireguard)$/, "virtual networking"],
+];
+
+// Core-kernel function prefixes → subsystem.
+const SYMBOL_SUBSYSTEMS = [
+  [/^(ext4|jbd2)_/, "ext4 filesystem"],
+  [/^xfs_/, "XFS filesystem"],
+  [/^btrfs_/, "Btrfs filesystem"],
+  [/^(nfs|nfs4|rpc|svc|xprt)_/, "NFS / SunRPC"],
+  [/^(nf_|nft_|ipt_|ip6t_|xt_)/, "netfilter"],
+  [/^(tcp|udp|ipv6|ip6?|inet6?|sock|sk|skb|__skb|netif|__netif|napi|__napi|dev_|__dev_|neigh|fib6?|rt6?|net_rx|netlink)_/, "networking core"],
+  [/^(kmem_cache|kmalloc|__kmalloc|kfree|slab|__slab|___slab|kmem|kvmalloc|kvfree)_?/, "slab allocator"],
+  [/^(__alloc_pages|alloc_pages|__free_pages|free_pages|get_page_from_freelist|rmqueue|__rmqueue|page_|folio_|__folio_|compaction_|isolate_)/, "page allocator"],
+  [/^(handle_mm_fault|__handle_mm_fault|do_user_addr_fault|exc_page_fault|asm_exc_page_fault|do_mmap|mmap_|vma_|unmap_|zap_|copy_page_range|do_anonymous_page|do_wp_page|filemap_)/, "memory management"],
+  [/^(out_of_memory|oom_|mem_cgroup_|try_charge|__mem_cgroup)/, "memory cgroup / OOM"],
+  [/^(blk_|__blk_|bio_|submit_bio|elv_|dd_|bfq_|kyber_)/, "block layer"],
+  [/^(scsi_|__scsi_|sd_)/, "SCSI / SATA storage"],
+  [/^nvme_/, "NVMe storage"],
+  [/^(vfs_|do_sys_open|do_filp_open|path_|d_|__d_|dput|iput|inode_|__fput|fput|filp_|generic_file|iterate_dir|lookup_|mount_|do_mount|__x64_sys_mount|kern_path)/, "VFS"],
+  [/^(drm_|ttm_)/, "DRM graphics core"],
+  [/^(pci_|pcie_)/, "PCI"],
+  [/^(usb_|xhci_)/, "USB"],
+  [/^(dma_|iommu_|intel_iommu|amd_iommu)/, "DMA / IOMMU"],
+  [/^(bpf_|__bpf|___bpf)/, "BPF"],
+  [/^(kvm_|vmx_|svm_)/, "KVM / virtualization"],
+  [/^(cgroup_|css_)/, "cgroups"],
+  [/^(timer_|hrtimer_|__run_timers|call_timer_fn)/, "timers"],
+];
+
+// Subsystems that say where the code was running, not what failed. A crash
+// whose RIP is in one of these is attributed to the first caller outside.
+const GENERIC_SUBSYSTEMS = new Set(["scheduler", "locking", "RCU", "workqueue", "interrupt handling", "syscall entry"]);
+const GENERIC_SYMBOLS = [
+  [/^(schedule|__schedule|schedule_\w+|io_schedule\w*|preempt_schedule\w*|finish_task_switch|context_switch)$/, "scheduler"],
+  [/^(mutex_|__mutex_|down_|__down|up_|rwsem_|_raw_spin|queued_spin|native_queued_spin|__raw_spin|spin_|_raw_read|_raw_write|rt_mutex)/, "locking"],
+  [/^(rcu_|__rcu|synchronize_rcu)/, "RCU"],
+  [/^(process_one_work|worker_thread|kthread|ret_from_fork\w*)$/, "workqueue"],
+  [/^(irq_|handle_irq|__handle_irq|handle_edge_irq|handle_fasteoi_irq|do_IRQ|common_interrupt|asm_common_interrupt|__do_softirq|irq_exit\w*|__irq_exit\w*|sysvec_\w+|asm_sysvec_\w+|do_softirq\w*|net_rx_action)/, "interrupt handling"],
+  [/^(do_syscall_64|entry_SYSCALL_64\w*|__x64_sys_\w+|__do_sys_\w+|__se_sys_\w+|syscall_exit\w*)$/, "syscall entry"],
+];
+
+function subsystemOf(symbol, module) {
+  if (module) {
+    const hit = MODULE_SUBSYSTEMS.find(([re]) => re.test(module));
+    return hit ? hit[1] : `${module} module`;
+  }
+  if (!symbol) return null;
+  const generic = GENERIC_SYMBOLS.find(([re]) => re.test(symbol));
+  if (generic) return generic[1];
+  const hit = SYMBOL_SUBSYSTEMS.find(([re]) => re.test(symbol));
+  return hit ? hit[1] : null;
+}
+
+// RIP first, then reliable frames; the first location outside the generic
+// subsystems names the culprit.
+function locateSubsystem(event) {
+  const sites = [
+    event.rip?.symbol && event.rip,
+    event.workqueue?.func && { symbol: event.workqueue.func, module: event.workqueue.module },
+    ...event.frames.filter((f) => !f.unreliable),
+  ].filter(Boolean);
+  let fallback = null;
+  for (const site of sites) {
+    const name = subsystemOf(site.symbol, site.module);
+    if (!name) continue;
+    if (!GENERIC_SUBSYSTEMS.has(name)) return { name, site };
+    fallback ??= { name, site };
+  }
+  return fallback || { name: "core kernel", site: event.rip };
+}
+
+// ─── Frame notes ───
+
+const FRAME_NOTES = [
+  [/^entry_SYSCALL_64/, "syscall entry from user space"],
+  [/^do_syscall_64$/, "syscall dispatcher"],
+  [/^__(x64|ia32)_sys_(\w+)$/, (m) => `${m[2]}(2) system call`],
+  [/^(__do_sys|__se_sys)_(\w+)$/, (m) => `${m[2]}(2) system call body`],
+  [/^ret_from_fork/, "first return of a newly created kernel thread"],
+  [/^kthread$/, "kernel thread main loop"],
+  [/^worker_thread$/, "workqueue worker thread"],
+  [/^process_one_work$/, "runs one queued work item"],
+  [/^(asm_)?exc_page_fault$/, "page fault exception entry"],
+  [/^do_user_addr_fault$/, "page fault handling for a user-space address"],
+  [/^(asm_)?exc_invalid_op$/, "invalid opcode (ud2) trap — BUG() / WARN()"],
+  [/^handle_bug$/, "BUG()/WARN() handler"],
+  [/^(asm_)?sysvec_apic_timer_interrupt$/, "timer interrupt"],
+  [/^__do_softirq$/, "softirq processing"],
+  [/^net_rx_action$/, "NAPI receive softirq"],
+  [/^(__)?schedule$/, "task sleeps — gives up the CPU"],
+  [/^schedule_timeout/, "sleeps with a timeout"],
+  [/^io_schedule/, "waits for I/O to complete"],
+  [/^(mutex_lock|__mutex_lock|mutex_lock_\w+)/, "blocks on a mutex"],
+  [/^(down_read|down_write|rwsem_down_\w+)/, "blocks on an rw-semaphore"],
+  [/^(wait_for_completion|__wait_for_common)/, "waits for a completion"],
+  [/^(queued_spin_lock_slowpath|native_queued_spin_lock_slowpath)/, "spins waiting for a contended spinlock"],
+  [/^(mount_bdev|get_tree_bdev|vfs_get_tree)$/, "mounts a filesystem"],
+  [/^path_mount$/, "mount(2) path resolution"],
+  [/^(kmem_cache_alloc|__kmalloc|kmalloc)/, "allocates slab memory"],
+  [/^(kfree|kmem_cache_free)/, "frees slab memory"],
+  [/^out_of_memory$/, "OOM killer entry"],
+  [/^dump_stack/, "prints this stack trace"],
+];
+
+function frameNote(frame) {
+  for (const [re, note] of FRAME_NOTES) {
+    const m = re.exec(frame.symbol || "");
+    if (m) return typeof note === "function" ? note(m) : note;
+  }
+  const where = subsystemOf(frame.symbol, frame.module);
+  if (frame.module) return `in ${frame.module}${where && where !== `${frame.module} module` ? ` (${where})` : ""}`;
+  return where || "core kernel";
+}
+
+// ─── Event details not in the CrashEvent ───
+
+function scanText(lines) {
+  const text = lines.map((l) => (typeof l === "string" ? l : l.text)).join("\n");
+  const find = (re) => re.exec(text);
+  return {
+    oomKilled: find(/Killed process (\d+) \(([^)]+)\)(?:.*?anon-rss:(\d+)kB)?/),
+    oomInvoker: find(/(\S+) invoked oom-killer: gfp_mask=(\S+).*?order=(-?\d+)/),
+    oomConstraint: find(/oom-kill:constraint=(\w+)/),
+    memcg: /Memory cgroup out of memory/.test(text),
+    softLockup: find(/soft lockup - CPU#(\d+) stuck for (\d+)s! \[([^\]]+)\]/),
+    hardLockup: find(/Watchdog detected hard LOCKUP on cpu (\d+)/i),
+    bugAt: find(/kernel BUG at ([^!]+)!/),
+    fsError: find(/(EXT4-fs error|XFS \(\S+\): (?:Corruption|Metadata corruption)|BTRFS (?:error|critical)|JBD2: .*(?:error|corrupt))[^\n]*/),
+    gpu: find(/NVRM: Xid[^\n]*|amdgpu: [^\n]*(?:timeout|fault)[^\n]*|i915 [^\n]*GPU HANG[^\n]*/),
+    segfault: find(/(\S+)\[(\d+)\]: segfault at ([0-9a-f]+) ip ([0-9a-f]+)[^\n]*/),
+    kdumpLoaded: /Kdump: loaded/.test(text),
+  };
+}
+
+// ─── Classification ───
+
+function classify(event, facts, segmentKind, subsystem) {
+  const kind = event.kind || segmentKind;
+  const fatal = Boolean(event.panicReason);
+  if (kind === "oom" || facts.oomKilled) return { crash_type: "OOM Kill", severity: facts.memcg ? "medium" : "high" };
+  if (kind === "hung_task") return { crash_type: "Hung Task", severity: "high" };
+  if (kind === "soft_lockup") return { crash_type: "Soft Lockup", severity: fatal ? "critical" : "high" };
+  if (kind === "hard_lockup") return { crash_type: "Hard Lockup", severity: "critical" };
+  if (facts.fsError) return { crash_type: "Filesystem Corruption", severity: "critical" };
+  if (facts.gpu || /GPU driver|DRM graphics/.test(subsystem)) {
+    return { crash_type: "GPU Fault", severity: fatal ? "critical" : "high" };
+  }
+  if (kind === "panic" || event.panicReason) return { crash_type: "Kernel Panic", severity: "critical" };
+  if (kind === "oops" || kind === "bug") return { crash_type: "Oops", severity: "high" };
+  if (facts.segfault && !event.headline) return { crash_type: "Segfault", severity: "low" };
+  if (kind === "warning") return { crash_type: "Other", severity: "medium" };
+  return { crash_type: "Other", severity: event.headline ? "medium" : "low" };
+}
+
+// ─── Fix suggestions ───
+
+const UPGRADE_COMMANDS = {
+  Ubuntu: "sudo apt update && apt list --upgradable 'linux-image-*'",
+  Debian: "sudo apt update && apt list --upgradable 'linux-image-*'",
+  "RHEL / CentOS": "sudo dnf check-update kernel",
+  Fedora: "sudo dnf check-update kernel",
+  "SUSE / openSUSE": "sudo zypper list-updates | grep -i kernel",
+  "Arch Linux": "sudo pacman -Syu linux",
+  Alpine: "sudo apk upgrade --available linux-lts",
+};
+
+function suggestFixes({ event, crashType, findings, taint, location, facts, distro }) {
+  const fixes = [];
+  const rip = event.rip;
+  const top = findings[0];
+
+  if (rip?.symbol && rip.offset != null) {
+    const object = rip.module ? `$(modinfo -n ${rip.module})` : "vmlinux";
+    fixes.push(
+      `Resolve the faulting source line with debug symbols: ./scripts/faddr2line ${object} ${formatSymbol({ ...rip, module: null })}`
+    );
+  }
+  if (taint.verdict === "rip" || taint.verdict === "trace") {
+    const mods = [...new Set(taint.hits.map((h) => h.module))].join(", ");
+    fixes.push(
+      `The crash path runs through out-of-tree code (${mods}): reproduce without it or on the vendor's latest release, and report to the vendor — upstream will not triage a kernel tainted by it`
+    );
+  }
+  if (top?.id === "null-deref") {
+    fixes.push(
+      `Audit ${rip?.symbol || location.site?.symbol || "the faulting function"} for a missing NULL check on the pointer in ${top.registers[0] || "the base register"}; use pahole to map the member offset to a struct field`
+    );
+  } else if (top && /poison/.test(top.id)) {
+    fixes.push(
+      "Reproduce with slub_debug=FZPU (or a CONFIG_KASAN kernel) to capture the allocation and free stacks of the corrupted object"
+    );
+  } else if (top?.id === "user-address") {
+    fixes.push(
+      `Check ${rip?.symbol || "the faulting function"} for a __user pointer dereferenced directly instead of through copy_from_user()/get_user()`
+    );
+  }
+
+  switch (crashType) {
+    case "Hung Task":
+      fixes.push(
+        "While it is stuck, dump all blocked tasks with `echo w > /proc/sysrq-trigger` and find who holds the lock the task is waiting on",
+        "Check the storage or network filesystem the task waits on: `iostat -x 1`, multipath / NFS server health, and dmesg for I/O errors"
+      );
+      break;
+    case "Soft Lockup":
+    case "Hard Lockup":
+      fixes.push(
+        `Find the loop in ${rip?.symbol || "the RIP function"} that runs without cond_resched() or with interrupts disabled; capture it with \`perf record -a -g\` while it spins`,
+        "Set kernel.softlockup_panic=1 / kernel.hardlockup_panic=1 with kdump to capture a vmcore on the next occurrence"
+      );
+      break;
+    case "OOM Kill":
+      fixes.push(
+        facts.memcg
+          ? "The kill was inside a memory cgroup: check the container's memory.max / limits against its real working set"
+          : "Identify the memory consumer: `ps aux --sort=-rss | head` and /proc/meminfo (Slab, SUnreclaim) around the time of the kill",
+        "If slab memory dominates, look at `slabtop -o` for a leaking cache; otherwise size the workload or add swap / tune vm.overcommit_memory"
+      );
+      break;
+    case "Filesystem Corruption":
+      fixes.push(
+        "Unmount and run a read-only filesystem check (`e2fsck -fn`, `xfs_repair -n`, `btrfs check --readonly`) before any repair",
+        "Check the underlying device for errors: `smartctl -a`, `nvme smart-log`, dmesg for I/O or medium errors"
+      );
+      break;
+    case "GPU Fault":
+      fixes.push(
+        "Collect the driver's own diagnostics (nvidia-bug-report.sh, /sys/kernel/debug/dri/*) and match the driver version against the vendor's known issues"
+      );
+      break;
+    default:
+      if (event.warning) {
+        fixes.push(
+          `The WARN_ON at ${event.warning.location} is a kernel self-check: read the condition at that line to see which invariant broke`
+        );
+      }
+  }
+
+  if (!facts.kdumpLoaded && crashType !== "OOM Kill") {
+    fixes.push("Enable kdump (crashkernel= on the kernel command line) so the next occurrence leaves a vmcore for crash(8)");
+  }
+  const upgrade = UPGRADE_COMMANDS[distro];
+  fixes.push(
+    upgrade
+      ? `Check for a newer ${distro} kernel with a fix: \`${upgrade}\`, and search lore.kernel.org for ${location.site?.symbol || "the faulting function"}`
+      : `Search lore.kernel.org and the stable changelogs for fixes to ${location.site?.symbol || "the faulting function"} newer than your kernel`
+  );
+  return fixes;
+}
+
+// ─── Report ───
+
+function confidenceOf(event, findings, location) {
+  let c = 20;
+  if (event.headline) c += 15;
+  if (event.rip?.symbol) c += 10;
+  if (event.frames.some((f) => !f.unreliable)) c += 10;
+  if (findings.some((f) => f.severity === "high")) c += 15;
+  if (location.name !== "core kernel") c += 5;
+  return Math.min(c, 75); // never as sure as an engineer reading the source
+}
+
+/**
+ * Produce an AnalysisReport from parsed data alone.
+ *
+ * @param {Object} input
+ * @param {import("./crashEvent.js").CrashEvent} input.event
+ * @param {Array} input.lines   normalizeLog() lines the event came from
+ * @param {string} [input.segmentKind] segmenter kind when the parser found no headline
+ * @param {string} [input.kernel]  kernel release (detected or user-provided)
+ * @param {string} [input.distro]  one of the form's DISTROS, "" when unknown
+ */
+export function analyzeOffline({ event, lines, segmentKind, kernel, distro }) {
+  const facts = scanText(lines);
+  const findings = evaluateRegisters(event);
+  const taint = attributeTaint(event);
+  const location = locateSubsystem(event);
+  const { crash_type, severity } = classify(event, facts, segmentKind, location.name);
+  const dis = event.code ? disassembleCode(event.code) : null;
+  const label = event.code ? codeLabeler(event.rip, event.code.faultIndex) : undefined;
+  const faultNotes = dis?.fault ? explainFault(dis.fault, event.registers) : [];
+  const where = event.rip?.symbol
+    ? `${event.rip.symbol}${event.rip.module ? ` [${event.rip.module}]` : ""}`
+    : location.site?.symbol || "an unknown location";
+  const task = event.comm ? `${event.comm} (PID ${event.pid ?? "?"}, CPU ${event.cpu ?? "?"})` : null;
+
+  // Root cause: the strongest evidence, in one or two sentences.
+  const lead = findings.find((f) => f.severity === "high");
+  let root;
+  if (crash_type === "OOM Kill" && facts.oomKilled) {
+    root = `The OOM killer killed ${facts.oomKilled[2]} (PID ${facts.oomKilled[1]})${facts.memcg ? " because its memory cgroup hit its limit" : " after the system ran out of memory"}${facts.oomInvoker ? `; ${facts.oomInvoker[1]} triggered it with an order-${facts.oomInvoker[3]} allocation` : ""}.`;
+  } else if (crash_type === "Hung Task" && event.hungTask) {
+    const blocker = event.frames.find((f) => !f.unreliable && !GENERIC_SUBSYSTEMS.has(subsystemOf(f.symbol, f.module)));
+    root = `${event.hungTask.comm} (PID ${event.hungTask.pid}) was blocked for more than ${event.hungTask.seconds} seconds${blocker ? ` waiting in ${blocker.symbol}` : ""} — a lock holder or I/O that never completed.`;
+  } else if (facts.softLockup) {
+    root = `CPU ${facts.softLockup[1]} spent ${facts.softLockup[2]}s in ${where} without scheduling (${facts.softLockup[3]}).`;
+  } else if (lead) {
+    root = `${lead.title} in ${where}. ${lead.detail}.`;
+  } else if (event.warning) {
+    root = `WARN_ON triggered at ${event.warning.location} in ${event.warning.symbol}: a kernel consistency check failed.`;
+  } else if (facts.bugAt) {
+    root = `BUG_ON assertion failed at ${facts.bugAt[1]} in ${where}.`;
+  } else if (facts.fsError) {
+    root = `The filesystem reported on-disk corruption: ${facts.fsError[0].trim()}`;
+  } else if (event.headline) {
+    root = `${event.headline} in ${where}.`;
+  } else if (event.rip?.symbol && dis?.fault?.mnemonic === "ud2") {
+    root = `${where} hit a BUG()/WARN() trap (ud2); the headline that names the check is outside this segment.`;
+  } else {
+    root = "No oops, panic or warning signature was found; the log does not contain enough for a rule-based diagnosis.";
+  }
+  if (taint.verdict === "rip") root += ` ${describeTaintVerdict(taint)}.`;
+
+  const trigger = [
+    task && `Running in ${task}`,
+    event.workqueue && `from the ${event.workqueue.name} workqueue (${event.workqueue.func})`,
+    (() => {
+      const sys = event.frames.find((f) => /^__(x64|ia32)_sys_/.test(f.symbol || ""));
+      return sys && `during a ${sys.symbol.replace(/^__(x64|ia32)_sys_/, "")}(2) system call`;
+    })(),
+    facts.oomInvoker && `allocation by ${facts.oomInvoker[1]} (gfp_mask=${facts.oomInvoker[2]})`,
+    event.lastUnloaded && `shortly after ${event.lastUnloaded} was unloaded`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const paragraphs = [
+    [
+      event.headline && `Headline: ${event.headline}`,
+      task && `Task: ${task}`,
+      kernel && `Kernel: ${kernel}${distro ? ` (${distro})` : ""}`,
+      event.hardware && `Hardware: ${event.hardware.name}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    event.rip &&
+      [
+        `Faulting location: ${formatSymbol(event.rip) || event.rip.raw} — attributed to ${location.name}.`,
+        dis?.fault && `Faulting instruction: ${formatInstruction(dis.fault, label)}`,
+        ...faultNotes.map((n) => `  ${n}`),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    findings.length > 0 && ["Register evidence:", ...findings.map((f) => `  • ${f.title} — ${f.detail}`)].join("\n"),
+    (event.taint || event.modules.length > 0) &&
+      `Taint: ${event.taint || "not printed"}. ${describeTaintVerdict(taint)}.`,
+    facts.fsError && `Filesystem error: ${facts.fsError[0].trim()}`,
+    facts.gpu && `GPU driver message: ${facts.gpu[0].trim()}`,
+    "This report was produced by the offline rule engine from the parsed log alone; it identifies where and how the kernel failed, not why the code got there. Confirm against the source before acting on it.",
+  ].filter(Boolean);
+
+  const annotated = [
+    event.rip?.symbol && {
+      func: formatSymbol(event.rip),
+      note: dis?.fault ? `faulting instruction: ${formatInstruction(dis.fault, label)}` : "faulting instruction",
+    },
+    ...event.frames.map((f) => ({
+      func: `${f.unreliable ? "? " : ""}${f.raw}`,
+      note: f.unreliable ? "unreliable — stale return address left on the stack" : frameNote(f),
+    })),
+  ].filter(Boolean);
+
+  return {
+    engine: "rules",
+    crash_type,
+    severity,
+    confidence: confidenceOf(event, findings, location),
+    root_cause: root,
+    detailed_analysis: paragraphs.join("\n\n"),
+    affected_subsystem: location.name,
+    probable_trigger: trigger || "Not determinable from the log without the source",
+    suggested_fixes: suggestFixes({ event, crashType: crash_type, findings, taint, location, facts, distro }),
+    related_issues: [],
+    annotated_trace: annotated,
+  };
+}
@@ -0,0 +1,207 @@
+// ─── Kernel event segmentation ───
+//
+// Scans a full syslog / dmesg / journal dump and cuts out every distinct
+// kernel event (Oops, BUG, WARNING, panic, hung task, lockup, OOM) so each
+// one can be analyzed on its own instead of shipping the whole file.
+
+import { normalizeLog } from "./prefix.js";
+
+export const EVENT_KINDS = {
+  oops: { label: "Oops", color: "#ff453a" },
+  bug: { label: "BUG", color: "#ff453a" },
+  warning: { label: "Warning", color: "#ffd60a" },
+  panic: { label: "Kernel Panic", color: "#ff3b30" },
+  hung_task: { label: "Hung Task", color: "#ff9500" },
+  soft_lockup: { label: "Soft Lockup", color: "#ff9500" },
+  hard_lockup: { label: "Hard Lockup", color: "#ff3b30" },
+  oom: { label: "OOM Kill", color: "#bf5af2" },
+  trace: { label: "Call Trace", color: "#5ac8fa" },
+};
+
+// Lines that open a new event. Order matters: the first match wins.
+const START_PATTERNS = [
+  { kind: "soft_lockup", re: /\bBUG: soft lockup\b/ },
+  { kind: "hard_lockup", re: /Watchdog detected hard LOCKUP/i },
+  { kind: "hung_task", re: /^INFO: task \S+ blocked for more than \d+ seconds/ },
+  { kind: "oom", re: /invoked oom-killer:|^Out of memory:/ },
+  { kind: "bug", re: /^(kernel )?BUG: / },
+  { kind: "warning", re: /^WARNING: (CPU: \d+ PID: \d+|at )/ },
+  { kind: "oops", re: /^(Oops|general protection fault|Internal error: Oops)\b/ },
+  { kind: "panic", re: /^Kernel panic - not syncing/ },
+];
+
+// Lines that open an event whose kind is only known from what follows
+// ("cut here" banners) or that carry a trace with no headline at all.
+const CUT_HERE_RE = /^-+\[ cut here \]-+$/;
+const ORPHAN_START_RE = /^(CPU: \d+ PID: \d+ Comm: |Hardware name: |RIP: [0-9a-f]{4}:|Call Trace:$)/;
+
+const END_TRACE_RE = /^-+\[ end (trace|Kernel panic)[^\]]*\]-+$/;
+
+// Everything the kernel prints as part of an oops / warning / OOM report.
+const BODY_PATTERNS = [
+  /^#PF: /,
+  /^(PGD|P4D|PUD|PMD|PTE) [0-9a-f]+/,
+  /^(Oops|Modules linked in|CPU|Hardware name|Workqueue|RIP|Code|RSP|EFLAGS|FS|CS|CR2|DR[0-7]|PKRU|Call Trace|Stack|Tainted|irq event stamp|hardirqs|softirqs|Mem-Info|Node \d+|Free swap|Total swap|Tasks state|Swap cache stats|oom-kill|oom_reaper|Out of memory|Kernel Offset|Sending NMI|NMI backtrace|Dumping ftrace|last function|Shutting down cpus|Rebooting in)\b/,
+  /^R(AX|BX|CX|DX|SI|DI|BP|SP|IP)\b|^R(8|9|1[0-5]):/,
+  /^<\/?(IRQ|TASK|NMI|EOI)>$/,
+  /^\? /,
+  /^[\w.$]+\+0x[0-9a-f]+\/0x[0-9a-f]+( \[[\w]+\])?$/,
+  /^(\? )?0x[0-9a-f]+$/,
+  /^(Not tainted|"echo 0 > \/proc\/sys\/kernel\/hung_task_timeout_secs")/,
+  /^task:\S+\s+state:/,
+  /^(active_anon|lowmem_reserve|mems_allowed|cpuset|\d+ (pages|total pagecache))/,
+  /^\[\s*\d+\]\s+\d+\s+\d+/,
+  /^\[\s+pid\s+\]/,
+  /^(DMA|DMA32|Normal|Movable)(:| free:)/,
+  /^(WARNING|BUG|INFO|Kernel panic|---\[)/,
+  /^(Showing busy workqueues|workqueue \S+:|pwq \d+|in_atomic|preempt_count|lockdep|\d+ locks? held|#\d+: )/,
+];
+
+// Non-body kernel lines tolerated inside an event before it is closed.
+const MAX_GAP = 6;
+// Lines of surrounding context kept on either side of an event.
+const DEFAULT_CONTEXT = 5;
+
+/** The event kind a headline message opens, or null if it opens none. */
+export function classifyHeadline(msg) {
+  for (const { kind, re } of START_PATTERNS) {
+    if (re.test(msg)) return kind;
+  }
+  return null;
+}
+
+function isBody(msg) {
+  return BODY_PATTERNS.some((re) => re.test(msg));
+}
+
+// Messages that belong to the event already open rather than starting a
+// new one: the "Oops:" after "BUG: unable to handle", the panic that
+// follows a fatal exception, the "Out of memory" line of an OOM dump.
+function continuesEvent(event, kind) {
+  if (event.ended) return kind === "panic" && event.kind !== "panic";
+  if (event.kind === "pending") return true;
+  if (kind === "oops" || kind === "panic") return true;
+  if (kind === "oom") return event.kind === "oom";
+  return false;
+}
+
+/**
+ * Find every kernel event in `input` (raw text or `normalizeLog()` lines).
+ *
+ * Returns events in log order:
+ *   { id, kind, title, startLine, endLine, contextStart, contextEnd,
+ *     host, uptime, ended }
+ * Line indexes are 0-based and inclusive into `text.split("\n")`.
+ */
+export function segmentEvents(input, { context = DEFAULT_CONTEXT } = {}) {
+  const lines = typeof input === "string" ? normalizeLog(input) : input;
+  const events = [];
+  let current = null;
+  let gap = 0;
+
+  const close = () => {
+    if (!current) return;
+    if (current.kind === "pending") current.kind = "warning";
+    delete current.lastUptime;
+    events.push(current);
+    current = null;
+  };
+
+  const open = (kind, i, msg) => {
+    close();
+    current = {
+      kind,
+      title: kind === "pending" || kind === "trace" ? "" : msg.text,
+      startLine: i,
+      endLine: i,
+      host: msg.host,
+      uptime: msg.uptime,
+      lastUptime: msg.uptime ?? -Infinity,
+      ended: false,
+    };
+    gap = 0;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    // Lines from other processes (sshd, systemd, ...) are skipped outright.
+    if (!lines[i].isKernel) continue;
+    const msg = { ...lines[i], text: lines[i].text.trim() };
+    if (!msg.text) continue;
+
+    // A different host or a clock that went backwards (reboot) can never
+    // be part of the same event, whatever the line says.
+    if (
+      current &&
+      ((msg.host && current.host && msg.host !== current.host) ||
+        (msg.uptime !== null && msg.uptime < current.lastUptime))
+    ) {
+      close();
+    }
+    if (current && msg.uptime !== null) current.lastUptime = msg.uptime;
+
+    if (CUT_HERE_RE.test(msg.text)) {
+      open("pending", i, msg);
+      continue;
+    }
+
+    const kind = classifyHeadline(msg.text);
+    if (kind) {
+      if (current && continuesEvent(current, kind)) {
+        if (current.kind === "pending") {
+          current.kind = kind;
+          current.title = msg.text;
+        } else if (kind === "panic" || (kind === "oops" && current.kind === "bug")) {
+          // Keep the first headline but report the most severe outcome.
+          current.kind = kind;
+        }
+        current.endLine = i;
+        gap = 0;
+      } else {
+        open(kind, i, msg);
+      }
+      continue;
+    }
+
+    if (!current) {
+      if (ORPHAN_START_RE.test(msg.text)) open("trace", i, msg);
+      else continue;
+    }
+
+    if (END_TRACE_RE.test(msg.text)) {
+      current.endLine = i;
+      current.ended = true;
+      gap = 0;
+      continue;
+    }
+
+    if (!current.ended && isBody(msg.text)) {
+      const comm = current.kind === "trace" && /\bComm: (\S+)/.exec(msg.text);
+      if (comm && !current.title) current.title = `Call Trace in ${comm[1]}`;
+      current.endLine = i;
+      gap = 0;
+      continue;
+    }
+
+    if (++gap > (current.ended ? 2 : MAX_GAP)) close();
+  }
+  close();
+
+  return events.map((ev, n) => {
+    if (ev.kind === "trace" && !ev.title) ev.title = "Call Trace";
+    return {
+      ...ev,
+      id: `ev-${ev.startLine}`,
+      index: n + 1,
+      contextStart: Math.max(0, ev.startLine - context),
+      contextEnd: Math.min(lines.length - 1, ev.endLine + context),
+    };
+  });
+}
+
+/** The event's lines plus its surrounding context, ready to analyze. */
+export function eventExcerpt(text, event) {
+  return text
+    .split("\n")
+    .slice(event.contextStart, event.contextEnd + 1)
+    .join("\n");
+}
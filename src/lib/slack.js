@@ -0,0 +1,148 @@
+// ─── Slack sharing ───
+//
+// A Block Kit message for the incident channel: severity header, crash
+// type, host and kernel, the root cause in one line, the top fixes and a
+// link back to the report. Posted through the backend to the selected
+// team's incoming webhook, or copied as JSON when none is configured.
+
+const STORAGE_KEY = "kernel-crash-analyzer.slack";
+const TOP_FIXES = 3;
+const ROOT_CAUSE_MAX = 280;
+// Block Kit rejects button URLs longer than this; permalinks that carry a
+// large report don't fit.
+export const BUTTON_URL_MAX = 3000;
+
+// Block Kit headers can't be coloured; the attachment bar carries it.
+const SEVERITY_STYLE = {
+  critical: { color: "#ff3b30", emoji: "🔴" },
+  high: { color: "#ff9500", emoji: "🟠" },
+  medium: { color: "#ffd60a", emoji: "🟡" },
+  low: { color: "#30d158", emoji: "🟢" },
+};
+
+/**
+ * @typedef {Object} SlackConfig
+ * @property {{name: string, url: string}[]} webhooks   one per team / channel
+ * @property {string} selected                         name of the default webhook
+ */
+
+/** @type {SlackConfig} */
+const DEFAULT_SLACK_CONFIG = { webhooks: [], selected: "" };
+
+export function loadSlackConfig() {
+  try {
+    return { ...DEFAULT_SLACK_CONFIG, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") };
+  } catch {
+    return DEFAULT_SLACK_CONFIG;
+  }
+}
+
+export function saveSlackConfig(config) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch {
+    // Private mode / quota: the settings last for this session only.
+  }
+}
+
+// mrkdwn treats these three as control characters.
+const mrkdwn = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const clip = (s, max) => (s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+// First sentence of the root cause, single line.
+function oneLine(text) {
+  const flat = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const sentence = /^.+?[.!?](?=\s|$)/.exec(flat)?.[0] || flat;
+  return clip(sentence, ROOT_CAUSE_MAX);
+}
+
+/**
+ * The webhook payload. `reportUrl` is the permalink the message links to;
+ * the button is left out without one, or when it is too long for Slack.
+ */
+export function slackMessage({ report, entry, reportUrl }) {
+  const style = SEVERITY_STYLE[report.severity] || { color: "#8b95a5", emoji: "⚪" };
+  const severity = String(report.severity || "unknown").toUpperCase();
+  const host = entry?.hosts?.length ? entry.hosts.join(", ") : "unknown host";
+  const kernel = [entry?.kernel, entry?.distro].filter(Boolean).join(" · ") || "unknown kernel";
+  const fixes = (report.suggested_fixes || []).slice(0, TOP_FIXES);
+
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: clip(`${style.emoji} ${severity} · ${report.crash_type}`, 150),
+        emoji: true,
+      },
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Crash type*\n${mrkdwn(report.crash_type)}` },
+        { type: "mrkdwn", text: `*Subsystem*\n${mrkdwn(report.affected_subsystem)}` },
+        { type: "mrkdwn", text: `*Host*\n${mrkdwn(host)}` },
+        { type: "mrkdwn", text: `*Kernel*\n${mrkdwn(kernel)}` },
+      ],
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*Root cause*\n${mrkdwn(oneLine(report.root_cause))}` },
+    },
+    fixes.length > 0 && {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Top fixes*\n${fixes.map((f, i) => `${i + 1}. ${mrkdwn(clip(f, 400))}`).join("\n")}`,
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: [
+            report.confidence != null &&
+              `${report.engine === "rules" ? "Rule-based" : "Confidence"} ${report.confidence}%`,
+            entry?.signature && `sig \`${entry.signature.id}\``,
+            entry?.jira && `<${entry.jira.url}|${entry.jira.key}>`,
+          ]
+            .filter(Boolean)
+            .join("  ·  "),
+        },
+      ],
+    },
+    reportUrl?.length <= BUTTON_URL_MAX && {
+      type: "actions",
+      elements: [
+        { type: "button", text: { type: "plain_text", text: "Open report" }, url: reportUrl },
+      ],
+    },
+  ].filter(Boolean);
+
+  return {
+    // Notification / fallback text.
+    text: `${severity} ${report.crash_type} on ${host}: ${oneLine(report.root_cause)}`,
+    attachments: [{ color: style.color, blocks }],
+  };
+}
+
+/** Post through the backend, which forwards to the webhook. */
+export async function postToSlack(apiUrl, webhookUrl, payload) {
+  const response = await fetch(`${apiUrl}/slack/post`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ webhook_url: webhookUrl, payload }),
+  });
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    throw new Error(errData.detail || `Server returned ${response.status}`);
+  }
+}
@@ -0,0 +1,143 @@
+// ─── Taint flag decoding and module attribution ───
+//
+// Expands the "Tainted: G           OE" string into what each letter means
+// and answers the first triage question: is the fault inside one of the
+// out-of-tree / unsigned / proprietary modules that tainted the kernel?
+// Letters follow Documentation/admin-guide/tainted-kernels.rst.
+
+export const TAINT_FLAGS = {
+  P: "Proprietary module loaded",
+  F: "Module was force loaded",
+  S: "Kernel running on an out-of-spec system (SMP unsafe / CPU out of spec)",
+  R: "Module was force unloaded",
+  M: "Machine check exception occurred",
+  B: "Bad page referenced or unexpected page flags",
+  U: "Taint requested by userspace",
+  D: "Kernel died recently (OOPS or BUG)",
+  A: "ACPI table overridden by user",
+  W: "Kernel issued a warning earlier",
+  C: "Staging driver loaded",
+  I: "Workaround for platform firmware bug applied",
+  O: "Externally-built (out-of-tree) module loaded",
+  E: "Unsigned module loaded",
+  L: "Soft lockup occurred earlier",
+  K: "Kernel has been live patched",
+  X: "Auxiliary taint (distribution-defined)",
+  T: "Kernel built with the struct randomization plugin",
+  N: "In-kernel test (KUnit) has been run",
+};
+
+// Module flags, as printed after the name in "Modules linked in:", that
+// make a module a suspect for the crash.
+const SUSPECT_MODULE_FLAGS = {
+  P: "proprietary",
+  O: "out-of-tree",
+  E: "unsigned",
+  C: "staging",
+  F: "force loaded",
+};
+
+const normalizeModule = (name) => name.replace(/-/g, "_");
+
+/**
+ * Decode a taint string ("G           OE", "P        W  OE") into flags.
+ * "G" (all modules GPL) is not a taint and is omitted.
+ */
+export function decodeTaint(taint) {
+  if (!taint) return [];
+  return [...taint.replace(/\s+/g, "")]
+    .filter((letter) => letter !== "G")
+    .map((letter) => ({
+      letter,
+      description: TAINT_FLAGS[letter] || "Unknown taint flag",
+    }));
+}
+
+/**
+ * Cross-reference taint flags, the module list and the crash location.
+ *
+ * `verdict` is one of:
+ *   rip     the faulting RIP is inside a suspect module
+ *   trace   a reliable call-trace frame is inside a suspect module
+ *   loaded  suspect modules are loaded but not on the crash path
+ *   unknown the kernel is O/E/P tainted but no module list was captured
+ *   clean   nothing out-of-tree / unsigned / proprietary involved
+ *   none    the event printed neither a taint string nor a module list
+ */
+export function attributeTaint(event) {
+  const flags = decodeTaint(event.taint);
+  const letters = new Set(flags.map((f) => f.letter));
+
+  const suspects = event.modules
+    .map((m) => ({
+      name: m.name,
+      flags: m.flags,
+      reasons: [...m.flags].map((f) => SUSPECT_MODULE_FLAGS[f]).filter(Boolean),
+    }))
+    .filter((m) => m.reasons.length);
+  const suspectByName = new Map(suspects.map((m) => [normalizeModule(m.name), m]));
+  const suspectOf = (mod) => (mod ? suspectByName.get(normalizeModule(mod)) : null);
+
+  const hits = [];
+  if (event.rip?.module && suspectOf(event.rip.module)) {
+    hits.push({ where: "RIP", symbol: event.rip.symbol, module: event.rip.module });
+  }
+  for (const f of event.frames) {
+    if (f.module && suspectOf(f.module)) {
+      hits.push({
+        where: f.unreliable ? "unreliable frame" : "frame",
+        symbol: f.symbol,
+        module: f.module,
+      });
+    }
+  }
+
+  // Frames in modules the (missing) list can't vouch for: with O/E/P set
+  // and no "Modules linked in:" line, any non-vmlinux frame is a candidate.
+  const moduleFrames = [
+    ...(event.rip?.module ? [event.rip.module] : []),
+    ...event.frames.filter((f) => !f.unreliable && f.module).map((f) => f.module),
+  ];
+  const taintedByModules = ["O", "E", "P"].some((l) => letters.has(l));
+
+  let verdict = "clean";
+  if (hits.some((h) => h.where === "RIP")) verdict = "rip";
+  else if (hits.some((h) => h.where === "frame")) verdict = "trace";
+  else if (suspects.length) verdict = "loaded";
+  else if (taintedByModules) verdict = "unknown";
+  else if (!event.taint && !event.modules.length) verdict = "none";
+
+  return {
+    flags,
+    suspects,
+    hits,
+    verdict,
+    candidateModules: verdict === "unknown" ? [...new Set(moduleFrames)] : [],
+  };
+}
+
+/** One-line answer to "is this our out-of-tree driver?" */
+export function describeTaintVerdict(attr) {
+  const mods = (list) => [...new Set(list)].join(", ");
+  switch (attr.verdict) {
+    case "rip": {
+      const mod = attr.hits.find((h) => h.where === "RIP").module;
+      const suspect = attr.suspects.find(
+        (s) => normalizeModule(s.name) === normalizeModule(mod)
+      );
+      return `Faulting RIP is in ${mod} (${suspect.reasons.join(", ")} module)`;
+    }
+    case "trace":
+      return `Call trace passes through ${mods(attr.hits.filter((h) => h.where === "frame").map((h) => h.module))}`;
+    case "loaded":
+      return `${mods(attr.suspects.map((s) => s.name))} loaded but not on the crash path`;
+    case "unknown":
+      return attr.candidateModules.length
+        ? `Kernel is ${attr.flags.map((f) => f.letter).join("")}-tainted; module list not captured — check ${mods(attr.candidateModules)}`
+        : `Kernel is ${attr.flags.map((f) => f.letter).join("")}-tainted; module list not captured`;
+    case "none":
+      return "No taint information in this event";
+    default:
+      return "No out-of-tree, unsigned or proprietary modules involved";
+  }
+}
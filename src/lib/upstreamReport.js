@@ -0,0 +1,188 @@
+// ─── Upstream bug report (kernel mailing list) ───
+//
+// A plain-text mail body laid out the way Documentation/admin-guide/
+// reporting-issues.rst asks for: a short summary, the description, how to
+// reproduce, kernel version and configuration, hardware, taint, and the
+// log exactly as printed. Prose is wrapped at 72 columns; log, trace and
+// disassembly lines are never wrapped, since maintainers feed them to
+// scripts/decode_stacktrace.sh and friends.
+
+import { normalizeLog, stripPrefixes } from "./prefix.js";
+import { formatSymbol } from "./crashEvent.js";
+import { decodeTaint, attributeTaint, describeTaintVerdict } from "./taint.js";
+import { disassembleCode, disassemblyLines, codeLabeler } from "./disasm.js";
+import { headlineClass } from "./fingerprint.js";
+
+const WIDTH = 72;
+
+/**
+ * Greedy word wrap, line by line. A line's own leading whitespace is kept
+ * on its continuation lines; a word longer than the width gets a line of
+ * its own. `hanging` indents continuation lines only.
+ */
+export function wrapText(text, width = WIDTH, hanging = "") {
+  return String(text || "")
+    .split("\n")
+    .map((para) => {
+      const lead = /^\s*/.exec(para)[0];
+      const lines = [];
+      let line = lead;
+      for (const word of para.split(/\s+/).filter(Boolean)) {
+        const next = line.trim() ? `${line} ${word}` : line + word;
+        if (line.trim() && next.length > width) {
+          lines.push(line);
+          line = lead + hanging + word;
+        } else {
+          line = next;
+        }
+      }
+      return lines.concat(line).join("\n");
+    })
+    .join("\n");
+}
+
+// "- item" style: continuation lines line up under the item text.
+const wrapItem = (bullet, text) =>
+  wrapText(`${bullet}${text}`, WIDTH, " ".repeat(bullet.trimStart().length));
+
+// What the build string, the Oops line flags ("PREEMPT SMP NOPTI") and the
+// headline say about the configuration.
+function configHints(ev) {
+  const build = [ev.kernelBuild, ...(ev.oops?.flags || [])].join(" ");
+  const hints = [];
+  if (/PREEMPT_RT/.test(build)) hints.push("CONFIG_PREEMPT_RT=y");
+  else if (/PREEMPT_DYNAMIC/.test(build)) hints.push("CONFIG_PREEMPT_DYNAMIC=y");
+  else if (/\bPREEMPT\b/.test(build)) hints.push("CONFIG_PREEMPT=y");
+  if (/\bSMP\b/.test(build)) hints.push("CONFIG_SMP=y");
+  for (const [re, option] of [
+    [/KASAN/, "CONFIG_KASAN=y"],
+    [/UBSAN/, "CONFIG_UBSAN=y"],
+    [/KFENCE/, "CONFIG_KFENCE=y"],
+    [/KCSAN/, "CONFIG_KCSAN=y"],
+    [/lockdep|possible circular locking|possible recursive locking/i, "CONFIG_PROVE_LOCKING=y"],
+  ]) {
+    if (re.test(`${build} ${ev.headline || ""}`)) hints.push(option);
+  }
+  return hints;
+}
+
+// Distribution kernels carry patches; reporting-issues.rst asks for a
+// reproduction on a vanilla mainline or stable kernel first.
+const DISTRO_RELEASE_RE =
+  /-(generic|lowlatency|aws|azure|gcp|oracle|kvm|amd64|arm64|cloud|default)\b|\.el\d|\.fc\d|\.amzn\d|-MANJARO|\+deb|-arch\d|\.mga\d/;
+
+/**
+ * @param {Object} args
+ * @param {Object} args.report       AnalysisReport
+ * @param {Object|null} args.crashEvent
+ * @param {Object} args.meta         history entry: { log, kernel, distro, input }
+ * @returns {{subject: string, body: string, warnings: string[]}}
+ */
+export function upstreamReport({ report, crashEvent, meta }) {
+  const ev = crashEvent;
+  const release = ev?.kernelRelease || meta.kernel || "";
+  const warnings = [];
+
+  const flags = ev ? decodeTaint(ev.taint) : [];
+  if (flags.length) {
+    warnings.push(
+      `The kernel is tainted (${flags.map((f) => f.letter).join("")}). Maintainers will ask whether it reproduces on an untainted kernel — without the out-of-tree, unsigned or proprietary modules if those set it.`
+    );
+  }
+  if (DISTRO_RELEASE_RE.test(release)) {
+    warnings.push(
+      `${release} looks like a distribution kernel. Report to the distribution first, or reproduce on a current mainline or stable kernel before mailing upstream.`
+    );
+  }
+  if (!meta.input?.context) {
+    warnings.push('No reproduction notes: fill in the "How to reproduce" section.');
+  }
+  if (!ev) warnings.push("No crash event was parsed from the log; only the raw log is included.");
+
+  const site = ev?.rip?.symbol || ev?.frames.find((f) => !f.unreliable)?.symbol;
+  const what = (ev && headlineClass(ev.headline)) || report.crash_type;
+  const subject = `${report.affected_subsystem}: ${what}${site ? ` in ${site}` : ""}${release ? ` (${release})` : ""}`;
+
+  const sections = [];
+  const add = (title, ...body) => sections.push([title, body.filter(Boolean).join("\n\n")]);
+
+  add(null, wrapText(`${what}${site ? ` in ${site}()` : ""}${release ? ` on ${release}` : ""}.`));
+  add(
+    "Description",
+    wrapText(report.root_cause),
+    wrapText(`Probable trigger: ${report.probable_trigger}`),
+    report.detailed_analysis &&
+      `Initial analysis${report.engine === "rules" ? " (rule-based, from the log alone)" : " (tool-assisted; please verify)"}:\n\n${wrapText(report.detailed_analysis)}`
+  );
+  add(
+    "How to reproduce",
+    wrapText(meta.input?.context || "[Steps to reproduce, how often it happens, and since when.]")
+  );
+
+  const hints = ev ? configHints(ev) : [];
+  add(
+    "Kernel",
+    [ev?.kernelRelease || meta.kernel, ev?.kernelBuild].filter(Boolean).join(" ") || "[uname -a]",
+    meta.distro && `Distribution: ${meta.distro}`,
+    hints.length > 0 && wrapText(`Configuration (from the log): ${hints.join(", ")}`),
+    wrapText(
+      `Full configuration: ${release ? `/boot/config-${release}` : "/boot/config-$(uname -r)"} (attached / available on request).`
+    ),
+    ev?.modules.length > 0 &&
+      wrapItem(
+        "Modules linked in: ",
+        ev.modules.map((m) => m.name + (m.flags ? `(${m.flags})` : "")).join(" ")
+      )
+  );
+
+  add(
+    "Hardware",
+    ev?.hardware
+      ? `${ev.hardware.name}${ev.hardware.bios ? `, BIOS ${ev.hardware.bios}` : ""}`
+      : "[Machine / board and BIOS version]"
+  );
+
+  if (ev?.taint) {
+    add(
+      "Taint",
+      `Tainted: ${ev.taint}`,
+      flags.map((f) => wrapItem(`  ${f.letter}: `, f.description)).join("\n"),
+      wrapText(describeTaintVerdict(attributeTaint(ev)))
+    );
+  }
+
+  // The log as the kernel printed it: prefixes stripped, never wrapped.
+  const log = meta.log ? stripPrefixes(normalizeLog(meta.log)) : "";
+  add("Log", log || "[dmesg output]");
+
+  if (ev?.frames.length) {
+    const frames = ev.frames.map(
+      (f) =>
+        `  ${f.unreliable ? "? " : ""}${formatSymbol(f) || f.raw}${f.context && f.context !== "TASK" ? ` <${f.context}>` : ""}`
+    );
+    add(
+      "Decoded call trace",
+      `RIP: ${ev.rip ? formatSymbol(ev.rip) : "?"}\n${frames.join("\n")}`,
+      wrapText(
+        "For file:line, run ./scripts/decode_stacktrace.sh vmlinux < log against the matching debug build."
+      )
+    );
+  }
+  if (ev?.code) {
+    const dis = disassembleCode(ev.code);
+    if (dis.instructions.length) {
+      add(
+        "Code (decoded)",
+        disassemblyLines(dis, codeLabeler(ev.rip, ev.code.faultIndex)).join("\n")
+      );
+    }
+  }
+
+  const body = [
+    "Hi,",
+    ...sections.map(([title, text]) => (title ? `${title}:\n\n${text}` : text)),
+    "Reported-by: Your Name <you@example.com>",
+  ].join("\n\n");
+
+  return { subject, body: `${body}\n`, warnings };
+}